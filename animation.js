@@ -0,0 +1,267 @@
+import { BigFloat } from "./bigfloat.js";
+import { parseColor, formatColor, Palette } from "./palettes.js";
+import { encodeState, decodeState } from "./permalink.js";
+import { truncateOrigin } from "./view.js";
+
+// time in seconds taken to fly from a new keyframe to the next one
+const KEYFRAME_DURATION = 5.0;
+
+// eases the progress of a flight in and out of each keyframe
+function easeInOut(t) {
+    return t * t * (3.0 - 2.0 * t);
+}
+
+// weight of the start position of a flight zooming by 2^zoom when the given fraction of it
+// is done: the end of the flight drifts from its place in the start view to the centre at
+// a steady pace on screen. the weight follows the range so the position stays exact
+// relative to deep views
+function startWeight(progress, zoom) {
+    return BigFloat.powerOfTwo(progress * zoom).mul(1.0 - progress);
+}
+
+// linear interpolation between two numbers
+function mix(from, to, t) {
+    return from + (to - from) * t;
+}
+
+// linear interpolation between two "#rrggbb" colours
+function mixColors(from, to, t) {
+    const fromColor = parseColor(from);
+    const toColor = parseColor(to);
+    return formatColor(fromColor.map((component, i) => mix(component, toColor[i], t)));
+}
+
+// palette blending two palettes, sampled at the stops of both
+function mixPalettes(from, to, t) {
+    const positions = [...new Set([...from.stops, ...to.stops].map(stop => stop.position))];
+    return new Palette(from.name, positions.map(position => {
+        const fromColor = from.colorAt(position);
+        const toColor = to.colorAt(position);
+        return {
+            position: position,
+            color: formatColor(fromColor.map((component, i) => mix(component, toColor[i], t)))
+        };
+    }));
+}
+
+// render state between two states returned by GLBrot.getState. the range is interpolated
+// logarithmically so the zoom speed feels constant, the settings that cannot be blended
+// switch when the next keyframe is reached
+export function interpolateState(from, to, t) {
+    const progress = easeInOut(t);
+    const fromLog = from.range.log2();
+    const zoom = to.range.log2() - fromLog;
+    const range = BigFloat.powerOfTwo(fromLog + zoom * progress);
+
+    // the deeper end of the flight holds the exact position
+    let x;
+    let y;
+    if(zoom <= 0) {
+        const weight = startWeight(progress, zoom);
+        x = to.x.add(from.x.sub(to.x).mul(weight));
+        y = to.y.add(from.y.sub(to.y).mul(weight));
+    } else {
+        const weight = startWeight(1.0 - progress, -zoom);
+        x = from.x.add(to.x.sub(from.x).mul(weight));
+        y = from.y.add(to.y.sub(from.y).mul(weight));
+    }
+    const origin = truncateOrigin({ x: x, y: y }, range);
+
+    return {
+        ...from,
+        x: origin.x,
+        y: origin.y,
+        range: range,
+        maxIter: Math.round(mix(from.maxIter, to.maxIter, progress)),
+        escape: mix(from.escape, to.escape, progress),
+        parameters: from.formula === to.formula
+            ? from.parameters.map((value, i) => mix(value, to.parameters[i], progress))
+            : from.parameters,
+        juliaC: {
+            x: mix(from.juliaC.x, to.juliaC.x, progress),
+            y: mix(from.juliaC.y, to.juliaC.y, progress)
+        },
+        palette: mixPalettes(from.palette, to.palette, progress),
+        paletteOffset: mix(from.paletteOffset, to.paletteOffset, progress),
+        paletteRepeat: mix(from.paletteRepeat, to.paletteRepeat, progress),
+        interiorColor: mixColors(from.interiorColor, to.interiorColor, progress),
+        light: {
+            angle: mix(from.light.angle, to.light.angle, progress),
+            height: mix(from.light.height, to.light.height, progress)
+        },
+        trap: {
+            ...from.trap,
+            x: mix(from.trap.x, to.trap.x, progress),
+            y: mix(from.trap.y, to.trap.y, progress),
+            angle: mix(from.trap.angle, to.trap.angle, progress)
+        }
+    };
+}
+
+// flight through a list of keyframes, each keyframe holds a render state and the time in
+// seconds taken to reach the next one
+export class KeyframeAnimation {
+
+    // keyframes in flight order, as { state, duration }
+    keyframes = [];
+
+    // reads an animation saved by toJSON, the settings missing from the saved keyframes
+    // are taken from the default state
+    static fromJSON(json, defaults) {
+        if(!Array.isArray(json.keyframes)) {
+            throw new SyntaxError("Expected a list of keyframes");
+        }
+        const animation = new KeyframeAnimation();
+        for(const keyframe of json.keyframes) {
+            const duration = Number(keyframe.duration);
+            if(!(duration > 0)) {
+                throw new RangeError("Invalid keyframe duration: " + keyframe.duration);
+            }
+            animation.add(decodeState(String(keyframe.view), defaults), duration);
+        }
+        return animation;
+    }
+
+    // the views are saved with the same parameters as the shareable links
+    toJSON() {
+        return {
+            keyframes: this.keyframes.map(keyframe => ({
+                view: encodeState(keyframe.state),
+                duration: keyframe.duration
+            }))
+        };
+    }
+
+    // appends a keyframe at the end of the flight
+    add(state, duration = KEYFRAME_DURATION) {
+        this.keyframes.push({ state: state, duration: duration });
+    }
+
+    remove(index) {
+        this.keyframes.splice(index, 1);
+    }
+
+    // total time of the flight in seconds, the duration of the last keyframe is not used
+    duration() {
+        return this.keyframes
+            .slice(0, -1)
+            .reduce((total, keyframe) => total + keyframe.duration, 0);
+    }
+
+    // render state at the given time of the flight in seconds
+    stateAt(time) {
+        const keyframes = this.keyframes;
+        if(keyframes.length === 0) {
+            throw new RangeError("The animation has no keyframes");
+        }
+        for(let i = 0; i < keyframes.length - 1; i++) {
+            if(time < keyframes[i].duration) {
+                return interpolateState(keyframes[i].state, keyframes[i + 1].state, Math.max(0, time) / keyframes[i].duration);
+            }
+            time -= keyframes[i].duration;
+        }
+        return keyframes[keyframes.length - 1].state;
+    }
+}
+
+// records the given image blobs as a WebM video at the given frame rate, the frames are
+// fed to the recorder in real time
+export async function recordWebm(frames, width, height, fps) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext("2d");
+
+    // the stream only gets a frame when one is requested
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+    const chunks = [];
+    recorder.ondataavailable = event => chunks.push(event.data);
+    const stopped = new Promise(resolve => recorder.onstop = resolve);
+
+    recorder.start();
+    for(const frame of frames) {
+        const bitmap = await createImageBitmap(frame);
+        context.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        track.requestFrame();
+        await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    return new Blob(chunks, { type: "video/webm" });
+}
+
+// settings menu section listing the keyframes of an animation
+export class KeyframeEditor {
+
+    // document element the keyframes rows are created in
+    container = null;
+
+    // animation being edited
+    animation = null;
+
+    // callback called with the state of a keyframe the user wants to go to
+    onselect = null;
+
+    constructor(container, animation, onselect) {
+        this.container = container;
+        this.animation = animation;
+        this.onselect = onselect;
+    }
+
+    // starts editing the given animation
+    edit(animation) {
+        this.animation = animation;
+        this.render();
+    }
+
+    // creates a row with the keyframe depth, its duration and go to and remove buttons per keyframe
+    render() {
+        this.container.replaceChildren();
+        const keyframes = this.animation.keyframes;
+
+        keyframes.forEach((keyframe, i) => {
+            const row = document.createElement("div");
+            row.className = "d-flex align-items-center justify-content-between mt-1";
+
+            const label = document.createElement("button");
+            label.className = "btn-secondary rounded";
+            label.textContent = (i + 1) + ": " + keyframe.state.range.toNumber().toExponential(1);
+            label.title = "Go to this keyframe";
+            label.onclick = () => this.onselect(keyframe.state);
+
+            // the last keyframe ends the flight so it has no duration
+            const durationInput = document.createElement("input");
+            durationInput.type = "number";
+            durationInput.className = "keyframe-duration";
+            durationInput.min = 0.1;
+            durationInput.step = 0.1;
+            durationInput.value = keyframe.duration;
+            durationInput.title = "Seconds to the next keyframe";
+            durationInput.disabled = i === keyframes.length - 1;
+            durationInput.onchange = () => {
+                const duration = parseFloat(durationInput.value);
+                if(duration > 0) {
+                    keyframe.duration = duration;
+                } else {
+                    durationInput.value = keyframe.duration;
+                }
+            };
+
+            const removeButton = document.createElement("button");
+            removeButton.className = "btn-secondary rounded";
+            removeButton.textContent = "×";
+            removeButton.onclick = () => {
+                this.animation.remove(i);
+                this.render();
+            };
+
+            row.append(label, durationInput, removeButton);
+            this.container.appendChild(row);
+        });
+    }
+}
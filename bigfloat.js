@@ -0,0 +1,220 @@
+// default number of significant bits kept by multiplications
+const BIGFLOAT_PRECISION = 64;
+
+// number of significant bits of a JavaScript number
+const NUMBER_MANTISSA_BITS = 53;
+
+// number of significant bits of a BigInt (sign excluded)
+function bitLength(n) {
+    if(n < 0n) n = -n;
+    if(n === 0n) return 0;
+    const hex = n.toString(16);
+    return (hex.length - 1) * 4 + (32 - Math.clz32(parseInt(hex[0], 16)));
+}
+
+// multiplies a number by 2^exponent without overflowing the intermediate power of two
+function scaleByPowerOfTwo(value, exponent) {
+    while(exponent > 1000) {
+        value *= 2 ** 1000;
+        exponent -= 1000;
+    }
+    while(exponent < -1000) {
+        value *= 2 ** -1000;
+        exponent += 1000;
+    }
+    return value * 2 ** exponent;
+}
+
+// arbitrary precision binary floating point number, its value is mantissa * 2^exponent.
+// additions and subtractions are exact, multiplications are rounded to a given amount of bits
+export class BigFloat {
+
+    // integer holding the significant bits of the number
+    mantissa = 0n;
+
+    // power of two the mantissa is multiplied by
+    exponent = 0;
+
+    constructor(mantissa = 0n, exponent = 0) {
+        // strip the trailing zero bits so the mantissa stays as short as possible
+        if(mantissa === 0n) {
+            exponent = 0;
+        } else {
+            const trailingZeros = bitLength(mantissa & -mantissa) - 1;
+            mantissa >>= BigInt(trailingZeros);
+            exponent += trailingZeros;
+        }
+        this.mantissa = mantissa;
+        this.exponent = exponent;
+    }
+
+    // creates the exact BigFloat representation of a finite JavaScript number
+    static fromNumber(value) {
+        if(!Number.isFinite(value)) {
+            throw new RangeError("Cannot convert " + value + " to a BigFloat");
+        }
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        const high = view.getUint32(0);
+        const low = view.getUint32(4);
+        const biasedExponent = (high >>> 20) & 0x7ff;
+        let mantissa = (BigInt(high & 0xfffff) << 32n) | BigInt(low);
+        let exponent = -1074;
+        // normal numbers have an implicit leading bit
+        if(biasedExponent !== 0) {
+            mantissa |= 1n << 52n;
+            exponent = biasedExponent - 1075;
+        }
+        return new BigFloat(high >>> 31 ? -mantissa : mantissa, exponent);
+    }
+
+    // creates 2^exponent for any finite exponent, far outside the range of JavaScript numbers
+    static powerOfTwo(exponent) {
+        const integer = Math.floor(exponent);
+        return BigFloat.fromNumber(2 ** (exponent - integer)).shift(integer);
+    }
+
+    // returns the given value as a BigFloat, converting JavaScript numbers
+    static from(value) {
+        return value instanceof BigFloat ? value : BigFloat.fromNumber(value);
+    }
+
+    // parses the exact representation written by toString, or a decimal number
+    static parse(text) {
+        const match = /^([-+]?)([0-9a-f]+)p([-+]?\d+)$/i.exec(text);
+        if(match !== null) {
+            const mantissa = BigInt("0x" + match[2]);
+            return new BigFloat(match[1] === "-" ? -mantissa : mantissa, parseInt(match[3]));
+        }
+        const value = Number(text);
+        if(text.trim() === "" || !Number.isFinite(value)) {
+            throw new SyntaxError("Invalid number: " + text);
+        }
+        return BigFloat.fromNumber(value);
+    }
+
+    isZero() {
+        return this.mantissa === 0n;
+    }
+
+    sign() {
+        return this.mantissa > 0n ? 1 : (this.mantissa < 0n ? -1 : 0);
+    }
+
+    neg() {
+        return new BigFloat(-this.mantissa, this.exponent);
+    }
+
+    abs() {
+        return this.mantissa < 0n ? this.neg() : this;
+    }
+
+    // exact sum of the two numbers
+    add(other) {
+        other = BigFloat.from(other);
+        const exponent = Math.min(this.exponent, other.exponent);
+        return new BigFloat(
+            (this.mantissa << BigInt(this.exponent - exponent))
+            + (other.mantissa << BigInt(other.exponent - exponent)),
+            exponent
+        );
+    }
+
+    // exact difference of the two numbers
+    sub(other) {
+        return this.add(BigFloat.from(other).neg());
+    }
+
+    // product of the two numbers rounded to the given amount of significant bits
+    mul(other, precision = BIGFLOAT_PRECISION) {
+        other = BigFloat.from(other);
+        return new BigFloat(
+            this.mantissa * other.mantissa,
+            this.exponent + other.exponent
+        ).round(precision);
+    }
+
+    // exact multiplication by 2^bits
+    shift(bits) {
+        return new BigFloat(this.mantissa, this.exponent + bits);
+    }
+
+    // keeps only the given amount of significant bits, truncating toward zero
+    round(precision = BIGFLOAT_PRECISION) {
+        const extraBits = bitLength(this.mantissa) - precision;
+        if(extraBits <= 0) return this;
+        const magnitude = (this.mantissa < 0n ? -this.mantissa : this.mantissa) >> BigInt(extraBits);
+        return new BigFloat(this.mantissa < 0n ? -magnitude : magnitude, this.exponent + extraBits);
+    }
+
+    // drops the bits worth less than 2^exponent, truncating toward zero
+    truncate(exponent) {
+        if(this.exponent >= exponent) return this;
+        return this.round(bitLength(this.mantissa) - (exponent - this.exponent));
+    }
+
+    // floor of the base 2 logarithm of the absolute value, -Infinity for zero
+    ilog2() {
+        if(this.isZero()) return -Infinity;
+        return this.exponent + bitLength(this.mantissa) - 1;
+    }
+
+    // base 2 logarithm of the absolute value, as a JavaScript number
+    log2() {
+        const exponent = this.ilog2();
+        return exponent + Math.log2(this.abs().shift(-exponent).toNumber());
+    }
+
+    // -1, 0 or 1 depending on whether this number is lower, equal or greater than the other
+    compare(other) {
+        return this.sub(other).sign();
+    }
+
+    // integer equal to this number multiplied by 2^bits, rounded toward negative infinity
+    toFixed(bits) {
+        const shift = this.exponent + bits;
+        return shift >= 0 ? this.mantissa << BigInt(shift) : this.mantissa >> BigInt(-shift);
+    }
+
+    // exact representation: the hexadecimal mantissa, "p" and the base 2 exponent
+    toString() {
+        const sign = this.mantissa < 0n ? "-" : "";
+        return sign + this.abs().mantissa.toString(16) + "p" + this.exponent;
+    }
+
+    // decimal representation rounded to the given number of significant digits, without
+    // the exponent notation so it stays exact far below the precision of the numbers
+    toDecimal(digits) {
+        if(this.isZero()) return "0";
+        const sign = this.mantissa < 0n ? "-" : "";
+        // the value is integer * 10^-scale, 2^-n being 5^n * 10^-n
+        let integer = this.abs().mantissa;
+        let scale = 0;
+        if(this.exponent >= 0) {
+            integer <<= BigInt(this.exponent);
+        } else {
+            integer *= 5n ** BigInt(-this.exponent);
+            scale = -this.exponent;
+        }
+        const excess = integer.toString().length - digits;
+        if(excess > 0) {
+            const divisor = 10n ** BigInt(excess);
+            integer = (integer + divisor / 2n) / divisor;
+            scale -= excess;
+        }
+
+        let text = integer.toString();
+        if(scale <= 0) {
+            return sign + text + "0".repeat(-scale);
+        }
+        text = text.padStart(scale + 1, "0");
+        const fraction = text.slice(-scale).replace(/0+$/, "");
+        return sign + text.slice(0, -scale) + (fraction.length > 0 ? "." + fraction : "");
+    }
+
+    // JavaScript number approximating this one, may overflow to Infinity or underflow to 0
+    toNumber() {
+        const rounded = this.round(NUMBER_MANTISSA_BITS);
+        return scaleByPowerOfTwo(Number(rounded.mantissa), rounded.exponent);
+    }
+}
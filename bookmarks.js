@@ -0,0 +1,174 @@
+import { encodeState, decodeState } from "./permalink.js";
+
+// key of the local storage entry the bookmarks are kept in
+export const BOOKMARKS_STORAGE_KEY = "mandelbrot-bookmarks";
+// dimensions in pixels of the thumbnails of the bookmarks
+export const THUMBNAIL_WIDTH = 160;
+export const THUMBNAIL_HEIGHT = 90;
+// quality of the JPEG the thumbnails are compressed to, they share the few megabytes
+// of the local storage
+const THUMBNAIL_QUALITY = 0.8;
+
+// JPEG data URL of a thumbnail canvas, an empty string if it cannot be encoded
+export function thumbnailURL(canvas) {
+    try {
+        return canvas.toDataURL("image/jpeg", THUMBNAIL_QUALITY);
+    } catch(error) {
+        console.warn("Unable to encode the thumbnail:", error.message);
+        return "";
+    }
+}
+
+// named render states with a thumbnail, kept in the local storage and shared as JSON files
+export class BookmarkLibrary {
+
+    // bookmarks in the order they were added, as { name, state, thumbnail, created }
+    bookmarks = [];
+
+    // reads a collection saved by toJSON, the settings missing from the saved views are
+    // taken from the default state
+    static fromJSON(json, defaults) {
+        if(json === null || !Array.isArray(json.bookmarks)) {
+            throw new SyntaxError("Expected a list of bookmarks");
+        }
+        const library = new BookmarkLibrary();
+        for(const bookmark of json.bookmarks) {
+            if(typeof bookmark.name !== "string") {
+                throw new SyntaxError("A bookmark needs a name");
+            }
+            const thumbnail = typeof bookmark.thumbnail === "string" && bookmark.thumbnail.startsWith("data:image/")
+                ? bookmark.thumbnail
+                : "";
+            const created = typeof bookmark.created === "string" ? bookmark.created : undefined;
+            library.add(bookmark.name, decodeState(String(bookmark.view), defaults), thumbnail, created);
+        }
+        return library;
+    }
+
+    // reads the collection kept in the given storage, empty if there is none
+    static load(storage, defaults) {
+        const saved = storage.getItem(BOOKMARKS_STORAGE_KEY);
+        return saved === null ? new BookmarkLibrary() : BookmarkLibrary.fromJSON(JSON.parse(saved), defaults);
+    }
+
+    // keeps the collection in the given storage, throws if it is full
+    save(storage) {
+        storage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(this));
+    }
+
+    // the views are saved with the same parameters as the shareable links
+    toJSON() {
+        return {
+            bookmarks: this.bookmarks.map(bookmark => ({
+                name: bookmark.name,
+                view: encodeState(bookmark.state),
+                thumbnail: bookmark.thumbnail,
+                created: bookmark.created
+            }))
+        };
+    }
+
+    // appends a bookmark of the given state, the thumbnail is a data URL
+    add(name, state, thumbnail, created = new Date().toISOString()) {
+        this.bookmarks.push({
+            name: name,
+            state: state,
+            thumbnail: thumbnail,
+            created: created
+        });
+    }
+
+    // appends the bookmarks of another collection
+    merge(library) {
+        this.bookmarks.push(...library.bookmarks);
+    }
+
+    rename(index, name) {
+        this.bookmarks[index].name = name;
+    }
+
+    remove(index) {
+        this.bookmarks.splice(index, 1);
+    }
+}
+
+// panel listing the bookmarks of a library with their thumbnail, the thumbnails fly to
+// their view and the names can be edited
+export class BookmarkPanel {
+
+    // document element the bookmarks rows are created in
+    container = null;
+
+    // library being listed
+    library = null;
+
+    // callback called with the state of a bookmark the user wants to go to
+    onselect = null;
+
+    // callback called after every change of the library
+    onchange = null;
+
+    constructor(container, library, onselect, onchange) {
+        this.container = container;
+        this.library = library;
+        this.onselect = onselect;
+        this.onchange = onchange;
+    }
+
+    // starts listing the given library
+    edit(library) {
+        this.library = library;
+        this.render();
+    }
+
+    // creates a row with the thumbnail, the name and a remove button per bookmark
+    render() {
+        this.container.replaceChildren();
+        this.library.bookmarks.forEach((bookmark, i) => {
+            const row = document.createElement("div");
+            row.className = "d-flex align-items-center justify-content-between mt-1";
+
+            const goButton = document.createElement("button");
+            goButton.className = "bookmark-thumbnail rounded";
+            goButton.title = "Go to this bookmark";
+            if(bookmark.thumbnail !== "") {
+                const image = document.createElement("img");
+                image.src = bookmark.thumbnail;
+                image.alt = "Go to " + bookmark.name;
+                goButton.appendChild(image);
+            } else {
+                goButton.textContent = "Go";
+                goButton.setAttribute("aria-label", "Go to " + bookmark.name);
+            }
+            goButton.onclick = () => this.onselect(bookmark.state);
+
+            const nameInput = document.createElement("input");
+            nameInput.type = "text";
+            nameInput.className = "bookmark-name";
+            nameInput.value = bookmark.name;
+            nameInput.setAttribute("aria-label", "Bookmark name");
+            nameInput.onchange = () => {
+                const name = nameInput.value.trim();
+                if(name === "") {
+                    nameInput.value = bookmark.name;
+                    return;
+                }
+                this.library.rename(i, name);
+                this.onchange(this.library);
+            };
+
+            const removeButton = document.createElement("button");
+            removeButton.className = "btn-secondary rounded";
+            removeButton.textContent = "×";
+            removeButton.setAttribute("aria-label", "Remove " + bookmark.name);
+            removeButton.onclick = () => {
+                this.library.remove(i);
+                this.onchange(this.library);
+                this.render();
+            };
+
+            row.append(goButton, nameInput, removeButton);
+            this.container.appendChild(row);
+        });
+    }
+}
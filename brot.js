@@ -0,0 +1,482 @@
+import { BigFloat } from "./bigfloat.js";
+import { DEFAULT_PALETTE, INIT_INTERIOR_COLOR, Palette } from "./palettes.js";
+import { DEFAULT_FORMULA, MAX_SHADER_ITERATIONS, getFormula } from "./formulas.js";
+import { FULL_QUALITY, ANTIALIASING_REFINEMENTS, RenderScheduler } from "./scheduler.js";
+import { SHADING_MODES, DEFAULT_LIGHT, DEFAULT_TRAP } from "./shading.js";
+import {
+    CAMERA_DISTANCE, DEFAULT_ITERATION_CURVE,
+    autoIterations, defaultView, visibleFraction, viewPoint, viewOffset, pixelSize, translateOrigin, zoomRange, zoomAround, truncateOrigin
+} from "./view.js";
+
+// initial maximum iteration for the mandelbrot algorithm
+export const INIT_MAX_ITER = 40;
+// initial escape value for the mandelbrot algorithm
+export const INIT_ESCAPE_VAL = 2.0;
+// initial parameter of the julia set
+export const INIT_JULIA_C = {
+    x: -0.8,
+    y: 0.156
+};
+// largest iteration cap the renderers accept, past it a frame would take seconds
+export const MAX_ITERATION_CAP = 100000;
+// fraction of the border of the canvas inside the set over which the automatic
+// iterations are raised, the details at the edges probably need more iterations
+const ADAPT_BORDER_FRACTION = 0.2;
+// factor the automatic iterations are raised by at each adaptation
+const ADAPT_STEP = 2.0;
+// largest factor the adaptation raises the automatic iterations by
+const MAX_ADAPTATION = 8.0;
+// fraction of the border inside the set a raise must leave for the adaptation to go on,
+// the border of the views really inside the set does not shrink with more iterations
+const ADAPT_MIN_GAIN = 0.9;
+// largest device pixel ratio the drawing buffers follow by default, the 3× screens of
+// phones would render 2.25 times as many pixels for little gain
+export const DEFAULT_PIXEL_RATIO_CAP = 2.0;
+
+// view and colouring state of a fractal rendered in a canvas, shared by the renderers.
+// the renderers implement drawScene and compile the current formula in initProgram.
+// the view changes are drawn through a render scheduler
+export class Brot {
+
+    // html canvas document element in which we render the scene
+    canvas = null;
+
+    // whether the perturbation shader is used once the view range gets small enough
+    deepZoom = true;
+
+    // fractal formula rendered, taken from the formulas registry
+    formula = getFormula(DEFAULT_FORMULA);
+
+    // values of the tunable parameters of the formula
+    formulaParameters = this.formula.parameters.map(parameter => parameter.value);
+
+    // whether the julia set is rendered instead of the mandelbrot set
+    julia = false;
+
+    // fixed parameter c of the julia set
+    juliaC = {
+        x: INIT_JULIA_C.x,
+        y: INIT_JULIA_C.y
+    };
+
+    // gradient the escaped points are coloured with
+    palette = Palette.builtIn(DEFAULT_PALETTE);
+
+    // shift of the palette along the iterations, between 0 and 1
+    paletteOffset = 0.0;
+
+    // number of times the palette is repeated over the iterations
+    paletteRepeat = 1.0;
+
+    // "#rrggbb" colour of the points inside the set
+    interiorColor = INIT_INTERIOR_COLOR;
+
+    // whether the iteration count is smoothed to remove the colour banding
+    smoothColoring = true;
+
+    // callback called every time the scene is drawn
+    ondraw = null;
+
+    // callback called with the time in milliseconds each frame took to render and whether
+    // it was timed on the GPU
+    onframetime = null;
+
+    // whether the palette is spread over the cumulative distribution of the iterations
+    histogramColoring = false;
+
+    // shading algorithm, one of the SHADING_MODES identifiers
+    shading = "escape";
+
+    // direction in degrees and height of the light of the lighting shading
+    light = { ...DEFAULT_LIGHT };
+
+    // shape, centre and line angle in degrees of the trap of the orbit trap shading
+    trap = { ...DEFAULT_TRAP };
+
+    // aspect ratio of the canvas on the client's screen
+    aspectRatio = 1.0;
+
+    // position of the camera
+    camera = {
+        x: 0.0,
+        y: 0.0,
+        z: -CAMERA_DISTANCE
+    };
+
+    // x and y position of the center of the view, as arbitrary precision numbers
+    viewOrigin = defaultView(this.formula).origin;
+
+    // current zoom in the view, as an arbitrary precision number
+    viewRange = defaultView(this.formula).range;
+
+    // maximum iteration for the mandelbrot algorithm
+    maxIter = INIT_MAX_ITER;
+
+    // escape value for the mandelbrot algorithm
+    escapeVal = INIT_ESCAPE_VAL;
+
+    // largest iteration the orbits are followed to, the shaders loops are compiled for it
+    iterationCap = MAX_SHADER_ITERATIONS;
+
+    // whether the maximum iteration follows the zoom level
+    autoIterations = false;
+
+    // curve the automatic maximum iteration follows
+    iterationCurve = { ...DEFAULT_ITERATION_CURVE };
+
+    // whether the automatic maximum iteration is raised when the last frame needed more
+    adaptiveIterations = false;
+
+    // factor the adaptation raised the automatic maximum iteration by
+    iterationAdaptation = 1.0;
+
+    // origin, range and fraction of the border inside the set of the view the adaptation
+    // was last raised at, zooming out of it resets the adaptation
+    adaptedView = null;
+
+    // statistics of the last frame drawn at full quality, measured for the adaptation:
+    // interiorBorder is the fraction of the canvas border inside the set
+    frameStats = null;
+
+    // quality of the frame being drawn
+    quality = FULL_QUALITY;
+
+    // largest device pixel ratio the drawing buffer follows, lower for performance
+    pixelRatioCap = DEFAULT_PIXEL_RATIO_CAP;
+
+    // anti-aliasing of the settled views, one of the modes of ANTIALIASING_REFINEMENTS
+    antialiasing = "2x2";
+
+    // scheduler the draws requested by the view changes go through
+    scheduler = null;
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.scheduler = new RenderScheduler(this);
+        this.scheduler.onsettle = () => this.adaptIterations();
+    }
+
+    // iteration the orbits are followed up to in the frame being drawn, the colours
+    // stay spread over the maximum iteration
+    iterationLimit() {
+        const maxIter = Math.min(parseInt(this.maxIter), this.iterationCap);
+        return Math.max(1, Math.round(maxIter * this.quality.iterations));
+    }
+
+    // draws the scene at the next animation frame, coarsely if the user is moving the view
+    requestDraw(interactive = false) {
+        if(this.autoIterations) {
+            this.updateAutoIterations();
+        }
+        this.scheduler.request(interactive);
+    }
+
+    // sets the maximum iteration from the zoom level of the view
+    updateAutoIterations() {
+        if(this.adaptedView !== null && this.viewRange.compare(this.adaptedView.range) > 0) {
+            this.iterationAdaptation = 1.0;
+            this.adaptedView = null;
+        }
+        const iterations = autoIterations(this.viewRange, defaultView(this.formula).range, this.iterationCurve);
+        this.maxIter = Math.min(Math.round(iterations * this.iterationAdaptation), this.iterationCap);
+    }
+
+    // raises the automatic maximum iteration and draws the view again if too much of the
+    // border of the last frame was inside the set, called once the view settled
+    adaptIterations() {
+        const stats = this.frameStats;
+        this.frameStats = null;
+        if(!this.autoIterations || !this.adaptiveIterations || stats === null) return;
+        if(stats.interiorBorder <= ADAPT_BORDER_FRACTION || this.iterationAdaptation >= MAX_ADAPTATION) return;
+        if(parseInt(this.maxIter) >= this.iterationCap) return;
+        const adapted = this.adaptedView;
+        if(adapted !== null
+            && adapted.range.compare(this.viewRange) === 0
+            && adapted.origin.x.compare(this.viewOrigin.x) === 0
+            && adapted.origin.y.compare(this.viewOrigin.y) === 0
+            && stats.interiorBorder > adapted.interiorBorder * ADAPT_MIN_GAIN) {
+            return;
+        }
+
+        this.iterationAdaptation = Math.min(this.iterationAdaptation * ADAPT_STEP, MAX_ADAPTATION);
+        this.adaptedView = {
+            origin: this.viewOrigin,
+            range: this.viewRange,
+            interiorBorder: stats.interiorBorder
+        };
+        this.requestDraw();
+    }
+
+    // sets the largest iteration the orbits are followed to and compiles the renderers
+    // again for it, the previous cap is kept if they cannot be
+    setIterationCap(cap) {
+        if(!Number.isInteger(cap) || cap < 1 || cap > MAX_ITERATION_CAP) {
+            throw new RangeError("The iteration cap must be an integer between 1 and " + MAX_ITERATION_CAP);
+        }
+        const previous = this.iterationCap;
+        this.iterationCap = cap;
+        try {
+            this.initProgram();
+        } catch(error) {
+            this.iterationCap = previous;
+            throw error;
+        }
+        this.requestDraw();
+    }
+
+    // prepares the rendering of the current formula, throws if it cannot be rendered
+    initProgram() {
+    }
+
+    // sets the anti-aliasing the settled views are refined with
+    setAntialiasing(mode) {
+        if(!(mode in ANTIALIASING_REFINEMENTS)) {
+            throw new RangeError("Unknown anti-aliasing mode: " + mode);
+        }
+        this.antialiasing = mode;
+        this.scheduler.refinements = [FULL_QUALITY, ...ANTIALIASING_REFINEMENTS[mode]];
+        this.requestDraw();
+    }
+
+    // sets the largest device pixel ratio the drawing buffer follows
+    setPixelRatioCap(cap) {
+        if(!(cap > 0)) {
+            throw new RangeError("The pixel ratio cap must be positive");
+        }
+        this.pixelRatioCap = cap;
+        this.requestDraw();
+    }
+
+    // sets the gradient the escaped points are coloured with
+    setPalette(palette) {
+        this.palette = palette;
+    }
+
+    // renders the given formula from now on, the previous formula is kept if it cannot be
+    useFormula(formula) {
+        const previous = this.formula;
+        this.formula = formula;
+        try {
+            this.initProgram();
+        } catch(error) {
+            this.formula = previous;
+            throw error;
+        }
+    }
+
+    // switches to another registered formula, its shader program is recompiled
+    // and the view goes back to the default view of the formula
+    setFormula(id) {
+        this.useFormula(getFormula(id));
+        this.formulaParameters = this.formula.parameters.map(parameter => parameter.value);
+        this.setView(this.formula.view.origin.x, this.formula.view.origin.y, this.formula.view.range);
+    }
+
+    // shading the current formula is rendered with: the escape time if the formula has
+    // no derivative for the selected shading
+    effectiveShading() {
+        const mode = SHADING_MODES[this.shading];
+        return mode.derivative && this.formula.derivative === null ? "escape" : this.shading;
+    }
+
+    // whether the renderer can render views deeper than the single precision allows
+    isDeepZoomAvailable() {
+        return false;
+    }
+
+    // whether the current view is rendered with the deep zoom renderer
+    isDeepZoomed() {
+        return false;
+    }
+
+    // resets the view to the initial origin and range of the formula
+    resetView() {
+        const view = defaultView(this.formula);
+        this.viewOrigin = view.origin;
+        this.viewRange = view.range;
+        this.formulaParameters = this.formula.parameters.map(parameter => parameter.value);
+        this.maxIter = INIT_MAX_ITER;
+        this.escapeVal = INIT_ESCAPE_VAL;
+        this.requestDraw();
+    }
+
+    // moves the view to the given origin and range, numbers or BigFloats
+    setView(x, y, range) {
+        this.viewOrigin = {
+            x: BigFloat.from(x),
+            y: BigFloat.from(y)
+        };
+        this.viewRange = BigFloat.from(range);
+        this.requestDraw();
+    }
+
+    // snapshot of everything needed to render the current view again
+    getState() {
+        return {
+            x: this.viewOrigin.x,
+            y: this.viewOrigin.y,
+            range: this.viewRange,
+            maxIter: parseInt(this.maxIter),
+            escape: this.escapeVal,
+            formula: this.formula.id,
+            parameters: this.formulaParameters.slice(),
+            julia: this.julia,
+            juliaC: {
+                x: this.juliaC.x,
+                y: this.juliaC.y
+            },
+            palette: this.palette.clone(),
+            paletteOffset: this.paletteOffset,
+            paletteRepeat: this.paletteRepeat,
+            interiorColor: this.interiorColor,
+            smoothColoring: this.smoothColoring,
+            histogramColoring: this.histogramColoring,
+            shading: this.shading,
+            light: { ...this.light },
+            trap: { ...this.trap }
+        };
+    }
+
+    // restores a snapshot returned by getState and draws it
+    setState(state) {
+        if(state.formula !== this.formula.id) {
+            this.useFormula(getFormula(state.formula));
+        }
+        this.formulaParameters = state.parameters.slice();
+        this.maxIter = state.maxIter;
+        this.escapeVal = state.escape;
+        this.julia = state.julia;
+        this.juliaC = {
+            x: state.juliaC.x,
+            y: state.juliaC.y
+        };
+        this.setPalette(state.palette.clone());
+        this.paletteOffset = state.paletteOffset;
+        this.paletteRepeat = state.paletteRepeat;
+        this.interiorColor = state.interiorColor;
+        this.smoothColoring = state.smoothColoring;
+        this.histogramColoring = state.histogramColoring;
+        this.shading = state.shading;
+        this.light = { ...state.light };
+        this.trap = { ...state.trap };
+        this.setView(state.x, state.y, state.range);
+    }
+
+    // translates the view centre by the given distance in pixels of the canvas on screen
+    translateView(x, y){
+        this.viewOrigin = translateOrigin(this.viewOrigin, x, y, this.pixelSize());
+        this.requestDraw(true);
+    }
+
+    // take the camera closer to the view
+    zoomView(direction){
+        // check the direction and zoom/dezoom accordingly
+        this.viewRange = zoomRange(this.viewRange, direction);
+        this.viewOrigin = truncateOrigin(this.viewOrigin, this.viewRange);
+        this.requestDraw(true);
+    }
+
+    // multiplies the view range by the given factor, the point at the given client
+    // position stays under it
+    zoomAt(factor, clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = this.visibleFraction();
+        const zoomed = zoomAround(this.viewOrigin, this.viewRange, factor,
+            ((clientX - rect.left) / rect.width - 0.5) * fraction,
+            ((clientY - rect.top) / rect.height - 0.5) * fraction,
+            this.aspectRatio
+        );
+        this.viewRange = zoomed.range;
+        this.viewOrigin = truncateOrigin(zoomed.origin, zoomed.range);
+        this.requestDraw(true);
+    }
+
+    // swaps the rendered set and the view with another Brot
+    exchangeView(other) {
+        [this.julia, other.julia] = [other.julia, this.julia];
+        [this.viewOrigin, other.viewOrigin] = [other.viewOrigin, this.viewOrigin];
+        [this.viewRange, other.viewRange] = [other.viewRange, this.viewRange];
+    }
+
+    // complex coordinate of the canvas point at the given client position,
+    // following the same mapping as the shader
+    canvasToComplex(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const fraction = this.visibleFraction();
+        const u = ((clientX - rect.left) / rect.width - 0.5) * fraction;
+        const v = ((clientY - rect.top) / rect.height - 0.5) * fraction;
+        return viewPoint(this.viewOrigin, this.viewRange, this.aspectRatio, u, v);
+    }
+
+    // position relative to the canvas on screen, in CSS pixels, of the given complex point
+    // as a pair of BigFloats, the inverse of canvasToComplex
+    complexToCanvas(point) {
+        const fraction = this.visibleFraction();
+        const offset = viewOffset(this.viewOrigin, this.viewRange, this.aspectRatio, point);
+        return {
+            x: (offset.u / fraction + 0.5) * this.canvas.clientWidth,
+            y: (offset.v / fraction + 0.5) * this.canvas.clientHeight
+        };
+    }
+
+    // fraction of the view range visible in the canvas, the rendered square slightly overflows it
+    visibleFraction() {
+        return visibleFraction(-this.camera.z);
+    }
+
+    // complex distance between two neighbouring pixels of the canvas on screen
+    pixelSize() {
+        return pixelSize(this.viewRange, this.canvas.clientHeight, -this.camera.z);
+    }
+
+    // updates the size of the drawing buffer and the aspect ratio of the canvas
+    updateCanvasRatio() {
+        this.resizeCanvas();
+        this.aspectRatio = this.canvas.clientWidth / this.canvas.clientHeight;
+    }
+
+    // sizes the drawing buffer to the canvas on screen times the device pixel ratio, up
+    // to the cap, so the pixels are sharp on high density screens. hidden canvases keep
+    // their size, resizing clears the canvas so it only happens on a change
+    resizeCanvas() {
+        if(this.canvas.clientWidth === 0 || this.canvas.clientHeight === 0) return;
+        const ratio = Math.min(globalThis.devicePixelRatio ?? 1.0, this.pixelRatioCap);
+        const width = Math.max(1, Math.round(this.canvas.clientWidth * ratio));
+        const height = Math.max(1, Math.round(this.canvas.clientHeight * ratio));
+        if(this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+
+    // canvas of the given size holding the centre of the picture in the canvas, cropped
+    // to the aspect ratio of the thumbnail
+    captureThumbnail(width, height) {
+        const thumbnail = document.createElement("canvas");
+        thumbnail.width = width;
+        thumbnail.height = height;
+        const scale = Math.max(width / this.canvas.width, height / this.canvas.height);
+        const sourceWidth = width / scale;
+        const sourceHeight = height / scale;
+        thumbnail.getContext("2d").drawImage(
+            this.canvas,
+            (this.canvas.width - sourceWidth) / 2, (this.canvas.height - sourceHeight) / 2,
+            sourceWidth, sourceHeight,
+            0, 0, width, height
+        );
+        return thumbnail;
+    }
+
+    // reports the time a frame took to render
+    reportFrameTime(time, gpu) {
+        if(this.onframetime !== null) {
+            this.onframetime(time, gpu);
+        }
+    }
+
+    // render the scene in the canvas at the given quality right away, the renderers
+    // drawing asynchronously return a promise resolved once the frame is complete
+    drawScene(quality = FULL_QUALITY) {
+        throw new TypeError(this.constructor.name + " does not implement drawScene");
+    }
+}
@@ -0,0 +1,27 @@
+// time in milliseconds a copy button tells how the copy went before showing its label again
+const COPY_FEEDBACK_DURATION = 1500;
+// timers putting the label of the copy buttons back, by button
+const feedbackTimers = new WeakMap();
+
+// copies the given text to the clipboard from a click on the given button, which tells
+// whether it was copied for a moment. resolves with whether it was: the clipboard is
+// missing on the insecure origins and refused without the permission or the focus
+export function copyText(button, text) {
+    // the label is kept from the first copy, the button shows the feedback of the last one
+    const label = button.dataset.label ?? button.textContent;
+    button.dataset.label = label;
+    const showFeedback = feedback => {
+        button.textContent = feedback;
+        clearTimeout(feedbackTimers.get(button));
+        feedbackTimers.set(button, setTimeout(() => button.textContent = label, COPY_FEEDBACK_DURATION));
+    };
+    return Promise.resolve()
+        .then(() => navigator.clipboard.writeText(text))
+        .then(() => {
+            showFeedback("Copied!");
+            return true;
+        }, () => {
+            showFeedback("Copy failed");
+            return false;
+        });
+}
@@ -0,0 +1,344 @@
+import { Brot } from "./brot.js";
+import { PALETTE_TEXTURE_SIZE, parseColor } from "./palettes.js";
+import { HISTOGRAM_BINS } from "./histogram.js";
+import { NOT_ESCAPED } from "./escapetime.js";
+import { FULL_QUALITY } from "./scheduler.js";
+import { BASIN_DARKENING, BUILTIN_FORMULAS } from "./formulas.js";
+
+// width and height in pixels of the tiles the workers render
+const CPU_TILE_SIZE = 128;
+// largest number of workers rendering the tiles of a canvas
+const MAX_RENDER_WORKERS = 8;
+
+// renders the fractal in a canvas with a 2D context when WebGL is unavailable. the pixels
+// are iterated in double precision by a pool of Web Workers, tile by tile from the centre
+// of the canvas, and coloured like the shaders colour them
+export class CPUBrot extends Brot {
+
+    // 2d context of the canvas
+    context = null;
+
+    // workers rendering the tiles
+    workers = [];
+
+    // workers waiting for a tile
+    idleWorkers = [];
+
+    // tiles of the current frame waiting for a worker
+    queue = [];
+
+    // number of the current frame, the tiles of the previous frames are dropped
+    generation = 0;
+
+    // number of tiles of the current frame not received yet
+    pendingTiles = 0;
+
+    // view of the current frame, posted to the workers along with the tiles
+    frame = null;
+
+    // dimensions of the current frame in pixels, and its maximum iteration
+    // the colours are spread over
+    frameWidth = 0;
+    frameHeight = 0;
+    frameMaxIter = 0;
+
+    // off-screen canvas the tiles are painted into before being stretched over the canvas
+    buffer = null;
+
+    // time the current frame was started at, in milliseconds
+    frameStart = 0;
+
+    // resolves the promise returned by drawScene for the current frame
+    resolveFrame = null;
+
+    // rejects the promise returned by drawScene for the current frame
+    rejectFrame = null;
+
+    // smoothed iterations of the current frame, kept for the histogram colouring
+    iterations = null;
+
+    // colours of the palette sampled like the palette texture
+    paletteData = null;
+
+    constructor(canvas){
+        super(canvas);
+        this.context = canvas.getContext("2d");
+        if(this.context === null) {
+            throw new TypeError("The canvas cannot provide a 2D context");
+        }
+
+        const count = Math.min(navigator.hardwareConcurrency || 2, MAX_RENDER_WORKERS);
+        for(let i = 0; i < count; i++) {
+            const worker = new Worker(new URL("./renderworker.js", import.meta.url), { type: "module" });
+            worker.onmessage = event => this.receiveTile(worker, event.data);
+            this.workers.push(worker);
+        }
+        this.idleWorkers = this.workers.slice();
+        this.buffer = new OffscreenCanvas(1, 1);
+        this.setPalette(this.palette);
+        this.initProgram();
+        // supersampling on the CPU would take four full frames
+        this.scheduler.refinements = [FULL_QUALITY];
+    }
+
+    // the supersampling and the jittered samples would take several full frames on the CPU,
+    // the mode is kept for the renderers taking over
+    setAntialiasing(mode) {
+        super.setAntialiasing(mode);
+        this.scheduler.refinements = [FULL_QUALITY];
+    }
+
+    // only the formulas with a JavaScript counterpart can be rendered by the workers, and
+    // only the built-in ones since the formulas registered at runtime are unknown to them
+    initProgram() {
+        if(this.formula.cpu === null || !BUILTIN_FORMULAS.has(this.formula.id)) {
+            throw new RangeError("The " + this.formula.name + " formula cannot be rendered without WebGL");
+        }
+    }
+
+    // samples the given palette like the palette texture
+    setPalette(palette) {
+        this.palette = palette;
+        this.paletteData = palette.textureData();
+    }
+
+    // render the scene in the canvas at the given quality, the tiles are drawn as the
+    // workers render them. resolves once the frame is complete or replaced by a new one
+    drawScene(quality = FULL_QUALITY) {
+        this.quality = quality;
+        // recalculate canvas aspect ratio on screen
+        this.updateCanvasRatio();
+
+        const width = Math.max(1, Math.round(this.canvas.width * quality.resolution));
+        const height = Math.max(1, Math.round(this.canvas.height * quality.resolution));
+        this.frameWidth = width;
+        this.frameHeight = height;
+        this.frameMaxIter = parseInt(this.maxIter);
+        this.buffer.width = width;
+        this.buffer.height = height;
+        this.generation++;
+        this.frameStart = performance.now();
+        this.frame = {
+            formula: this.formula.id,
+            x: this.viewOrigin.x.toNumber(),
+            y: this.viewOrigin.y.toNumber(),
+            range: this.viewRange.toNumber(),
+            aspectRatio: this.aspectRatio,
+            maxIter: this.iterationLimit(),
+            iterationCap: this.iterationCap,
+            escape: this.escapeVal,
+            julia: this.julia,
+            juliaC: {
+                x: this.juliaC.x,
+                y: this.juliaC.y
+            },
+            parameters: this.formulaParameters.slice(),
+            smoothColoring: this.smoothColoring
+        };
+        this.iterations = new Float32Array(width * height);
+
+        // the tiles closest to the centre of the canvas are rendered first
+        this.queue = [];
+        for(let y = 0; y < height; y += CPU_TILE_SIZE) {
+            for(let x = 0; x < width; x += CPU_TILE_SIZE) {
+                this.queue.push({
+                    x: x,
+                    y: y,
+                    width: Math.min(CPU_TILE_SIZE, width - x),
+                    height: Math.min(CPU_TILE_SIZE, height - y)
+                });
+            }
+        }
+        const distance = tile => Math.hypot(tile.x + tile.width / 2 - width / 2, tile.y + tile.height / 2 - height / 2);
+        this.queue.sort((a, b) => distance(b) - distance(a));
+        this.pendingTiles = this.queue.length;
+
+        // the busy workers take the new tiles once they are done with their outdated one
+        this.idleWorkers.splice(0).forEach(worker => this.renderNextTile(worker));
+
+        if(this.ondraw !== null) {
+            this.ondraw();
+        }
+
+        if(this.resolveFrame !== null) {
+            this.resolveFrame();
+        }
+        return new Promise((resolve, reject) => {
+            this.resolveFrame = resolve;
+            this.rejectFrame = reject;
+        });
+    }
+
+    // posts the next tile of the queue to the given worker, or lets it wait for the next frame
+    renderNextTile(worker) {
+        const tile = this.queue.pop();
+        if(tile === undefined) {
+            this.idleWorkers.push(worker);
+            return;
+        }
+        worker.postMessage({
+            generation: this.generation,
+            view: this.frame,
+            width: this.frameWidth,
+            height: this.frameHeight,
+            tile: tile
+        });
+    }
+
+    // draws a tile rendered by a worker, the histogram colouring waits for the whole frame.
+    // the first error fails the frame, its other tiles would fail the same way
+    receiveTile(worker, message) {
+        if(message.generation === this.generation && message.error !== undefined) {
+            this.queue = [];
+            // the tiles still being rendered are dropped
+            this.generation++;
+            this.renderNextTile(worker);
+            this.rejectFrame(new Error("Unable to render the frame: " + message.error));
+            this.resolveFrame = null;
+            this.rejectFrame = null;
+            return;
+        }
+        this.renderNextTile(worker);
+        if(message.generation !== this.generation) return;
+
+        const tile = message.tile;
+        for(let row = 0; row < tile.height; row++) {
+            this.iterations.set(
+                message.iterations.subarray(row * tile.width, (row + 1) * tile.width),
+                (tile.y + row) * this.frameWidth + tile.x
+            );
+        }
+        if(!this.histogramColoring) {
+            this.paintIterations(message.iterations, tile, this.frameMaxIter, message.basins);
+        }
+
+        this.pendingTiles--;
+        if(this.pendingTiles === 0) {
+            if(this.histogramColoring) {
+                this.paintHistogram();
+            }
+            if(this.quality === FULL_QUALITY && this.autoIterations && this.adaptiveIterations) {
+                this.measureBorder();
+            }
+            this.reportFrameTime(performance.now() - this.frameStart, false);
+            this.resolveFrame();
+            this.resolveFrame = null;
+            this.rejectFrame = null;
+        }
+    }
+
+    // measures the fraction of the border of the frame inside the set
+    measureBorder() {
+        const width = this.frameWidth;
+        const height = this.frameHeight;
+        let inside = 0;
+        let count = 0;
+        const visit = index => {
+            count++;
+            if(this.iterations[index] === NOT_ESCAPED) inside++;
+        };
+        for(let x = 0; x < width; x++) {
+            visit(x);
+            visit((height - 1) * width + x);
+        }
+        for(let y = 0; y < height; y++) {
+            visit(y * width);
+            visit(y * width + width - 1);
+        }
+        this.frameStats = {
+            interiorBorder: inside / count
+        };
+    }
+
+    // colours the iterations of a region of the frame with the palette, or the basins of
+    // its pixels if given, and stretches it over the matching region of the canvas
+    paintIterations(iterations, region, maxIterations, basins = null) {
+        const image = new ImageData(region.width, region.height);
+        const interiorColor = parseColor(this.interiorColor);
+        for(let i = 0; i < iterations.length; i++) {
+            if(basins !== null && iterations[i] !== NOT_ESCAPED) {
+                this.colorizeBasin(image.data, i * 4, basins[i], iterations[i]);
+            } else {
+                this.colorize(image.data, i * 4, iterations[i], maxIterations, interiorColor);
+            }
+        }
+        this.buffer.getContext("2d").putImageData(image, region.x, region.y);
+
+        const scale = this.canvas.width / this.frameWidth;
+        this.context.drawImage(
+            this.buffer,
+            region.x, region.y, region.width, region.height,
+            region.x * scale, region.y * scale, region.width * scale, region.height * scale
+        );
+    }
+
+    // colours the whole frame through the cumulative distribution of its iterations,
+    // like the second pass of the histogram colouring does
+    paintHistogram() {
+        const maxIter = this.frameMaxIter;
+        // position of an iteration in the histogram, clamped like the packed iteration counts
+        const position = iteration => Math.min(Math.max(iteration / (maxIter + 1), 0.0), 0.999999) * HISTOGRAM_BINS;
+
+        const distribution = new Float64Array(HISTOGRAM_BINS);
+        let total = 0;
+        for(const iteration of this.iterations) {
+            // points inside the set are not part of the histogram
+            if(iteration === NOT_ESCAPED) continue;
+            distribution[Math.floor(position(iteration))]++;
+            total++;
+        }
+        for(let bin = 0, sum = 0; bin < HISTOGRAM_BINS; bin++) {
+            sum += distribution[bin];
+            distribution[bin] = total > 0 ? sum / total : 0.0;
+        }
+
+        // the distribution is interpolated between the bounds of the bin of each iteration
+        const values = this.iterations.map(iteration => {
+            if(iteration === NOT_ESCAPED) return NOT_ESCAPED;
+            const t = position(iteration);
+            const bin = Math.floor(t);
+            const lower = bin > 0 ? distribution[bin - 1] : 0.0;
+            return lower + (distribution[bin] - lower) * (t - bin);
+        });
+        this.paintIterations(values, { x: 0, y: 0, width: this.frameWidth, height: this.frameHeight }, 1.0);
+    }
+
+    // writes the RGBA colour of an iteration at the given index of the pixels, following
+    // the colorize function of the shaders
+    colorize(pixels, index, iteration, maxIterations, interiorColor) {
+        pixels[index + 3] = 255;
+        if(iteration === NOT_ESCAPED) {
+            pixels.set(interiorColor, index);
+            return;
+        }
+        this.paletteColor(pixels, index, iteration / maxIterations);
+    }
+
+    // writes the colour of the basin at the given palette position, darkened with the
+    // iterations the orbit took to settle, like the basin colouring of the shaders
+    colorizeBasin(pixels, index, basin, iteration) {
+        pixels[index + 3] = 255;
+        this.paletteColor(pixels, index, basin);
+        const brightness = Math.exp(-BASIN_DARKENING * iteration);
+        for(let component = 0; component < 3; component++) {
+            pixels[index + component] *= brightness;
+        }
+    }
+
+    // writes the RGB colour of the palette at t, repeated and shifted, at the given index
+    // of the pixels
+    paletteColor(pixels, index, t) {
+        t = t * this.paletteRepeat + this.paletteOffset;
+        t -= Math.floor(t);
+        // linear interpolation between the texels like the palette texture sampling
+        const position = t * (PALETTE_TEXTURE_SIZE - 1);
+        const texel = Math.floor(position);
+        const next = Math.min(texel + 1, PALETTE_TEXTURE_SIZE - 1);
+        const weight = position - texel;
+        for(let component = 0; component < 3; component++) {
+            const from = this.paletteData[texel * 4 + component];
+            const to = this.paletteData[next * 4 + component];
+            pixels[index + component] = from + (to - from) * weight;
+        }
+    }
+}
@@ -0,0 +1,339 @@
+import { BigFloat } from "./bigfloat.js";
+import { COLORING_GLSL } from "./palettes.js";
+import { MAX_SHADER_ITERATIONS, COMPLEX_GLSL } from "./formulas.js";
+import { SHADING_GLSL, SHADING_MODES } from "./shading.js";
+import { iterationLoop } from "./glsl.js";
+
+// view range under which the single precision shader is replaced by the perturbation one
+export const DEEP_ZOOM_THRESHOLD = 1.0e-3;
+// width in texels of the texture the reference orbit is uploaded to
+export const ORBIT_TEXTURE_WIDTH = 1024;
+// squared modulus after which the reference orbit is considered escaped
+const REFERENCE_BAILOUT = 1.0e8;
+// bits of precision kept below the view range when computing the reference orbit
+export const REFERENCE_GUARD_BITS = 64;
+// number of candidates per axis probed when the orbit of the view centre escapes too early
+const REFERENCE_PROBE_GRID = 5;
+
+// fragment shader program iterating the per-pixel deltas against a reference orbit, its loop
+// is compiled for the given number of iterations, or bounded by the iteration
+// limit alone if null. the delta d of a pixel orbit from the
+// reference orbit Z follows d' = 2Zd + d² + dc, it is stored as w * 2^s so it can go far
+// below the smallest single precision float. the derivative dz of the orbit follows
+// dz' = 2(Z + d)dz + 1, it is stored as v * 2^t so it can go far above the largest one
+export function perturbationSource(loopCap = MAX_SHADER_ITERATIONS) {
+    return `
+    precision highp float;
+
+    varying vec2 vTextureCoord;
+
+    uniform float uRealAspectRatio;
+    uniform int uMaxIterations;
+    uniform int uIterationLimit;
+    uniform float uEscapeValue;
+
+    // view range is uViewRange * 2^uViewRangeExponent
+    uniform float uViewRange;
+    uniform float uViewRangeExponent;
+    // offset of the view centre from the reference point, in units of 2^uViewRangeExponent
+    uniform vec2 uReferenceOffset;
+
+    // reference orbit, one point per texel
+    uniform highp sampler2D uOrbit;
+    uniform vec2 uOrbitSize;
+    uniform float uOrbitLength;
+
+    ${COMPLEX_GLSL}
+    ${COLORING_GLSL}
+    ${SHADING_GLSL}
+
+    vec2 orbitPoint(float index) {
+        float row = floor(index / uOrbitSize.x);
+        float column = index - row * uOrbitSize.x;
+        return texture2D(uOrbit, (vec2(column, row) + vec2(0.5)) / uOrbitSize).xy;
+    }
+
+    void main(void) {
+
+        vec2 uv = vTextureCoord;
+        vec2 dc = (uv - vec2(0.5)) * vec2(uRealAspectRatio, 1.0) * uViewRange + uReferenceOffset;
+
+        vec2 w = vec2(0.0);
+        float s = uViewRangeExponent;
+
+        float reference = 0.0;
+        vec2 referencePoint = vec2(0.0);
+
+        int iter = 0;
+        bool escaped = false;
+        vec2 z = vec2(0.0);
+
+        // derivative of the orbit, for the distance estimation and the lighting, and the
+        // closest distance of the orbit to the trap
+        vec2 v = vec2(0.0);
+        float t = 0.0;
+        float trap = 1.0e20;
+        ${iterationLoop(loopCap)}
+
+            if(uShading == ${SHADING_MODES.distance.id} || uShading == ${SHADING_MODES.lighting.id}) {
+                v = 2.0 * complexMul(z, v) + vec2(exp2(-t), 0.0);
+                // move the magnitude of the derivative into its exponent once it grows
+                float derivativeSize = max(abs(v.x), abs(v.y));
+                if(derivativeSize > 1.0) {
+                    float derivativeShift = floor(log2(derivativeSize));
+                    v *= exp2(-derivativeShift);
+                    t += derivativeShift;
+                }
+            }
+
+            w = 2.0 * complexMul(referencePoint, w)
+                + exp2(s) * complexMul(w, w)
+                + dc * exp2(uViewRangeExponent - s);
+
+            // move the magnitude of the delta into its exponent while it is too small
+            // to be represented as a plain float
+            float size = max(abs(w.x), abs(w.y));
+            if(s < 0.0 && size > 0.0) {
+                float shift = min(floor(log2(size)), -s);
+                w *= exp2(-shift);
+                s += shift;
+            }
+
+            reference += 1.0;
+            referencePoint = orbitPoint(reference);
+
+            z = referencePoint + w * exp2(s);
+            if(uShading == ${SHADING_MODES.trap.id}) {
+                trap = min(trap, trapDistance(z));
+            }
+            if(dot(z, z) > uEscapeValue * uEscapeValue){
+                iter = i;
+                escaped = true;
+                break;
+            }
+
+            // glitch detection: once the orbit gets closer to zero than to the reference
+            // orbit the delta loses its precision. the delta underflows as a plain float in
+            // the deep zooms, so the orbit is compared to it at its scale: z / 2^s, through
+            // the exponent of Z since 2^-s overflows. the reference is only that close to
+            // zero when it is within a few deltas of it
+            float referenceSize = max(abs(referencePoint.x), abs(referencePoint.y));
+            float deltaSize = max(abs(w.x), abs(w.y));
+            bool nearZero = deltaSize > 0.0
+                && (referenceSize == 0.0 || log2(referenceSize) - s < log2(deltaSize) + 2.0);
+            vec2 scaled = w;
+            if(nearZero && referenceSize > 0.0) {
+                float referenceExponent = max(floor(log2(referenceSize)), -126.0);
+                scaled += referencePoint * exp2(-referenceExponent) * exp2(referenceExponent - s);
+            }
+
+            // the glitched orbits, and the ones outliving the reference orbit, are rebased
+            // on the start of the reference orbit: the whole orbit point becomes the delta
+            if((nearZero && dot(scaled, scaled) < dot(w, w)) || reference >= uOrbitLength - 1.0) {
+                if(nearZero) {
+                    w = scaled;
+                } else {
+                    w = z;
+                    s = 0.0;
+                }
+                reference = 0.0;
+                referencePoint = vec2(0.0);
+            }
+        }
+
+        float iteration = float(iter);
+        if(uSmoothColoring && escaped && uEscapeValue > 1.0) {
+            iteration = smoothIteration(iteration, z, uEscapeValue, 2.0);
+        }
+
+        // the pixel size is sent in units of 2^uViewRangeExponent, the derivative is
+        // scaled to match so the distance estimate stays within the floats
+        vec2 dz = v * exp2(t + uViewRangeExponent);
+        gl_FragColor = shade(escaped, iteration, float(uMaxIterations), z, dz, trap);
+    }
+`;
+}
+
+// single precision counterpart of the loop of the perturbation shader, so its rebasing can
+// be checked against the exact orbits: follows the orbit of the pixel at the offset dc
+// from the reference point, in units of 2^exponent, against the given reference orbit.
+// returns whether it escaped, at which iteration, and its points as deltas w * 2^s from
+// the point of the reference orbit of index reference
+export function perturbedOrbit(orbit, dc, exponent, maxIter, escape) {
+    const f = Math.fround;
+    const mul = (a, b) => ({
+        x: f(f(a.x * b.x) - f(a.y * b.y)),
+        y: f(f(a.x * b.y) + f(a.y * b.x))
+    });
+    const orbitPoint = index => ({ x: orbit.data[index * 4], y: orbit.data[index * 4 + 1] });
+
+    let w = { x: 0.0, y: 0.0 };
+    let s = exponent;
+    let reference = 0;
+    let referencePoint = { x: 0.0, y: 0.0 };
+    const points = [];
+    for(let i = 0; i <= maxIter; i++) {
+        const linear = mul(referencePoint, w);
+        const square = mul(w, w);
+        const deltaScale = f(Math.pow(2, s));
+        const offsetScale = f(Math.pow(2, exponent - s));
+        w = {
+            x: f(f(f(2.0 * linear.x) + f(deltaScale * square.x)) + f(dc.x * offsetScale)),
+            y: f(f(f(2.0 * linear.y) + f(deltaScale * square.y)) + f(dc.y * offsetScale))
+        };
+
+        const size = Math.max(Math.abs(w.x), Math.abs(w.y));
+        if(s < 0.0 && size > 0.0) {
+            const shift = Math.min(Math.floor(Math.log2(size)), -s);
+            w = { x: f(w.x * Math.pow(2, -shift)), y: f(w.y * Math.pow(2, -shift)) };
+            s += shift;
+        }
+
+        reference++;
+        referencePoint = orbitPoint(reference);
+        points.push({ reference: reference, w: w, s: s });
+
+        const scale = f(Math.pow(2, s));
+        const z = {
+            x: f(referencePoint.x + f(w.x * scale)),
+            y: f(referencePoint.y + f(w.y * scale))
+        };
+        if(z.x * z.x + z.y * z.y > escape * escape) {
+            return { escaped: true, iteration: i, points: points };
+        }
+
+        const referenceSize = Math.max(Math.abs(referencePoint.x), Math.abs(referencePoint.y));
+        const deltaSize = Math.max(Math.abs(w.x), Math.abs(w.y));
+        const nearZero = deltaSize > 0.0
+            && (referenceSize === 0.0 || Math.log2(referenceSize) - s < Math.log2(deltaSize) + 2.0);
+        let scaled = w;
+        if(nearZero && referenceSize > 0.0) {
+            const referenceExponent = Math.max(Math.floor(Math.log2(referenceSize)), -126.0);
+            const normalized = f(Math.pow(2, -referenceExponent));
+            const rescaled = f(Math.pow(2, referenceExponent - s));
+            scaled = {
+                x: f(w.x + f(f(referencePoint.x * normalized) * rescaled)),
+                y: f(w.y + f(f(referencePoint.y * normalized) * rescaled))
+            };
+        }
+        if((nearZero && scaled.x * scaled.x + scaled.y * scaled.y < w.x * w.x + w.y * w.y)
+            || reference >= orbit.length - 1) {
+            if(nearZero) {
+                w = scaled;
+            } else {
+                w = z;
+                s = 0.0;
+            }
+            reference = 0;
+            referencePoint = { x: 0.0, y: 0.0 };
+        }
+    }
+    return { escaped: false, iteration: maxIter, points: points };
+}
+
+// orbit of z -> z² + c for a reference point c, computed with BigInt fixed-point arithmetic
+export class ReferenceOrbit {
+
+    // coordinates of the reference point as BigFloat
+    x = null;
+    y = null;
+
+    // maximum iteration the orbit was computed for
+    maxIter = 0;
+
+    // number of fractional bits used by the fixed-point arithmetic
+    bits = 0;
+
+    // orbit points stored as RGBA texels (real, imaginary, 0, 0)
+    data = null;
+
+    // number of points of the orbit, including the starting zero
+    length = 0;
+
+    constructor(x, y, maxIter, bits) {
+        this.x = x;
+        this.y = y;
+        this.maxIter = maxIter;
+        this.bits = bits;
+        this.compute();
+    }
+
+    // iterates the reference point until it escapes or reaches the maximum iteration
+    compute() {
+        const bits = BigInt(this.bits);
+        const cReal = this.x.toFixed(this.bits);
+        const cImaginary = this.y.toFixed(this.bits);
+        const bailout = BigInt(REFERENCE_BAILOUT) << bits;
+
+        // the shader can read one point past the maximum iteration
+        const maxLength = this.maxIter + 2;
+        this.data = new Float32Array(Math.ceil(maxLength / ORBIT_TEXTURE_WIDTH) * ORBIT_TEXTURE_WIDTH * 4);
+
+        let zReal = 0n;
+        let zImaginary = 0n;
+        this.length = 0;
+        while(this.length < maxLength) {
+            this.data[this.length * 4] = new BigFloat(zReal, -this.bits).toNumber();
+            this.data[this.length * 4 + 1] = new BigFloat(zImaginary, -this.bits).toNumber();
+            this.length++;
+
+            const zReal2 = (zReal * zReal) >> bits;
+            const zImaginary2 = (zImaginary * zImaginary) >> bits;
+            if(zReal2 + zImaginary2 > bailout) break;
+
+            zImaginary = ((zReal * zImaginary) >> (bits - 1n)) + cImaginary;
+            zReal = zReal2 - zImaginary2 + cReal;
+        }
+    }
+
+    // whether the orbit reached the maximum iteration without escaping
+    isComplete() {
+        return this.length >= this.maxIter + 2;
+    }
+
+    // offset of the given point from the reference point, in units of 2^exponent
+    offset(x, y, exponent) {
+        return {
+            x: x.sub(this.x).shift(-exponent).toNumber(),
+            y: y.sub(this.y).shift(-exponent).toNumber()
+        };
+    }
+
+    // whether the orbit can still serve as a reference for the given view
+    fits(origin, range, aspectRatio, maxIter) {
+        if(maxIter !== this.maxIter || this.bits < referenceBits(range)) return false;
+        // the reference point has to stay inside the view
+        const offset = this.offset(origin.x, origin.y, range.ilog2());
+        const mantissa = range.shift(-range.ilog2()).toNumber();
+        return Math.abs(offset.x) <= mantissa * aspectRatio / 2 && Math.abs(offset.y) <= mantissa / 2;
+    }
+}
+
+// number of fractional bits needed for a reference orbit at the given view range
+function referenceBits(range) {
+    return Math.max(REFERENCE_GUARD_BITS, REFERENCE_GUARD_BITS - range.ilog2());
+}
+
+// computes the reference orbit of the view centre, or of the point of the view with the
+// longest orbit if the centre escapes before the maximum iteration
+export function findReferenceOrbit(origin, range, aspectRatio, maxIter) {
+    const bits = referenceBits(range);
+    let best = new ReferenceOrbit(origin.x, origin.y, maxIter, bits);
+
+    for(let i = 0; i < REFERENCE_PROBE_GRID && !best.isComplete(); i++) {
+        for(let j = 0; j < REFERENCE_PROBE_GRID && !best.isComplete(); j++) {
+            const u = i / (REFERENCE_PROBE_GRID - 1) - 0.5;
+            const v = j / (REFERENCE_PROBE_GRID - 1) - 0.5;
+            if(u === 0 && v === 0) continue;
+            const candidate = new ReferenceOrbit(
+                origin.x.add(range.mul(u * aspectRatio)),
+                origin.y.add(range.mul(v)),
+                maxIter,
+                bits
+            );
+            if(candidate.length > best.length) best = candidate;
+        }
+    }
+
+    return best;
+}
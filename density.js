@@ -0,0 +1,340 @@
+import { startOrbit, orbitEscaped } from "./escapetime.js";
+import { inMainCardioid, inPeriodTwoBulb } from "./orbit.js";
+import { visibleFraction } from "./view.js";
+
+// density plots of the escaping orbits, by identifier, with their label in the settings:
+// the buddhabrot counts the orbits escaping within the maximum iteration of the view in
+// every channel, the nebulabrot has an iteration limit per channel
+export const DENSITY_MODES = {
+    buddhabrot: { name: "Buddhabrot" },
+    nebulabrot: { name: "Nebulabrot" }
+};
+// iteration limits of the red, green and blue channels of the nebulabrot
+export const DEFAULT_CHANNEL_LIMITS = {
+    red: 5000,
+    green: 500,
+    blue: 50
+};
+// curves mapping the count of orbit points of a pixel to its brightness, relative to the
+// largest count of its channel
+export const TONE_CURVES = {
+    linear: { name: "Linear", map: (count, max) => count / max },
+    sqrt: { name: "Square root", map: (count, max) => Math.sqrt(count / max) },
+    log: { name: "Logarithmic", map: (count, max) => Math.log1p(count) / Math.log1p(max) }
+};
+export const DEFAULT_TONE_CURVE = "sqrt";
+// side of the square the starting points are sampled in, relative to the default view range
+// of the formula. the orbits passing through the view may start anywhere in the set
+const SAMPLE_REGION_SCALE = 0.6;
+// time in milliseconds a worker samples orbits for before posting its counts, shorter
+// for the first batches of a view so it shows up soon after it stopped moving
+const BATCH_DURATION = 1000;
+const FIRST_BATCH_DURATION = 200;
+// shortest time in milliseconds between two paintings of the accumulated counts
+const PAINT_INTERVAL = 1000;
+// largest number of workers sampling the orbits
+const MAX_DENSITY_WORKERS = 8;
+
+// adds the points of the orbits escaping among the given number of random starting points
+// to the counts of the pixels they fall in, three channels per pixel row after row from
+// the top of a canvas of the given dimensions. the view is described like in renderTile
+// along with the iteration limit of each channel and the sampled region, an orbit is
+// counted in the channels whose limit it escapes within
+export function accumulateOrbits(formula, view, width, height, counts, samples, random = Math.random) {
+    const limits = view.limits;
+    const maxLimit = Math.max(...limits);
+    const orbit = new Float64Array(maxLimit * 2);
+    const previous = { x: 0.0, y: 0.0 };
+    // the points of the main cardioid and of the period 2 bulb never escape
+    const skipBulbs = formula.id === "mandelbrot" && !view.julia;
+    // complex size of the view, the rendered square overflows the canvas
+    const fraction = visibleFraction();
+    const viewWidth = view.range * view.aspectRatio * fraction;
+    const viewHeight = view.range * fraction;
+    const left = view.x - viewWidth / 2;
+    const top = view.y - viewHeight / 2;
+
+    for(let sample = 0; sample < samples; sample++) {
+        const px = view.region.x + (random() - 0.5) * view.region.size;
+        const py = view.region.y + (random() - 0.5) * view.region.size;
+        if(skipBulbs && (inMainCardioid(px, py) || inPeriodTwoBulb(px, py))) continue;
+
+        const { z, c } = startOrbit(formula, px, py, view);
+        let escapeIteration = -1;
+        for(let i = 0; i < maxLimit; i++) {
+            previous.x = z.x;
+            previous.y = z.y;
+            formula.cpu.iterate(z, c, view.parameters);
+            orbit[i * 2] = z.x;
+            orbit[i * 2 + 1] = z.y;
+            if(orbitEscaped(formula, z, previous, view)) {
+                escapeIteration = i;
+                break;
+            }
+        }
+        if(escapeIteration === -1) continue;
+
+        for(let i = 0; i <= escapeIteration; i++) {
+            const column = Math.floor((orbit[i * 2] - left) / viewWidth * width);
+            const row = Math.floor((orbit[i * 2 + 1] - top) / viewHeight * height);
+            if(column < 0 || column >= width || row < 0 || row >= height) continue;
+            const index = (row * width + column) * 3;
+            for(let channel = 0; channel < 3; channel++) {
+                if(escapeIteration < limits[channel]) {
+                    counts[index + channel]++;
+                }
+            }
+        }
+    }
+}
+
+// RGBA pixels of the counts of orbit points through the given tone curve
+export function toneMapCounts(counts, curve) {
+    if(TONE_CURVES[curve] === undefined) {
+        throw new RangeError("Unknown tone curve: " + curve);
+    }
+    const map = TONE_CURVES[curve].map;
+    const max = [0, 0, 0];
+    for(let i = 0; i < counts.length; i++) {
+        max[i % 3] = Math.max(max[i % 3], counts[i]);
+    }
+    const pixels = new Uint8ClampedArray(counts.length / 3 * 4);
+    for(let pixel = 0; pixel < counts.length / 3; pixel++) {
+        for(let channel = 0; channel < 3; channel++) {
+            const count = counts[pixel * 3 + channel];
+            pixels[pixel * 4 + channel] = count > 0 ? map(count, max[channel]) * 255 : 0;
+        }
+        pixels[pixel * 4 + 3] = 255;
+    }
+    return pixels;
+}
+
+// renders the density plot of the escaping orbits of the view of a Brot in a canvas over
+// it. a pool of Web Workers samples random starting points for as long as the view stays
+// the same and the counts they post are painted every now and then, so the picture
+// sharpens the longer it is left alone
+export class DensityRenderer {
+
+    // canvas the density plot is painted in, and its 2d context
+    canvas = null;
+    context = null;
+
+    // workers sampling the orbits, created once the renderer is first started
+    workers = [];
+
+    // workers waiting for the sampling to be resumed
+    idleWorkers = [];
+
+    // density plot rendered, one of DENSITY_MODES, or null when the renderer is stopped
+    mode = null;
+
+    // iteration limits of the nebulabrot channels
+    limits = { ...DEFAULT_CHANNEL_LIMITS };
+
+    // curve the counts are painted through, one of TONE_CURVES
+    toneCurve = DEFAULT_TONE_CURVE;
+
+    // whether the sampling is paused
+    paused = false;
+
+    // number of the current view, the counts of the previous views are dropped
+    generation = 0;
+
+    // view posted to the workers, and its JSON to tell when it changes
+    frame = null;
+    frameKey = null;
+
+    // dimensions of the density plot in pixels
+    width = 0;
+    height = 0;
+
+    // counts of orbit points of the current view, three channels per pixel
+    counts = null;
+
+    // number of starting points sampled for the current view
+    samples = 0;
+
+    // timer of the interval after a painting, null when the counts can be painted at once
+    paintTimer = null;
+
+    // whether counts were added since the last painting
+    unpainted = false;
+
+    // message of the error the sampling of the current view stopped on, null while the
+    // view is sampled
+    error = null;
+
+    // callback called with the number of sampled starting points after each batch
+    onprogress = null;
+
+    // callback called with the message of the error stopping the sampling of a view
+    onerror = null;
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext("2d");
+        if(this.context === null) {
+            throw new TypeError("The canvas cannot provide a 2D context");
+        }
+    }
+
+    // starts rendering the given density plot of the view of the given Brot
+    start(mode, brot) {
+        if(DENSITY_MODES[mode] === undefined) {
+            throw new RangeError("Unknown density plot: " + mode);
+        }
+        if(this.workers.length === 0) {
+            const count = Math.min(navigator.hardwareConcurrency || 2, MAX_DENSITY_WORKERS);
+            for(let i = 0; i < count; i++) {
+                const worker = new Worker(new URL("./densityworker.js", import.meta.url), { type: "module" });
+                worker.onmessage = event => this.receiveBatch(worker, event.data);
+                this.workers.push(worker);
+            }
+            this.idleWorkers = this.workers.slice();
+        }
+        this.mode = mode;
+        this.frameKey = null;
+        this.canvas.classList.remove("d-none");
+        this.follow(brot);
+    }
+
+    // stops sampling and hides the density plot, the batches being sampled are dropped
+    stop() {
+        this.mode = null;
+        this.generation++;
+        this.counts = null;
+        clearTimeout(this.paintTimer);
+        this.paintTimer = null;
+        this.canvas.classList.add("d-none");
+    }
+
+    // pauses or resumes the sampling, the counts are kept
+    setPaused(paused) {
+        this.paused = paused;
+        if(!paused) {
+            this.idleWorkers.splice(0).forEach(worker => this.sampleNextBatch(worker));
+        }
+    }
+
+    // starts sampling again if the view of the Brot or its orbits changed since the last call
+    follow(brot) {
+        if(this.mode === null) return;
+        if(brot.formula.cpu === null) {
+            // the workers drop the batches of the previous view
+            this.generation++;
+            this.frameKey = null;
+            this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            throw new RangeError("The orbits of the " + brot.formula.name + " formula cannot be followed");
+        }
+        const maxIter = parseInt(brot.maxIter);
+        const width = Math.max(1, Math.round(this.canvas.clientWidth));
+        const height = Math.max(1, Math.round(this.canvas.clientHeight));
+        const frame = {
+            formula: brot.formula.id,
+            x: brot.viewOrigin.x.toNumber(),
+            y: brot.viewOrigin.y.toNumber(),
+            range: brot.viewRange.toNumber(),
+            aspectRatio: width / height,
+            limits: this.mode === "buddhabrot"
+                ? [maxIter, maxIter, maxIter]
+                : [this.limits.red, this.limits.green, this.limits.blue],
+            escape: brot.escapeVal,
+            julia: brot.julia,
+            juliaC: {
+                x: brot.juliaC.x,
+                y: brot.juliaC.y
+            },
+            parameters: brot.formulaParameters.slice(),
+            region: {
+                x: brot.formula.view.origin.x,
+                y: brot.formula.view.origin.y,
+                size: brot.formula.view.range * SAMPLE_REGION_SCALE
+            }
+        };
+        const key = JSON.stringify([frame, width, height]);
+        if(key === this.frameKey) return;
+
+        this.frameKey = key;
+        this.frame = frame;
+        this.generation++;
+        this.samples = 0;
+        this.error = null;
+        // the previous picture stays until the first batch of the view is painted
+        if(this.counts !== null && width === this.width && height === this.height) {
+            this.counts.fill(0);
+        } else {
+            this.width = width;
+            this.height = height;
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this.counts = new Uint32Array(width * height * 3);
+        }
+        if(!this.paused) {
+            this.idleWorkers.splice(0).forEach(worker => this.sampleNextBatch(worker));
+        }
+    }
+
+    // posts the next batch of the current view to the given worker, or lets it wait
+    sampleNextBatch(worker) {
+        if(this.mode === null || this.paused || this.error !== null) {
+            this.idleWorkers.push(worker);
+            return;
+        }
+        worker.postMessage({
+            generation: this.generation,
+            view: this.frame,
+            width: this.width,
+            height: this.height,
+            duration: this.samples === 0 ? FIRST_BATCH_DURATION : BATCH_DURATION
+        });
+    }
+
+    // adds the counts of a batch sampled by a worker, they are painted with the next ones.
+    // the first error stops the sampling of the view, its next batches would fail the same
+    // way, for instance with a formula registered at runtime the workers do not know
+    receiveBatch(worker, message) {
+        if(message.generation === this.generation && message.error !== undefined) {
+            this.error = message.error;
+            // the batches still being sampled are dropped
+            this.generation++;
+            this.idleWorkers.push(worker);
+            if(this.onerror !== null) {
+                this.onerror(message.error);
+            }
+            return;
+        }
+        this.sampleNextBatch(worker);
+        if(message.generation !== this.generation) return;
+
+        for(let i = 0; i < message.counts.length; i++) {
+            this.counts[i] += message.counts[i];
+        }
+        this.samples += message.samples;
+        if(this.onprogress !== null) {
+            this.onprogress(this.samples);
+        }
+        this.unpainted = true;
+        this.schedulePaint();
+    }
+
+    // paints the counts at once unless they were painted less than PAINT_INTERVAL ago,
+    // in which case they are painted at the end of the interval
+    schedulePaint() {
+        if(this.paintTimer !== null) return;
+        this.paint();
+        this.paintTimer = setTimeout(() => {
+            this.paintTimer = null;
+            if(this.unpainted) {
+                this.schedulePaint();
+            }
+        }, PAINT_INTERVAL);
+    }
+
+    // paints the counts through the tone curve, again at once when the curve changes
+    paint() {
+        this.unpainted = false;
+        if(this.counts === null) return;
+        const image = new ImageData(toneMapCounts(this.counts, this.toneCurve), this.width, this.height);
+        this.context.putImageData(image, 0, 0);
+    }
+}
@@ -0,0 +1,26 @@
+import { getFormula } from "./formulas.js";
+import { accumulateOrbits } from "./density.js";
+
+// number of starting points sampled between two looks at the clock
+const SAMPLE_CHUNK = 1000;
+
+// samples the orbits posted by DensityRenderer. a message holds the generation of the
+// view, the view, the canvas dimensions and the time to sample for, the counts are
+// posted back with the number of samples and the same generation so the batches of an
+// outdated view can be told apart
+self.onmessage = event => {
+    const { generation, view, width, height, duration } = event.data;
+    try {
+        const formula = getFormula(view.formula);
+        const counts = new Uint32Array(width * height * 3);
+        const deadline = performance.now() + duration;
+        let samples = 0;
+        do {
+            accumulateOrbits(formula, view, width, height, counts, SAMPLE_CHUNK);
+            samples += SAMPLE_CHUNK;
+        } while(performance.now() < deadline);
+        self.postMessage({ generation: generation, counts: counts, samples: samples }, [counts.buffer]);
+    } catch(error) {
+        self.postMessage({ generation: generation, error: error.message });
+    }
+};
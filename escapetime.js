@@ -0,0 +1,158 @@
+import { MAX_SHADER_ITERATIONS } from "./formulas.js";
+import { visibleFraction } from "./view.js";
+
+// iteration stored in the iteration buffer for the points that never escaped
+export const NOT_ESCAPED = -1;
+
+// shorthand rounding every operation to single precision like the shader does
+const f32 = Math.fround;
+
+// iteration at which the orbit of z -> z² + c starting at z escapes the given radius, or
+// NOT_ESCAPED. follows the loop of the fragment shader operation by operation in single
+// precision, so both agree on the iteration counts
+export function escapeIteration(zx, zy, cx, cy, maxIter, escape) {
+    zx = f32(zx);
+    zy = f32(zy);
+    cx = f32(cx);
+    cy = f32(cy);
+    const escape2 = f32(f32(escape) * f32(escape));
+    for(let i = 0; i <= maxIter && i < MAX_SHADER_ITERATIONS; i++) {
+        const x = f32(f32(f32(zx * zx) - f32(zy * zy)) + cx);
+        zy = f32(f32(f32(2.0 * zx) * zy) + cy);
+        zx = x;
+        if(f32(f32(zx * zx) + f32(zy * zy)) > escape2) {
+            return i;
+        }
+    }
+    return NOT_ESCAPED;
+}
+
+// renders the iteration buffer of a view of the mandelbrot set, or of the julia set of the
+// given parameter, as the shader renders it in a canvas of the given dimensions. the view
+// is described by x, y, range, maxIter, escape, aspectRatio, julia and juliaC, the
+// iterations are returned row after row from the top of the canvas
+export function renderIterations(view, width, height) {
+    const originX = f32(Number(view.x));
+    const originY = f32(Number(view.y));
+    const range = f32(Number(view.range));
+    const aspectRatio = f32(view.aspectRatio);
+    const julia = view.julia === true;
+    const juliaX = julia ? f32(view.juliaC.x) : 0;
+    const juliaY = julia ? f32(view.juliaC.y) : 0;
+    // texture coordinate of the pixel centres, the rendered square overflows the canvas
+    const fraction = visibleFraction();
+    const textureCoord = (pixel, size) => f32(0.5 + ((pixel + 0.5) / size - 0.5) * fraction);
+
+    const iterations = new Int32Array(width * height);
+    for(let row = 0; row < height; row++) {
+        const v = f32(textureCoord(row, height) - 0.5);
+        const py = f32(originY + f32(v * range));
+        for(let column = 0; column < width; column++) {
+            const u = f32(textureCoord(column, width) - 0.5);
+            const px = f32(originX + f32(f32(u * aspectRatio) * range));
+            iterations[row * width + column] = julia
+                ? escapeIteration(px, py, juliaX, juliaY, view.maxIter, view.escape)
+                : escapeIteration(0, 0, px, py, view.maxIter, view.escape);
+        }
+    }
+    return iterations;
+}
+
+// degree of the iteration of a formula used by smooth colouring, null if it has none.
+// its GLSL expression is either a number or the uniform of one of the parameters
+export function formulaDegree(formula, parameters) {
+    if(formula.degree === null) return null;
+    const index = formula.parameters.findIndex(parameter => parameter.uniform === formula.degree);
+    return index === -1 ? parseFloat(formula.degree) : parameters[index];
+}
+
+// starting z and c of the orbit of the point p with the JavaScript counterpart of the
+// formula, following the julia mode of the view like the shaders
+export function startOrbit(formula, px, py, view) {
+    const p = { x: px, y: py };
+    const z = { x: 0.0, y: 0.0 };
+    const c = { x: 0.0, y: 0.0 };
+    if(formula.cpu.start !== undefined) {
+        formula.cpu.start(z, c, p);
+    } else if(view.julia) {
+        z.x = px;
+        z.y = py;
+        c.x = view.juliaC.x;
+        c.y = view.juliaC.y;
+    } else {
+        c.x = px;
+        c.y = py;
+    }
+    return { z: z, c: c };
+}
+
+// whether an orbit escaped at z, previous holding the value before the last step
+export function orbitEscaped(formula, z, previous, view) {
+    const cpu = formula.cpu;
+    return cpu.escaped !== undefined
+        ? cpu.escaped(z, previous, view.escape, view.parameters)
+        : z.x * z.x + z.y * z.y > view.escape * view.escape;
+}
+
+// smoothed iteration at which the orbit of the point p escapes, or NOT_ESCAPED, computed in
+// double precision with the JavaScript counterpart of the formula. the loop follows the
+// fragment shader, the view gives maxIter, escape, julia, juliaC, parameters and smoothColoring,
+// and the iterationCap the shader loops are compiled for if it is not the default one
+export function formulaIteration(formula, px, py, view) {
+    return formulaOrbit(formula, px, py, view).iteration;
+}
+
+// smoothed iteration at which the orbit of the point p escapes, or NOT_ESCAPED, like
+// formulaIteration, along with the last z of the orbit
+export function formulaOrbit(formula, px, py, view) {
+    const parameters = view.parameters;
+    const { z, c } = startOrbit(formula, px, py, view);
+    const previous = { x: 0.0, y: 0.0 };
+    const iterationCap = view.iterationCap ?? MAX_SHADER_ITERATIONS;
+
+    for(let i = 0; i <= view.maxIter && i < iterationCap; i++) {
+        previous.x = z.x;
+        previous.y = z.y;
+        formula.cpu.iterate(z, c, parameters);
+
+        if(orbitEscaped(formula, z, previous, view)) {
+            const degree = formulaDegree(formula, parameters);
+            if(view.smoothColoring && degree !== null && view.escape > 1.0) {
+                const modulus = Math.hypot(z.x, z.y);
+                const iteration = i + 1.0 - Math.log(Math.log(modulus) / Math.log(view.escape)) / Math.log(degree);
+                // the orbits escaping far past the radius at once would go below zero
+                return { iteration: Math.max(iteration, 0.0), z: z };
+            }
+            return { iteration: i, z: z };
+        }
+    }
+    return { iteration: NOT_ESCAPED, z: z };
+}
+
+// renders the smoothed iterations of a tile of a canvas of the given dimensions in double
+// precision. the tile is described by x, y, width and height in pixels, the view like in
+// renderIterations along with parameters and smoothColoring. the iterations are returned
+// row after row from the top of the tile, the basins of the escaped pixels are written
+// in the same order in the given array if the formula has basins
+export function renderTile(formula, view, width, height, tile, basins = null) {
+    const originX = Number(view.x);
+    const originY = Number(view.y);
+    const range = Number(view.range);
+    // texture coordinate of the pixel centres, the rendered square overflows the canvas
+    const fraction = visibleFraction();
+    const textureCoord = (pixel, size) => 0.5 + ((pixel + 0.5) / size - 0.5) * fraction;
+
+    const iterations = new Float32Array(tile.width * tile.height);
+    for(let row = 0; row < tile.height; row++) {
+        const py = originY + (textureCoord(tile.y + row, height) - 0.5) * range;
+        for(let column = 0; column < tile.width; column++) {
+            const px = originX + (textureCoord(tile.x + column, width) - 0.5) * view.aspectRatio * range;
+            const orbit = formulaOrbit(formula, px, py, view);
+            iterations[row * tile.width + column] = orbit.iteration;
+            if(basins !== null && orbit.iteration !== NOT_ESCAPED) {
+                basins[row * tile.width + column] = formula.cpu.basin(orbit.z);
+            }
+        }
+    }
+    return iterations;
+}
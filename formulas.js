@@ -0,0 +1,249 @@
+// initial position in space of the view
+export const INIT_VIEW_ORIGIN = {
+    x: 0.0,
+    y: 0.0
+};
+// initial range (multiplier) in space of the view
+export const INIT_VIEW_RANGE = 8.0;
+// number of iterations the shaders loops are compiled for by default, the maximum iteration
+// is capped by it unless the renderers are given another iteration cap
+export const MAX_SHADER_ITERATIONS = 1000;
+// identifier of the formula rendered when the page loads
+export const DEFAULT_FORMULA = "mandelbrot";
+// escape rule of the formulas that do not define one
+const DEFAULT_ESCAPE_RULE = "dot(z, z) > uEscapeValue * uEscapeValue";
+// starting values of the formulas that do not define them, following the julia mode
+const DEFAULT_START = `
+    z = uJulia ? p : vec2(0.0);
+    c = uJulia ? uJuliaC : p;
+`;
+// term added to the derivative of the orbit at each step: the derivative is taken with
+// respect to c for the mandelbrot set and to the starting z for the julia sets
+const DERIVATIVE_TERM = "(uJulia ? vec2(0.0) : vec2(1.0, 0.0))";
+// rate at which the colour of a basin of attraction darkens with the iterations the orbit
+// took to settle in it
+export const BASIN_DARKENING = 0.05;
+
+// complex arithmetic made available to the formulas GLSL code
+export const COMPLEX_GLSL = `
+    vec2 complexMul(vec2 a, vec2 b) {
+        return vec2(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+    }
+
+    vec2 complexSquare(vec2 a) {
+        return vec2(a.x * a.x - a.y * a.y, 2.0 * a.x * a.y);
+    }
+
+    vec2 complexDiv(vec2 a, vec2 b) {
+        return vec2(a.x * b.x + a.y * b.y, a.y * b.x - a.x * b.y) / dot(b, b);
+    }
+
+    vec2 complexPow(vec2 a, float n) {
+        // the argument of zero is undefined
+        if(a == vec2(0.0)) return a;
+        float modulus = pow(dot(a, a), n * 0.5);
+        float argument = atan(a.y, a.x) * n;
+        return modulus * vec2(cos(argument), sin(argument));
+    }
+`;
+
+// registered fractal formulas, by identifier
+export const FORMULAS = new Map();
+
+// identifiers of the formulas registered by this module, the only ones the Web Workers
+// know since they import their own copy of it
+export const BUILTIN_FORMULAS = new Set();
+
+// target of the "formularegistered" events, dispatched with the formula as detail
+export const formulaEvents = new EventTarget();
+
+// adds a fractal formula to the registry so it can be selected from the settings menu.
+// a formula is described by:
+// - id: unique identifier
+// - name: label shown in the settings menu
+// - iterate: GLSL statements computing the next z from z and c
+// - escape: GLSL condition ending the iteration, previous holds z before the step
+// - degree: GLSL expression of the degree of the iteration used by smooth colouring,
+//   null if the escape rule is not a bailout radius
+// - start: GLSL statements initializing z and c from the pixel coordinate p
+// - derivative: GLSL statements computing the next dz, derivative of the orbit, from
+//   previous and dz. null if the step has no complex derivative, the distance estimation
+//   and lighting shadings need it
+// - view: default view origin and range
+// - parameters: float uniforms tunable from the settings menu
+// - perturbation: whether the deep zoom perturbation shader can render it (z² + c only)
+// - basin: GLSL expression of the palette position, between 0 and 1, of the basin of
+//   attraction the orbit settled in from its last z. the settled orbits are coloured by
+//   their basin in the escape time shading, null to colour them by their iteration count
+// - cpu: JavaScript counterpart rendering the formula without WebGL, null if there is none.
+//   iterate(z, c, parameters) computes the next z, escaped(z, previous, escape, parameters)
+//   replaces the escape rule, start(z, c, p) the starting values and basin(z) the basin
+//   expression, z and c are { x, y } objects updated in place. the Web Worker renderer
+//   only knows the formulas of this module
+export function registerFormula(formula) {
+    if(typeof formula.id !== "string" || typeof formula.iterate !== "string") {
+        throw new TypeError("A formula needs an id and a GLSL iteration step");
+    }
+
+    const entry = {
+        name: formula.id,
+        escape: DEFAULT_ESCAPE_RULE,
+        degree: "2.0",
+        start: DEFAULT_START,
+        derivative: null,
+        view: {
+            origin: INIT_VIEW_ORIGIN,
+            range: INIT_VIEW_RANGE
+        },
+        parameters: [],
+        perturbation: false,
+        basin: null,
+        cpu: null,
+        ...formula
+    };
+    FORMULAS.set(entry.id, entry);
+
+    // lets the settings menu list the formulas registered after the page loaded
+    formulaEvents.dispatchEvent(new CustomEvent("formularegistered", { detail: entry }));
+    return entry;
+}
+
+// returns the registered formula with the given identifier
+export function getFormula(id) {
+    const formula = FORMULAS.get(id);
+    if(formula === undefined) {
+        throw new RangeError("Unknown formula: " + id);
+    }
+    return formula;
+}
+
+registerFormula({
+    id: "mandelbrot",
+    name: "Mandelbrot",
+    iterate: "z = complexSquare(z) + c;",
+    derivative: `dz = 2.0 * complexMul(previous, dz) + ${DERIVATIVE_TERM};`,
+    perturbation: true,
+    cpu: {
+        iterate(z, c) {
+            const x = z.x * z.x - z.y * z.y + c.x;
+            z.y = 2.0 * z.x * z.y + c.y;
+            z.x = x;
+        }
+    }
+});
+
+registerFormula({
+    id: "multibrot",
+    name: "Multibrot",
+    iterate: "z = complexPow(z, uExponent) + c;",
+    derivative: `dz = uExponent * complexMul(complexPow(previous, uExponent - 1.0), dz) + ${DERIVATIVE_TERM};`,
+    degree: "uExponent",
+    view: {
+        origin: { x: 0.0, y: 0.0 },
+        range: 5.0
+    },
+    parameters: [
+        { uniform: "uExponent", name: "Exponent", min: 2.0, max: 8.0, step: 0.1, value: 3.0 }
+    ],
+    cpu: {
+        iterate(z, c, parameters) {
+            // the argument of zero is undefined
+            if(z.x === 0.0 && z.y === 0.0) {
+                z.x = c.x;
+                z.y = c.y;
+                return;
+            }
+            const modulus = Math.pow(z.x * z.x + z.y * z.y, parameters[0] * 0.5);
+            const argument = Math.atan2(z.y, z.x) * parameters[0];
+            z.x = modulus * Math.cos(argument) + c.x;
+            z.y = modulus * Math.sin(argument) + c.y;
+        }
+    }
+});
+
+registerFormula({
+    id: "burning-ship",
+    name: "Burning Ship",
+    iterate: "z = complexSquare(abs(z)) + c;",
+    view: {
+        origin: { x: -0.4, y: -0.5 },
+        range: 5.0
+    },
+    cpu: {
+        iterate(z, c) {
+            const x = z.x * z.x - z.y * z.y + c.x;
+            z.y = 2.0 * Math.abs(z.x * z.y) + c.y;
+            z.x = x;
+        }
+    }
+});
+
+registerFormula({
+    id: "tricorn",
+    name: "Tricorn",
+    iterate: "z = complexSquare(vec2(z.x, -z.y)) + c;",
+    view: {
+        origin: { x: -0.3, y: 0.0 },
+        range: 5.0
+    },
+    cpu: {
+        iterate(z, c) {
+            const x = z.x * z.x - z.y * z.y + c.x;
+            z.y = -2.0 * z.x * z.y + c.y;
+            z.x = x;
+        }
+    }
+});
+
+// newton's method on z³ - 1, the iteration stops once the orbit settled on a root. the
+// roots lie at the angles 0 and ±2π/3, each basin gets a third of the palette
+registerFormula({
+    id: "newton",
+    name: "Newton",
+    start: `
+        z = p;
+        c = p;
+    `,
+    iterate: `
+        vec2 zSquare = complexSquare(z);
+        z -= complexDiv(complexMul(zSquare, z) - vec2(1.0, 0.0), 3.0 * zSquare);
+    `,
+    escape: "distance(z, previous) < uTolerance",
+    degree: null,
+    basin: "mod(floor(atan(z.y, z.x) * 3.0 / 6.2831853 + 0.5), 3.0) / 3.0",
+    view: {
+        origin: { x: 0.0, y: 0.0 },
+        range: 4.0
+    },
+    parameters: [
+        { uniform: "uTolerance", name: "Tolerance", min: 0.0001, max: 0.1, step: 0.0001, value: 0.001 }
+    ],
+    cpu: {
+        start(z, c, p) {
+            z.x = c.x = p.x;
+            z.y = c.y = p.y;
+        },
+        iterate(z) {
+            // z - (z³ - 1) / 3z²
+            const sx = z.x * z.x - z.y * z.y;
+            const sy = 2.0 * z.x * z.y;
+            const nx = sx * z.x - sy * z.y - 1.0;
+            const ny = sx * z.y + sy * z.x;
+            const dx = 3.0 * sx;
+            const dy = 3.0 * sy;
+            const d = dx * dx + dy * dy;
+            z.x -= (nx * dx + ny * dy) / d;
+            z.y -= (ny * dx - nx * dy) / d;
+        },
+        escaped(z, previous, escape, parameters) {
+            return Math.hypot(z.x - previous.x, z.y - previous.y) < parameters[0];
+        },
+        basin(z) {
+            const root = Math.floor(Math.atan2(z.y, z.x) * 3.0 / (2.0 * Math.PI) + 0.5);
+            return (root % 3 + 3) % 3 / 3.0;
+        }
+    }
+});
+
+// the formulas registered from now on are only known to the page
+FORMULAS.forEach((formula, id) => BUILTIN_FORMULAS.add(id));
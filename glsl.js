@@ -0,0 +1,36 @@
+// name of the colour output of the fragment shaders translated to GLSL ES 3.00
+const FRAGMENT_OUTPUT = "fragColor";
+
+// header of the escape time loops of the shaders. GLSL ES 1.00 only allows loops bounded
+// by a constant, so they are compiled for the given cap and broken at the iteration limit
+// uniform, GLSL ES 3.00 loops are bounded by the uniform alone when the cap is null
+export function iterationLoop(loopCap) {
+    if(loopCap === null) {
+        return "for(int i = 0; i <= uIterationLimit; i++) {";
+    }
+    return `for(int i = 0; i < ${loopCap}; i++) {
+
+            if(i > uIterationLimit) break;`;
+}
+
+// translates the source of a GLSL ES 1.00 shader of the given stage, "vertex" or "fragment",
+// to GLSL ES 3.00 for WebGL2, with the given preprocessor macros defined
+export function glsl300(source, stage, defines = []) {
+    if(stage !== "vertex" && stage !== "fragment") {
+        throw new RangeError("Unknown shader stage: " + stage);
+    }
+    const header = ["#version 300 es", ...defines.map(define => "#define " + define)];
+
+    let translated = source
+        .replace(/\battribute\b/g, "in")
+        .replace(/\bvarying\b/g, stage === "vertex" ? "out" : "in")
+        .replace(/\btexture2D\b/g, "texture");
+    if(stage === "fragment") {
+        // the colour is written to a declared output instead of gl_FragColor, at the
+        // location of the canvas so the iteration output can take another one
+        translated = translated
+            .replace(/\bgl_FragColor\b/g, FRAGMENT_OUTPUT)
+            .replace(/precision highp float;/, "$&\n    layout(location = 0) out vec4 " + FRAGMENT_OUTPUT + ";");
+    }
+    return header.join("\n") + "\n" + translated;
+}
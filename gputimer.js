@@ -0,0 +1,124 @@
+// nanoseconds per millisecond, the unit of the query results
+const NANOSECONDS_PER_MILLISECOND = 1e6;
+
+// times the GPU work of the frames of a WebGL context with the disjoint timer queries,
+// when the client has them. the results come back a few frames after the frames are
+// drawn, they are polled once per animation frame while some are pending
+export class GpuTimer {
+
+    // WebGL context whose frames are timed
+    gl = null;
+
+    // whether the context is a WebGL2 one, whose queries are functions of the context
+    webgl2 = false;
+
+    // timer query extension of the context, null when the client has none
+    extension = null;
+
+    // query timing the frame being drawn, null between the frames
+    query = null;
+
+    // queries of the frames drawn waiting for their result, oldest first
+    pending = [];
+
+    // animation frame request polling the results, null when none is pending
+    pollFrame = null;
+
+    // callback called with the time in milliseconds the GPU took to draw each frame
+    onresult = null;
+
+    constructor(gl, webgl2) {
+        this.gl = gl;
+        this.webgl2 = webgl2;
+        this.extension = gl.getExtension(webgl2 ? "EXT_disjoint_timer_query_webgl2" : "EXT_disjoint_timer_query");
+    }
+
+    // whether the frames are timed, the frames are timed on the CPU by the renderer otherwise
+    isAvailable() {
+        return this.extension !== null;
+    }
+
+    // starts timing the commands of a frame
+    begin() {
+        if(this.extension === null || this.query !== null) return;
+        if(this.webgl2) {
+            this.query = this.gl.createQuery();
+            this.gl.beginQuery(this.extension.TIME_ELAPSED_EXT, this.query);
+        } else {
+            this.query = this.extension.createQueryEXT();
+            this.extension.beginQueryEXT(this.extension.TIME_ELAPSED_EXT, this.query);
+        }
+    }
+
+    // stops timing the frame, its result is reported once the GPU is done with it
+    end() {
+        if(this.query === null) return;
+        if(this.webgl2) {
+            this.gl.endQuery(this.extension.TIME_ELAPSED_EXT);
+        } else {
+            this.extension.endQueryEXT(this.extension.TIME_ELAPSED_EXT);
+        }
+        this.pending.push(this.query);
+        this.query = null;
+        if(this.pollFrame === null) {
+            this.pollFrame = requestAnimationFrame(() => this.poll());
+        }
+    }
+
+    // drops the queries, the queries of a lost context never complete
+    cancel() {
+        if(this.pollFrame !== null) {
+            cancelAnimationFrame(this.pollFrame);
+            this.pollFrame = null;
+        }
+        this.query = null;
+        this.pending = [];
+    }
+
+    // reports the results of the queries done, in order
+    poll() {
+        this.pollFrame = null;
+        if(this.gl.isContextLost()) {
+            this.cancel();
+            return;
+        }
+        const done = [];
+        while(this.pending.length > 0 && this.resultAvailable(this.pending[0])) {
+            done.push(this.pending.shift());
+        }
+        // an event like a change of the GPU clock invalidated the queries in flight
+        const disjoint = this.gl.getParameter(this.extension.GPU_DISJOINT_EXT);
+        for(const query of done) {
+            if(!disjoint && this.onresult !== null) {
+                this.onresult(this.result(query) / NANOSECONDS_PER_MILLISECOND);
+            }
+            this.deleteQuery(query);
+        }
+        if(this.pending.length > 0) {
+            this.pollFrame = requestAnimationFrame(() => this.poll());
+        }
+    }
+
+    resultAvailable(query) {
+        if(this.webgl2) {
+            return this.gl.getQueryParameter(query, this.gl.QUERY_RESULT_AVAILABLE);
+        }
+        return this.extension.getQueryObjectEXT(query, this.extension.QUERY_RESULT_AVAILABLE_EXT);
+    }
+
+    // time in nanoseconds of a query whose result is available
+    result(query) {
+        if(this.webgl2) {
+            return this.gl.getQueryParameter(query, this.gl.QUERY_RESULT);
+        }
+        return this.extension.getQueryObjectEXT(query, this.extension.QUERY_RESULT_EXT);
+    }
+
+    deleteQuery(query) {
+        if(this.webgl2) {
+            this.gl.deleteQuery(query);
+        } else {
+            this.extension.deleteQueryEXT(query);
+        }
+    }
+}
@@ -0,0 +1,82 @@
+import { COLORING_GLSL } from "./palettes.js";
+
+// number of bins of the iteration histogram
+export const HISTOGRAM_BINS = 1024;
+// top bit of the integer iteration counts, set for the escaped pixels
+const ESCAPED_FLAG = 0x80000000;
+
+// second pass of the histogram colouring: the iteration counts rendered by the first
+// pass are mapped through their cumulative distribution before sampling the palette,
+// so every colour of the palette covers the same amount of pixels
+export const HISTOGRAM_FS_SOURCE = `
+    precision highp float;
+
+    // iteration counts rendered by the first pass, packed unless INTEGER_ITERATIONS is defined
+    #ifdef INTEGER_ITERATIONS
+    uniform highp usampler2D uIterations;
+    #else
+    uniform sampler2D uIterations;
+    #endif
+    uniform vec2 uResolution;
+
+    // cumulative distribution of the iteration counts, 16 bits per bin
+    uniform sampler2D uDistribution;
+
+    ${COLORING_GLSL}
+
+    float distributionAt(float bin) {
+        if(bin < 0.0) return 0.0;
+        vec4 texel = texture2D(uDistribution, vec2((bin + 0.5) / ${HISTOGRAM_BINS}.0, 0.5));
+        return (texel.r * 255.0 * 256.0 + texel.g * 255.0) / 65535.0;
+    }
+
+    // distribution interpolated between the bounds of the bin holding t
+    float distribution(float t) {
+        float position = t * ${HISTOGRAM_BINS}.0;
+        float bin = floor(position);
+        return mix(distributionAt(bin - 1.0), distributionAt(bin), position - bin);
+    }
+
+    void main(void) {
+    #ifdef INTEGER_ITERATIONS
+        uint value = texture2D(uIterations, gl_FragCoord.xy / uResolution).r;
+        bool escaped = value >= 0x80000000u;
+        float t = float(value & 0x7fffffffu) / 2147483648.0;
+    #else
+        vec4 texel = texture2D(uIterations, gl_FragCoord.xy / uResolution);
+        bool escaped = texel.a > 0.5;
+        float t = dot(texel.rgb, vec3(1.0, 1.0 / 255.0, 1.0 / 65025.0));
+    #endif
+
+        gl_FragColor = colorize(escaped, distribution(t), 1.0);
+    }
+`;
+
+// cumulative distribution of the escaped pixels iteration counts rendered by the first
+// pass, packed in bytes or in the red integers with the escaped flag in their top bit,
+// returned as RGBA texels holding the 16 bits value of each bin in red and green
+export function cumulativeDistribution(pixels) {
+    const integer = pixels instanceof Uint32Array;
+    const counts = new Uint32Array(HISTOGRAM_BINS);
+    let total = 0;
+    for(let i = 0; i < pixels.length; i += 4) {
+        // points inside the set are not part of the histogram
+        if(integer ? pixels[i] < ESCAPED_FLAG : pixels[i + 3] < 128) continue;
+        const t = integer
+            ? (pixels[i] - ESCAPED_FLAG) / ESCAPED_FLAG
+            : pixels[i] / 255 + pixels[i + 1] / 65025 + pixels[i + 2] / 16581375;
+        counts[Math.min(HISTOGRAM_BINS - 1, Math.floor(t * HISTOGRAM_BINS))]++;
+        total++;
+    }
+
+    const data = new Uint8Array(HISTOGRAM_BINS * 4);
+    let sum = 0;
+    for(let bin = 0; bin < HISTOGRAM_BINS; bin++) {
+        sum += counts[bin];
+        const value = total > 0 ? Math.round(sum / total * 65535) : 0;
+        data[bin * 4] = value >> 8;
+        data[bin * 4 + 1] = value & 0xff;
+        data[bin * 4 + 3] = 255;
+    }
+    return data;
+}
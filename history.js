@@ -0,0 +1,73 @@
+// delay in milliseconds after the last change of the view before it is recorded in the history
+export const HISTORY_RECORD_DELAY = 500;
+// largest number of views kept in the history, the oldest ones are dropped past it
+const MAX_HISTORY_LENGTH = 100;
+
+// part of a render state the history goes back through: the centre, the range, the
+// iterations, the escape value and the formula and set rendered. the colouring is left
+// as it is by undo and redo
+export function historyView(state) {
+    return {
+        x: state.x,
+        y: state.y,
+        range: state.range,
+        maxIter: state.maxIter,
+        escape: state.escape,
+        formula: state.formula,
+        parameters: state.parameters.slice(),
+        julia: state.julia
+    };
+}
+
+// string telling two views of the history apart
+function viewKey(view) {
+    return JSON.stringify([
+        view.x.toString(), view.y.toString(), view.range.toString(),
+        view.maxIter, view.escape, view.formula, view.parameters, view.julia
+    ]);
+}
+
+// views the user settled on, undone and redone like the edits of a document. recording
+// a view after undoing drops the views undone
+export class ViewHistory {
+
+    // views of the history, oldest first
+    views = [];
+
+    // index of the current view in views, -1 while the history is empty
+    index = -1;
+
+    // records the given view after the current one, unless it is the same view. returns
+    // whether it was recorded
+    record(view) {
+        if(this.index >= 0 && viewKey(this.views[this.index]) === viewKey(view)) return false;
+        this.views.splice(this.index + 1, Infinity, historyView(view));
+        if(this.views.length > MAX_HISTORY_LENGTH) {
+            this.views.shift();
+        }
+        this.index = this.views.length - 1;
+        return true;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.views.length - 1;
+    }
+
+    // view before the current one, which it becomes, or null at the start of the history
+    undo() {
+        if(!this.canUndo()) return null;
+        this.index--;
+        return historyView(this.views[this.index]);
+    }
+
+    // view after the current one, which it becomes, or null at the end of the history
+    redo() {
+        if(!this.canRedo()) return null;
+        this.index++;
+        return historyView(this.views[this.index]);
+    }
+}
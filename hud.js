@@ -0,0 +1,80 @@
+import { defaultView, formatMagnification } from "./view.js";
+
+// number of frames the frame time shown is averaged over, so it can be read while it moves
+const FRAME_TIME_SAMPLES = 10;
+
+// centre of a view written with the digits its range makes significant, which goes past
+// the precision of the numbers in the deep zooms
+export function formatCentre(origin, range) {
+    const rangeBits = range.log2();
+    const digits = value => Math.max(3, Math.ceil((Math.max(value.log2(), rangeBits) - rangeBits) * Math.log10(2)) + 3);
+    const imaginary = origin.y.abs().toDecimal(digits(origin.y));
+    return origin.x.toDecimal(digits(origin.x)) + (origin.y.sign() < 0 ? " - " : " + ") + imaginary + "i";
+}
+
+// readout over the main view of its centre, its zoom depth, its iterations and the time
+// its frames take to render, timed on the GPU when the client can
+export class PerformanceHud {
+
+    // document element the readout is written in
+    container = null;
+
+    // whether the readout is shown and updated
+    enabled = false;
+
+    // outputs of the readout, by line
+    outputs = {};
+
+    // times in milliseconds of the last frames, the oldest first
+    frameTimes = [];
+
+    constructor(container) {
+        this.container = container;
+        const lines = {
+            centre: "Centre",
+            zoom: "Zoom",
+            depth: "log₁₀ range",
+            iterations: "Iterations",
+            frame: "Frame"
+        };
+        const list = document.createElement("dl");
+        list.className = "hud-lines mb-0";
+        for(const [line, label] of Object.entries(lines)) {
+            const term = document.createElement("dt");
+            term.textContent = label;
+            const output = document.createElement("dd");
+            output.className = "mb-0";
+            this.outputs[line] = output;
+            list.append(term, output);
+        }
+        this.outputs.frame.textContent = "–";
+        this.container.replaceChildren(list);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.container.classList.toggle("d-none", !enabled);
+    }
+
+    // follows the view of the given Brot after it is drawn
+    update(brot) {
+        if(!this.enabled) return;
+        const log2Range = brot.viewRange.log2();
+        const magnification = (defaultView(brot.formula).range.log2() - log2Range) * Math.log10(2);
+        this.outputs.centre.textContent = formatCentre(brot.viewOrigin, brot.viewRange);
+        this.outputs.zoom.textContent = "×" + formatMagnification(magnification);
+        this.outputs.depth.textContent = (log2Range * Math.log10(2)).toFixed(2);
+        this.outputs.iterations.textContent = brot.maxIter.toString();
+    }
+
+    // shows the time a frame took to render, measured on the GPU or on the CPU
+    showFrameTime(time, gpu) {
+        this.frameTimes.push(time);
+        if(this.frameTimes.length > FRAME_TIME_SAMPLES) {
+            this.frameTimes.shift();
+        }
+        if(!this.enabled) return;
+        const average = this.frameTimes.reduce((sum, frameTime) => sum + frameTime, 0) / this.frameTimes.length;
+        this.outputs.frame.textContent = average.toFixed(1) + " ms (" + (gpu ? "GPU" : "CPU") + ")";
+    }
+}
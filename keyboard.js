@@ -0,0 +1,218 @@
+// actions the keys can be bound to, with the description shown in the help
+export const KEY_ACTIONS = {
+    panLeft: "Pan left",
+    panRight: "Pan right",
+    panUp: "Pan up",
+    panDown: "Pan down",
+    zoomIn: "Zoom in",
+    zoomOut: "Zoom out",
+    moreIterations: "More iterations",
+    lessIterations: "Fewer iterations",
+    reset: "Reset the view",
+    undo: "Go back to the previous view",
+    redo: "Go forward to the next view",
+    toggleSettings: "Show or hide the settings",
+    help: "Show this help"
+};
+// keys bound to each action by default, named like keyOf names them
+export const DEFAULT_KEY_MAP = {
+    panLeft: ["ArrowLeft", "a"],
+    panRight: ["ArrowRight", "d"],
+    panUp: ["ArrowUp", "w"],
+    panDown: ["ArrowDown", "s"],
+    zoomIn: ["+", "="],
+    zoomOut: ["-"],
+    moreIterations: ["]"],
+    lessIterations: ["["],
+    reset: ["r"],
+    undo: ["Ctrl+z"],
+    redo: ["Ctrl+Shift+z"],
+    // s alone pans down
+    toggleSettings: ["Shift+s"],
+    help: ["?"]
+};
+// elements whose key presses are left to them: the text fields, the sliders moved
+// with the arrows and the dialogs
+const KEY_IGNORED_TARGETS = "input:not([type=checkbox]), select, textarea, [contenteditable], dialog";
+
+// name of the key of a keyboard event. the letters are named in lower case whatever
+// the caps lock and prefixed with "Shift+" when shift is held, the other keys are named
+// by the character they type so "+" is the same key on every layout. the keys pressed
+// with control, or command on macOS, are prefixed with "Ctrl+"
+export function keyOf(event) {
+    const key = event.key;
+    const modifier = event.ctrlKey || event.metaKey ? "Ctrl+" : "";
+    if(key.length === 1 && key.toLowerCase() !== key.toUpperCase()) {
+        return modifier + (event.shiftKey ? "Shift+" : "") + key.toLowerCase();
+    }
+    return modifier + key;
+}
+
+// name of a key as printed in the help
+export function keyLabel(key) {
+    const labels = {
+        ArrowLeft: "←",
+        ArrowRight: "→",
+        ArrowUp: "↑",
+        ArrowDown: "↓",
+        " ": "Space"
+    };
+    if(key in labels) return labels[key];
+    return key.replace(/(^|\+)([a-z])$/, (match, prefix, letter) => prefix + letter.toUpperCase());
+}
+
+// copy of a key map, checked so a map saved by an older version cannot break the keyboard.
+// the actions missing from the map keep their default keys
+export function parseKeyMap(map) {
+    const parsed = {};
+    for(const action of Object.keys(KEY_ACTIONS)) {
+        const keys = map[action] ?? DEFAULT_KEY_MAP[action];
+        if(!Array.isArray(keys) || !keys.every(key => typeof key === "string" && key.length > 0)) {
+            throw new TypeError("The keys of the " + action + " action are not a list of key names");
+        }
+        parsed[action] = keys.slice();
+    }
+    return parsed;
+}
+
+// runs the actions bound to the keys pressed while the page has the focus, unless
+// a control the keys are meant for has it
+export class KeyboardController {
+
+    // keys bound to each action, by action name
+    keyMap = parseKeyMap(DEFAULT_KEY_MAP);
+
+    // callbacks running the actions, by action name
+    actions = {};
+
+    // element the key presses are listened to on
+    target = null;
+
+    // listener added to the target
+    listener = event => this.handleKeyDown(event);
+
+    constructor(actions) {
+        this.actions = actions;
+    }
+
+    // listens to the key presses reaching the given element
+    attach(target) {
+        if(this.target !== null) {
+            this.detach();
+        }
+        this.target = target;
+        target.addEventListener("keydown", this.listener);
+    }
+
+    detach() {
+        this.target.removeEventListener("keydown", this.listener);
+        this.target = null;
+    }
+
+    // action the given key is bound to, null if none
+    actionOf(key) {
+        for(const [action, keys] of Object.entries(this.keyMap)) {
+            if(keys.includes(key)) return action;
+        }
+        return null;
+    }
+
+    // binds the given key alone to an action, taking it from the action it was bound to
+    bind(action, key) {
+        if(!(action in KEY_ACTIONS)) {
+            throw new RangeError("Unknown key action: " + action);
+        }
+        for(const other of Object.keys(this.keyMap)) {
+            this.keyMap[other] = this.keyMap[other].filter(bound => bound !== key);
+        }
+        this.keyMap[action] = [key];
+    }
+
+    handleKeyDown(event) {
+        // the browser shortcuts are left alone, unless bound to an action
+        if(event.altKey || event.defaultPrevented) return;
+        const target = event.target;
+        if(target !== null && typeof target.closest === "function" && target.closest(KEY_IGNORED_TARGETS) !== null) return;
+
+        const action = this.actionOf(keyOf(event));
+        if(action === null || !(action in this.actions)) return;
+        // held keys repeat the actions
+        this.actions[action](event);
+        event.preventDefault();
+    }
+}
+
+// lists the actions of a keyboard controller with the keys bound to them, a key
+// pressed after clicking on the keys of an action is bound to it instead
+export class KeyMapEditor {
+
+    // document element the rows of the actions are created in
+    container = null;
+
+    // keyboard controller whose key map is edited
+    keyboard = null;
+
+    // callback called with the key map after every change
+    onchange = null;
+
+    constructor(container, keyboard, onchange) {
+        this.container = container;
+        this.keyboard = keyboard;
+        this.onchange = onchange;
+    }
+
+    // creates a row with the description and a button showing the keys per action
+    render() {
+        this.container.replaceChildren();
+        for(const [action, description] of Object.entries(KEY_ACTIONS)) {
+            const row = document.createElement("div");
+            row.className = "d-flex align-items-center justify-content-between mt-1";
+
+            const label = document.createElement("span");
+            label.id = "key-action-" + action;
+            label.textContent = description;
+
+            const keysButton = document.createElement("button");
+            keysButton.className = "btn-secondary rounded key-binding";
+            keysButton.setAttribute("aria-describedby", label.id);
+            keysButton.textContent = this.keysText(action);
+            keysButton.title = "Press to bind another key";
+            keysButton.onclick = () => this.listen(action, keysButton);
+
+            row.append(label, keysButton);
+            this.container.appendChild(row);
+        }
+    }
+
+    // keys of an action separated by slashes
+    keysText(action) {
+        const keys = this.keyboard.keyMap[action];
+        return keys.length > 0 ? keys.map(keyLabel).join(" / ") : "None";
+    }
+
+    // binds the next key pressed on the button to the action, escape keeps the keys
+    listen(action, button) {
+        button.textContent = "Press a key…";
+        const listener = event => {
+            // the modifiers alone are the start of a modified key
+            if(event.key === "Shift" || event.key === "Control" || event.key === "Meta") return;
+            event.preventDefault();
+            event.stopPropagation();
+            button.removeEventListener("keydown", listener);
+            button.removeEventListener("blur", cancel);
+            if(event.key !== "Escape") {
+                this.keyboard.bind(action, keyOf(event));
+                this.onchange(this.keyboard.keyMap);
+            }
+            this.render();
+            this.container.querySelector("[aria-describedby=key-action-" + action + "]").focus();
+        };
+        const cancel = () => {
+            button.removeEventListener("keydown", listener);
+            button.removeEventListener("blur", cancel);
+            button.textContent = this.keysText(action);
+        };
+        button.addEventListener("keydown", listener);
+        button.addEventListener("blur", cancel);
+    }
+}
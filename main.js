@@ -0,0 +1,1437 @@
+import { PALETTES, DEFAULT_PALETTE, Palette, PaletteEditor } from "./palettes.js";
+import { FORMULAS, formulaEvents } from "./formulas.js";
+import { HASH_UPDATE_DELAY, encodeState, decodeState } from "./permalink.js";
+import { PosterExporter } from "./poster.js";
+import { ZipWriter } from "./zip.js";
+import { KeyframeAnimation, KeyframeEditor, recordWebm } from "./animation.js";
+import { INIT_JULIA_C, MAX_ITERATION_CAP } from "./brot.js";
+import { GLBrot, WebGLError } from "./mandelbrot.js";
+import { CPUBrot } from "./cpubrot.js";
+import { NavigationController } from "./navigation.js";
+import { DEFAULT_KEY_MAP, KeyboardController, KeyMapEditor, parseKeyMap } from "./keyboard.js";
+import { defaultView, describeView } from "./view.js";
+import { OrbitInspector } from "./orbit.js";
+import { Minimap } from "./minimap.js";
+import { SHADING_MODES } from "./shading.js";
+import { DENSITY_MODES, TONE_CURVES, DensityRenderer } from "./density.js";
+import { THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, thumbnailURL, BookmarkLibrary, BookmarkPanel } from "./bookmarks.js";
+import { HISTORY_RECORD_DELAY, ViewHistory } from "./history.js";
+import { PerformanceHud } from "./hud.js";
+import { copyText } from "./clipboard.js";
+
+// duration of a touch before it is considered a long press, in milliseconds
+const LONG_PRESS_DELAY = 500;
+// distance the arrow keys move the view by, in fractions of the canvas height
+const KEY_PAN_STEP = 0.05;
+// steps of the logarithmic iteration slider the iteration keys move it by, about 19%
+const KEY_ITERATION_STEP = 25;
+// local storage entry holding the key map customized by the user
+const KEY_MAP_STORAGE_KEY = "mandelbrot-key-map";
+// time in seconds taken to fly to a bookmark
+const BOOKMARK_FLIGHT_DURATION = 2.0;
+// time in milliseconds the notice of a change that could not be made stays shown
+const CHANGE_NOTICE_DURATION = 6000;
+
+function main() {
+    // notice shown over the views when they are rendered without WebGL
+    const rendererNotice = document.getElementById("renderer-notice");
+
+    // tells the user why the views are rendered by the slower fallback renderer
+    function showRendererNotice(error) {
+        console.warn(error.message);
+        rendererNotice.textContent = error.message
+            + " The fractal is rendered without WebGL: slower, without deep zoom nor exports.";
+        rendererNotice.classList.remove("d-none");
+    }
+
+    // a canvas keeps the context it was first asked for, the fallback renderer
+    // draws in a copy of it taking its place in the page
+    function replaceCanvas(element) {
+        const replacement = element.cloneNode(false);
+        element.replaceWith(replacement);
+        return replacement;
+    }
+
+    // creates the renderer of a canvas, the Web Worker renderer takes over
+    // if WebGL is unavailable or its shaders fail to compile
+    function createBrot(element) {
+        let brot;
+        try {
+            brot = new GLBrot(element);
+            // the shaders may not compile anymore once the context is restored
+            brot.onrestorefailure = fallBack;
+        } catch(error) {
+            if(!(error instanceof WebGLError)) throw error;
+            showRendererNotice(error);
+            brot = new CPUBrot(replaceCanvas(element));
+        }
+        // the frames failing to draw, all the tiles of the workers for instance, are told once
+        brot.scheduler.onerror = error => showChangeNotice(error.message);
+        return brot;
+    }
+
+    // renderer of the canvas document element filling the page
+    let mandelbrot = createBrot(document.querySelector("#glCanvas"));
+    mandelbrot.requestDraw();
+
+    // "Rendering…" is shown until the main view is refined, the view is then
+    // announced to the screen readers
+    const renderStatus = document.getElementById("render-status");
+    const viewAnnouncer = document.getElementById("view-announcer");
+    mandelbrot.scheduler.onstatechange = state => {
+        renderStatus.classList.toggle("d-none", state === "done");
+        if(state === "done") {
+            announceView();
+        }
+    };
+
+    // writes the centre and the zoom of the main view in the live region when they changed
+    function announceView() {
+        const description = describeView(mandelbrot.viewOrigin, mandelbrot.viewRange, defaultView(mandelbrot.formula).range);
+        if(description !== viewAnnouncer.textContent) {
+            viewAnnouncer.textContent = description;
+        }
+    }
+
+    // renderer of the picture-in-picture canvas document element showing the julia set preview
+    let preview = createBrot(document.querySelector("#preview-canvas"));
+    preview.julia = true;
+
+    // moves the main view with the mouse and the touches
+    const navigation = new NavigationController();
+
+    // coordinate readout and orbit of the clicked point over the main view
+    const inspector = new OrbitInspector(document.getElementById("inspector"), document.getElementById("orbit-overlay"));
+
+    // overview of the whole set in a corner with the main view and its zoom trail
+    const minimap = new Minimap(
+        document.getElementById("minimap"),
+        document.getElementById("minimap-frame"),
+        document.getElementById("minimap-viewport"),
+        document.getElementById("minimap-breadcrumbs"),
+        createBrot(document.getElementById("minimap-canvas"))
+    );
+
+    // readout of the view of the main view and of the time its frames take
+    const hud = new PerformanceHud(document.getElementById("hud"));
+
+    // assigning the handlers to the corresponding mouse and touch events of the canvases,
+    // again whenever the fallback renderer replaces them
+    function bindCanvasHandlers() {
+        const canvas = mandelbrot.canvas;
+        navigation.attach(mandelbrot);
+        inspector.attach(mandelbrot);
+        minimap.attach(mandelbrot);
+        canvas.addEventListener("touchstart", handleTouchStart);
+        canvas.addEventListener("touchmove", cancelLongPress);
+        canvas.addEventListener("touchend", cancelLongPress);
+
+        // assigning the handlers picking the julia parameter on both canvases
+        for(const element of [canvas, preview.canvas]) {
+            element.addEventListener("mousedown", handlePick);
+            element.addEventListener("mousemove", handleHover);
+            element.addEventListener("mouseleave", handleLeave);
+        }
+        preview.canvas.addEventListener("touchstart", handlePreviewTouchStart);
+    }
+    bindCanvasHandlers();
+
+    // replaces a WebGL renderer by the Web Worker renderer drawing the same state
+    function fallbackOf(brot) {
+        if(brot instanceof CPUBrot) return brot;
+        const fallback = new CPUBrot(replaceCanvas(brot.canvas));
+        fallback.ondraw = brot.ondraw;
+        fallback.onframetime = brot.onframetime;
+        fallback.scheduler.onstatechange = brot.scheduler.onstatechange;
+        fallback.scheduler.onerror = brot.scheduler.onerror;
+        fallback.iterationCap = brot.iterationCap;
+        fallback.autoIterations = brot.autoIterations;
+        fallback.iterationCurve = brot.iterationCurve;
+        fallback.adaptiveIterations = brot.adaptiveIterations;
+        fallback.pixelRatioCap = brot.pixelRatioCap;
+        fallback.setAntialiasing(brot.antialiasing);
+        brot.scheduler.cancel();
+        try {
+            fallback.setState(brot.getState());
+        } catch(error) {
+            // the formulas without a JavaScript counterpart cannot be rendered by the workers
+            if(!(error instanceof RangeError)) throw error;
+            console.warn(error.message);
+            fallback.requestDraw();
+        }
+        return fallback;
+    }
+
+    // switches every view to the fallback renderer once WebGL fails
+    function fallBack(error) {
+        showRendererNotice(error);
+        mandelbrot = fallbackOf(mandelbrot);
+        preview = fallbackOf(preview);
+        minimap.brot = fallbackOf(minimap.brot);
+        bindCanvasHandlers();
+        updateRendererControls();
+        updateControls();
+    }
+
+    // notice telling why a change of the views was not made, and the timer hiding it
+    const changeNotice = document.getElementById("change-notice");
+    let changeNoticeTimer = null;
+
+    function showChangeNotice(message) {
+        console.warn(message);
+        changeNotice.textContent = message;
+        changeNotice.classList.remove("d-none");
+        clearTimeout(changeNoticeTimer);
+        changeNoticeTimer = setTimeout(() => changeNotice.classList.add("d-none"), CHANGE_NOTICE_DURATION);
+    }
+
+    // runs a change of the views. if a shader of the change fails to compile, or the
+    // fallback renderer cannot render it, both views go back to their previous state and
+    // keep their renderer. returns whether the change was made
+    function tryChange(change) {
+        const states = [mandelbrot.getState(), preview.getState()];
+        try {
+            change();
+            return true;
+        } catch(error) {
+            if(!(error instanceof WebGLError) && !(error instanceof RangeError)) throw error;
+            mandelbrot.setState(states[0]);
+            preview.setState(states[1]);
+            showChangeNotice(error.message + " The views are left as they were.");
+            return false;
+        }
+    }
+
+    // GUI document elements
+    const iterSlider = document.getElementById("iter-slider");
+    const iterLabel = document.getElementById("iter-label");
+    const autoIterCheckbox = document.getElementById("auto-iter-checkbox");
+    const iterDecadeSlider = document.getElementById("iter-decade-slider");
+    const iterDecadeLabel = document.getElementById("iter-decade-label");
+    const iterCurveSlider = document.getElementById("iter-curve-slider");
+    const iterCurveLabel = document.getElementById("iter-curve-label");
+    const adaptIterCheckbox = document.getElementById("adapt-iter-checkbox");
+    const iterCapInput = document.getElementById("iter-cap-input");
+    const escapeSlider = document.getElementById("escape-slider");
+    const escapeLabel = document.getElementById("escape-label");
+    const undoButton = document.getElementById("undo-button");
+    const redoButton = document.getElementById("redo-button");
+    const resetButton = document.getElementById("reset-button");
+    const copyLinkButton = document.getElementById("copy-link-button");
+    const exportButton = document.getElementById("export-button");
+    const exportDialog = document.getElementById("export-dialog");
+    const exportWidthInput = document.getElementById("export-width");
+    const exportHeightInput = document.getElementById("export-height");
+    const exportRatioCheckbox = document.getElementById("export-ratio-checkbox");
+    const exportSupersampling = document.getElementById("export-supersampling");
+    const exportProgress = document.getElementById("export-progress");
+    const exportStatus = document.getElementById("export-status");
+    const exportStartButton = document.getElementById("export-start-button");
+    const exportCloseButton = document.getElementById("export-close-button");
+    const keyframeList = document.getElementById("keyframe-list");
+    const keyframeAddButton = document.getElementById("keyframe-add-button");
+    const animationPlayButton = document.getElementById("animation-play-button");
+    const animationExportButton = document.getElementById("animation-export-button");
+    const animationSaveButton = document.getElementById("animation-save-button");
+    const animationLoadButton = document.getElementById("animation-load-button");
+    const animationLoadInput = document.getElementById("animation-load-input");
+    const animationStatus = document.getElementById("animation-status");
+    const animationDialog = document.getElementById("animation-dialog");
+    const animationWidthInput = document.getElementById("animation-width");
+    const animationHeightInput = document.getElementById("animation-height");
+    const animationFpsInput = document.getElementById("animation-fps");
+    const animationWebmCheckbox = document.getElementById("animation-webm-checkbox");
+    const animationProgress = document.getElementById("animation-progress");
+    const animationExportStatus = document.getElementById("animation-export-status");
+    const animationStartButton = document.getElementById("animation-start-button");
+    const animationCloseButton = document.getElementById("animation-close-button");
+    const deepZoomCheckbox = document.getElementById("deep-zoom-checkbox");
+    const inspectorCheckbox = document.getElementById("inspector-checkbox");
+    const minimapCheckbox = document.getElementById("minimap-checkbox");
+    const hudCheckbox = document.getElementById("hud-checkbox");
+    const resolutionSelect = document.getElementById("resolution-select");
+    const antialiasingSelect = document.getElementById("antialiasing-select");
+    const juliaPreviewCheckbox = document.getElementById("julia-preview-checkbox");
+    const juliaSwapCheckbox = document.getElementById("julia-swap-checkbox");
+    const formulaSelect = document.getElementById("formula-select");
+    const formulaParameters = document.getElementById("formula-parameters");
+    const paletteSelect = document.getElementById("palette-select");
+    const palettePreview = document.getElementById("palette-preview");
+    const paletteStops = document.getElementById("palette-stops");
+    const addStopButton = document.getElementById("add-stop-button");
+    const paletteOffsetSlider = document.getElementById("palette-offset-slider");
+    const paletteOffsetLabel = document.getElementById("palette-offset-label");
+    const paletteRepeatSlider = document.getElementById("palette-repeat-slider");
+    const paletteRepeatLabel = document.getElementById("palette-repeat-label");
+    const paletteSpeedSlider = document.getElementById("palette-speed-slider");
+    const paletteSpeedLabel = document.getElementById("palette-speed-label");
+    const interiorColorInput = document.getElementById("interior-color");
+    const smoothCheckbox = document.getElementById("smooth-checkbox");
+    const histogramCheckbox = document.getElementById("histogram-checkbox");
+    const shadingSelect = document.getElementById("shading-select");
+    const lightControls = document.getElementById("light-controls");
+    const lightAngleSlider = document.getElementById("light-angle-slider");
+    const lightAngleLabel = document.getElementById("light-angle-label");
+    const lightHeightSlider = document.getElementById("light-height-slider");
+    const lightHeightLabel = document.getElementById("light-height-label");
+    const trapControls = document.getElementById("trap-controls");
+    const trapShapeSelect = document.getElementById("trap-shape-select");
+    const trapXInput = document.getElementById("trap-x-input");
+    const trapYInput = document.getElementById("trap-y-input");
+    const trapAngleSlider = document.getElementById("trap-angle-slider");
+    const trapAngleLabel = document.getElementById("trap-angle-label");
+    const renderModeSelect = document.getElementById("render-mode-select");
+    const densityControls = document.getElementById("density-controls");
+    const nebulabrotLimits = document.getElementById("nebulabrot-limits");
+    const densityRedInput = document.getElementById("density-red-input");
+    const densityGreenInput = document.getElementById("density-green-input");
+    const densityBlueInput = document.getElementById("density-blue-input");
+    const toneCurveSelect = document.getElementById("tone-curve-select");
+    const densityPauseButton = document.getElementById("density-pause-button");
+    const densityStatus = document.getElementById("density-status");
+    const settingsElem = document.getElementById("settings");
+    const settingsButton = document.getElementById("settings-button");
+    const bookmarksElem = document.getElementById("bookmarks");
+    const bookmarksButton = document.getElementById("bookmarks-button");
+    const bookmarkNameInput = document.getElementById("bookmark-name-input");
+    const bookmarkAddButton = document.getElementById("bookmark-add-button");
+    const bookmarkList = document.getElementById("bookmark-list");
+    const bookmarkImportButton = document.getElementById("bookmark-import-button");
+    const bookmarkExportButton = document.getElementById("bookmark-export-button");
+    const bookmarkImportInput = document.getElementById("bookmark-import-input");
+    const bookmarkStatus = document.getElementById("bookmark-status");
+
+    // parameter of the julia set picked by the user
+    let juliaC = {
+        x: INIT_JULIA_C.x,
+        y: INIT_JULIA_C.y
+    };
+
+    // timer of the touch currently being held to pick the julia parameter
+    let longPressTimer = null;
+
+    // renderer of the given canvas
+    function brotOf(element) {
+        return element === mandelbrot.canvas ? mandelbrot : preview;
+    }
+
+    function isPreviewVisible() {
+        return !preview.canvas.classList.contains("d-none");
+    }
+
+    // renders the julia set with the given parameter in whichever canvas shows it,
+    // coarsely while the parameter follows the cursor
+    function showJulia(c, interactive = false) {
+        const juliaBrot = mandelbrot.julia ? mandelbrot : preview;
+        juliaBrot.juliaC = { x: c.x, y: c.y };
+        if(juliaBrot === mandelbrot || isPreviewVisible()) {
+            juliaBrot.requestDraw(interactive);
+        }
+    }
+
+    // picks the julia parameter at the given client position of a mandelbrot view
+    function pickJulia(brot, clientX, clientY) {
+        const c = brot.canvasToComplex(clientX, clientY);
+        juliaC = {
+            x: c.x.toNumber(),
+            y: c.y.toNumber()
+        };
+        showJulia(juliaC);
+        scheduleHashUpdate();
+    }
+
+    function handlePick(event) {
+        const brot = brotOf(event.currentTarget);
+        if(event.shiftKey && !brot.julia) {
+            pickJulia(brot, event.clientX, event.clientY);
+        }
+    }
+
+    // while the preview is shown, the julia set follows the cursor over the mandelbrot set
+    function handleHover(event) {
+        const brot = brotOf(event.currentTarget);
+        if(!navigation.isDragging() && !brot.julia && isPreviewVisible()) {
+            const c = brot.canvasToComplex(event.clientX, event.clientY);
+            showJulia({
+                x: c.x.toNumber(),
+                y: c.y.toNumber()
+            }, true);
+        }
+    }
+
+    // once the cursor leaves, the julia set goes back to the picked parameter
+    function handleLeave(event) {
+        if(!brotOf(event.currentTarget).julia) {
+            showJulia(juliaC);
+        }
+    }
+
+    // holding a touch on a mandelbrot view picks the julia parameter under it
+    function startLongPress(brot, touch) {
+        cancelLongPress();
+        if(brot.julia) return;
+        const clientX = touch.clientX;
+        const clientY = touch.clientY;
+        longPressTimer = setTimeout(() => {
+            longPressTimer = null;
+            pickJulia(brot, clientX, clientY);
+        }, LONG_PRESS_DELAY);
+    }
+
+    function cancelLongPress() {
+        if(longPressTimer !== null) {
+            clearTimeout(longPressTimer);
+            longPressTimer = null;
+        }
+    }
+
+    function handlePreviewTouchStart(event) {
+        if(event.touches.length === 1) {
+            startLongPress(preview, event.touches[0]);
+            event.preventDefault();
+        }
+    }
+
+    // holding a single finger still on the main view picks the julia parameter, the
+    // navigation controller moves the view
+    function handleTouchStart(event) {
+        cancelLongPress();
+        if(event.touches.length === 1) {
+            startLongPress(mandelbrot, event.touches[0]);
+        }
+        // the touches are not turned into mouse events
+        event.preventDefault();
+    }
+
+    // renders both the main view and the preview if it is shown, coarsely while
+    // the user drags a slider changing the iterations
+    function drawViews(interactive = false) {
+        mandelbrot.requestDraw(interactive);
+        if(isPreviewVisible()) {
+            preview.requestDraw(interactive);
+        }
+    }
+
+    // the iteration slider is logarithmic so it reaches the iterations of the deep views
+    function iterToSlider(iterations) {
+        return Math.round(Math.log2(iterations) * 100).toString();
+    }
+
+    function sliderToIter(value) {
+        return Math.max(1, Math.round(Math.pow(2, parseInt(value) / 100.0)));
+    }
+
+    // shows the maximum iteration of the main view, it changes with the zoom in auto mode
+    function showMaxIter() {
+        iterSlider.value = iterToSlider(parseInt(mandelbrot.maxIter));
+        iterLabel.textContent = mandelbrot.maxIter.toString();
+    }
+
+    // brings the iteration controls in line with the main view
+    function updateIterationControls() {
+        iterSlider.max = iterToSlider(mandelbrot.iterationCap);
+        iterSlider.disabled = mandelbrot.autoIterations;
+        showMaxIter();
+        autoIterCheckbox.checked = mandelbrot.autoIterations;
+        iterDecadeSlider.disabled = !mandelbrot.autoIterations;
+        iterDecadeSlider.value = mandelbrot.iterationCurve.perDecade.toString();
+        iterDecadeLabel.textContent = mandelbrot.iterationCurve.perDecade.toString();
+        iterCurveSlider.disabled = !mandelbrot.autoIterations;
+        iterCurveSlider.value = Math.round(mandelbrot.iterationCurve.exponent * 100).toString();
+        iterCurveLabel.textContent = mandelbrot.iterationCurve.exponent.toFixed(2);
+        adaptIterCheckbox.disabled = !mandelbrot.autoIterations;
+        adaptIterCheckbox.checked = mandelbrot.adaptiveIterations;
+        iterCapInput.value = mandelbrot.iterationCap.toString();
+    }
+
+    iterSlider.oninput = () => {
+        mandelbrot.maxIter = sliderToIter(iterSlider.value);
+        preview.maxIter = mandelbrot.maxIter;
+        iterLabel.textContent = mandelbrot.maxIter.toString();
+        drawViews(true);
+    };
+    autoIterCheckbox.onchange = () => {
+        mandelbrot.autoIterations = autoIterCheckbox.checked;
+        preview.autoIterations = autoIterCheckbox.checked;
+        drawViews();
+        updateIterationControls();
+    };
+    // both views follow the same curve, from their own zoom level
+    function setIterationCurve(curve) {
+        mandelbrot.iterationCurve = { ...mandelbrot.iterationCurve, ...curve };
+        preview.iterationCurve = mandelbrot.iterationCurve;
+        drawViews(true);
+        showMaxIter();
+    }
+    iterDecadeSlider.oninput = () => {
+        iterDecadeLabel.textContent = iterDecadeSlider.value;
+        setIterationCurve({ perDecade: parseInt(iterDecadeSlider.value) });
+    };
+    iterCurveSlider.oninput = () => {
+        const exponent = parseInt(iterCurveSlider.value) / 100.0;
+        iterCurveLabel.textContent = exponent.toFixed(2);
+        setIterationCurve({ exponent: exponent });
+    };
+    adaptIterCheckbox.onchange = () => {
+        mandelbrot.adaptiveIterations = adaptIterCheckbox.checked;
+        preview.adaptiveIterations = adaptIterCheckbox.checked;
+        drawViews();
+    };
+    // the shaders are compiled again with loops of the new cap
+    iterCapInput.onchange = () => {
+        const cap = parseInt(iterCapInput.value);
+        const previous = mandelbrot.iterationCap;
+        const changed = tryChange(() => {
+            mandelbrot.setIterationCap(cap);
+            preview.setIterationCap(cap);
+        });
+        // the preview keeps its cap on its own, the main view may need to go back to it
+        if(!changed && mandelbrot.iterationCap !== previous) {
+            mandelbrot.setIterationCap(previous);
+        }
+        drawViews();
+        updateIterationControls();
+    };
+    updateIterationControls();
+    // the escape slider is logarithmic so it covers both the small escape values
+    // and the large bailouts smooth colouring needs
+    function escapeToSlider(escape) {
+        return Math.round(Math.log2(escape) * 1000).toString();
+    }
+
+    function escapeLabelText(escape) {
+        return Number(escape.toPrecision(3)).toString();
+    }
+
+    escapeSlider.oninput = () => {
+        mandelbrot.escapeVal = Math.pow(2, parseInt(escapeSlider.value) / 1000.0);
+        preview.escapeVal = mandelbrot.escapeVal;
+        escapeLabel.textContent = escapeLabelText(mandelbrot.escapeVal);
+        drawViews(true);
+    };
+    // the deep zoom and the exports need the WebGL renderer
+    function updateRendererControls() {
+        deepZoomCheckbox.disabled = !mandelbrot.isDeepZoomAvailable();
+        deepZoomCheckbox.checked = mandelbrot.deepZoom && mandelbrot.isDeepZoomAvailable();
+        exportButton.disabled = !(mandelbrot instanceof GLBrot);
+        animationExportButton.disabled = !(mandelbrot instanceof GLBrot);
+        // the CPU renderer does not refine nor shade the views
+        antialiasingSelect.disabled = !(mandelbrot instanceof GLBrot);
+        shadingSelect.disabled = !(mandelbrot instanceof GLBrot);
+    }
+    updateRendererControls();
+    deepZoomCheckbox.onchange = () => {
+        mandelbrot.deepZoom = deepZoomCheckbox.checked;
+        preview.deepZoom = deepZoomCheckbox.checked;
+        drawViews();
+    };
+    inspectorCheckbox.onchange = () => inspector.setEnabled(inspectorCheckbox.checked);
+    minimapCheckbox.onchange = () => minimap.setEnabled(minimapCheckbox.checked);
+    // the frames are only timed while the readout is shown, timing them without the timer
+    // queries waits for the GPU after each of them
+    hudCheckbox.onchange = () => {
+        hud.setEnabled(hudCheckbox.checked);
+        mandelbrot.onframetime = hudCheckbox.checked ? (time, gpu) => hud.showFrameTime(time, gpu) : null;
+        hud.update(mandelbrot);
+    };
+    resolutionSelect.onchange = () => {
+        mandelbrot.setPixelRatioCap(parseFloat(resolutionSelect.value));
+        preview.setPixelRatioCap(parseFloat(resolutionSelect.value));
+    };
+    antialiasingSelect.onchange = () => {
+        mandelbrot.setAntialiasing(antialiasingSelect.value);
+        preview.setAntialiasing(antialiasingSelect.value);
+    };
+    juliaPreviewCheckbox.onchange = () => {
+        if(juliaPreviewCheckbox.checked) {
+            preview.canvas.classList.remove("d-none");
+        } else {
+            preview.canvas.classList.add("d-none");
+        }
+        drawViews();
+    };
+    juliaSwapCheckbox.onchange = () => {
+        // the full-screen view and the preview exchange the set they render
+        mandelbrot.exchangeView(preview);
+        drawViews();
+    };
+
+    // adds a registered formula to the formulas dropdown
+    function addFormulaOption(formula) {
+        // formulas registered again with the same identifier replace the previous one
+        const existing = Array.from(formulaSelect.options).find(option => option.value === formula.id);
+        if(existing !== undefined) {
+            existing.textContent = formula.name;
+            return;
+        }
+        const option = document.createElement("option");
+        option.value = formula.id;
+        option.textContent = formula.name;
+        formulaSelect.appendChild(option);
+    }
+
+    // creates a slider for each tunable parameter of the current formula
+    function buildParameterSliders() {
+        formulaParameters.replaceChildren();
+        mandelbrot.formula.parameters.forEach((parameter, i) => {
+            const container = document.createElement("div");
+            container.className = "mt-2";
+
+            const labels = document.createElement("div");
+            labels.className = "d-flex justify-content-between";
+            const nameLabel = document.createElement("label");
+            nameLabel.className = "text-white";
+            nameLabel.htmlFor = "formula-parameter-" + i;
+            nameLabel.textContent = parameter.name + ":";
+            const valueLabel = document.createElement("output");
+            valueLabel.className = "text-white";
+            valueLabel.htmlFor = "formula-parameter-" + i;
+            valueLabel.textContent = mandelbrot.formulaParameters[i].toString();
+            labels.append(nameLabel, valueLabel);
+
+            const slider = document.createElement("input");
+            slider.id = "formula-parameter-" + i;
+            slider.className = "slider";
+            slider.type = "range";
+            slider.min = parameter.min;
+            slider.max = parameter.max;
+            slider.step = parameter.step;
+            slider.value = mandelbrot.formulaParameters[i];
+            slider.oninput = () => {
+                mandelbrot.formulaParameters[i] = parseFloat(slider.value);
+                preview.formulaParameters[i] = mandelbrot.formulaParameters[i];
+                valueLabel.textContent = slider.value;
+                drawViews(true);
+            };
+
+            container.append(labels, slider);
+            formulaParameters.appendChild(container);
+        });
+    }
+
+    FORMULAS.forEach(addFormulaOption);
+    formulaEvents.addEventListener("formularegistered", event => addFormulaOption(event.detail));
+    formulaSelect.value = mandelbrot.formula.id;
+    buildParameterSliders();
+
+    formulaSelect.onchange = () => {
+        tryChange(() => {
+            mandelbrot.setFormula(formulaSelect.value);
+            preview.setFormula(formulaSelect.value);
+        });
+        formulaSelect.value = mandelbrot.formula.id;
+        buildParameterSliders();
+        updateShadingControls();
+        drawViews();
+    };
+
+    // both views share the palette edited in the settings menu
+    function setPalette(palette) {
+        mandelbrot.setPalette(palette);
+        preview.setPalette(palette);
+        drawViews();
+    }
+
+    const paletteEditor = new PaletteEditor(paletteStops, palettePreview, setPalette);
+    preview.setPalette(mandelbrot.palette);
+    paletteEditor.edit(mandelbrot.palette);
+
+    for(const [id, palette] of Object.entries(PALETTES)) {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = palette.name;
+        paletteSelect.appendChild(option);
+    }
+    paletteSelect.value = DEFAULT_PALETTE;
+
+    paletteSelect.onchange = () => {
+        const palette = Palette.builtIn(paletteSelect.value);
+        paletteEditor.edit(palette);
+        setPalette(palette);
+    };
+    addStopButton.addEventListener("click", () => paletteEditor.addStop());
+
+    function setPaletteOffset(offset) {
+        mandelbrot.paletteOffset = offset;
+        preview.paletteOffset = offset;
+        paletteOffsetSlider.value = Math.round(offset * 1000).toString();
+        paletteOffsetLabel.textContent = offset.toFixed(2);
+        drawViews();
+    }
+
+    paletteOffsetSlider.oninput = () => setPaletteOffset(parseInt(paletteOffsetSlider.value) / 1000.0);
+    paletteRepeatSlider.oninput = () => {
+        mandelbrot.paletteRepeat = parseInt(paletteRepeatSlider.value);
+        preview.paletteRepeat = mandelbrot.paletteRepeat;
+        paletteRepeatLabel.textContent = paletteRepeatSlider.value;
+        drawViews();
+    };
+
+    // animation frame request cycling the palette, null when the palette is still
+    let cyclingFrame = null;
+    // timestamp of the last palette cycling frame
+    let lastCyclingTime = null;
+
+    // shifts the palette offset according to the cycling speed, in palettes per second
+    function cyclePalette(time) {
+        const speed = parseInt(paletteSpeedSlider.value) / 100.0;
+        if(speed === 0) {
+            cyclingFrame = null;
+            lastCyclingTime = null;
+            return;
+        }
+        if(lastCyclingTime !== null) {
+            const offset = mandelbrot.paletteOffset + speed * (time - lastCyclingTime) / 1000.0;
+            setPaletteOffset(offset - Math.floor(offset));
+        }
+        lastCyclingTime = time;
+        cyclingFrame = requestAnimationFrame(cyclePalette);
+    }
+
+    paletteSpeedSlider.oninput = () => {
+        paletteSpeedLabel.textContent = (parseInt(paletteSpeedSlider.value) / 100.0).toFixed(2);
+        if(cyclingFrame === null) {
+            cyclingFrame = requestAnimationFrame(cyclePalette);
+        }
+    };
+
+    interiorColorInput.value = mandelbrot.interiorColor;
+    interiorColorInput.oninput = () => {
+        mandelbrot.interiorColor = interiorColorInput.value;
+        preview.interiorColor = interiorColorInput.value;
+        drawViews();
+    };
+    smoothCheckbox.checked = mandelbrot.smoothColoring;
+    smoothCheckbox.onchange = () => {
+        mandelbrot.smoothColoring = smoothCheckbox.checked;
+        preview.smoothColoring = smoothCheckbox.checked;
+        drawViews();
+    };
+    histogramCheckbox.checked = mandelbrot.histogramColoring;
+    histogramCheckbox.onchange = () => {
+        mandelbrot.histogramColoring = histogramCheckbox.checked;
+        preview.histogramColoring = histogramCheckbox.checked;
+        drawViews();
+    };
+
+    for(const [id, mode] of Object.entries(SHADING_MODES)) {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = mode.name;
+        shadingSelect.appendChild(option);
+    }
+
+    // shows the controls of the selected shading, the shadings needing the derivative of
+    // the formula are disabled for the formulas without one
+    function updateShadingControls() {
+        for(const option of shadingSelect.options) {
+            option.disabled = SHADING_MODES[option.value].derivative && mandelbrot.formula.derivative === null;
+        }
+        shadingSelect.value = mandelbrot.shading;
+        lightControls.classList.toggle("d-none", mandelbrot.shading !== "lighting");
+        trapControls.classList.toggle("d-none", mandelbrot.shading !== "trap");
+        lightAngleSlider.value = mandelbrot.light.angle.toString();
+        lightAngleLabel.textContent = Math.round(mandelbrot.light.angle) + "°";
+        lightHeightSlider.value = mandelbrot.light.height.toString();
+        lightHeightLabel.textContent = mandelbrot.light.height.toFixed(1);
+        trapShapeSelect.value = mandelbrot.trap.shape;
+        trapXInput.value = mandelbrot.trap.x.toString();
+        trapYInput.value = mandelbrot.trap.y.toString();
+        trapAngleSlider.value = mandelbrot.trap.angle.toString();
+        trapAngleLabel.textContent = Math.round(mandelbrot.trap.angle) + "°";
+    }
+    updateShadingControls();
+
+    // both views share the shading, its light and its trap
+    function setShading(change) {
+        for(const brot of [mandelbrot, preview]) {
+            change(brot);
+        }
+        updateShadingControls();
+        drawViews();
+    }
+
+    shadingSelect.onchange = () => setShading(brot => brot.shading = shadingSelect.value);
+    lightAngleSlider.oninput = () => setShading(brot => brot.light.angle = parseFloat(lightAngleSlider.value));
+    lightHeightSlider.oninput = () => setShading(brot => brot.light.height = parseFloat(lightHeightSlider.value));
+    trapShapeSelect.onchange = () => setShading(brot => brot.trap.shape = trapShapeSelect.value);
+    trapAngleSlider.oninput = () => setShading(brot => brot.trap.angle = parseFloat(trapAngleSlider.value));
+    for(const [input, axis] of [[trapXInput, "x"], [trapYInput, "y"]]) {
+        input.onchange = () => {
+            const value = parseFloat(input.value);
+            if(!Number.isFinite(value)) {
+                updateShadingControls();
+                return;
+            }
+            setShading(brot => brot.trap[axis] = value);
+        };
+    }
+
+    // density plot of the escaping orbits painted over the main view, which keeps
+    // handling the navigation
+    const density = new DensityRenderer(document.getElementById("density-canvas"));
+    density.onprogress = samples => densityStatus.textContent = samples.toLocaleString() + " orbits";
+    density.onerror = message => densityStatus.textContent = "Unable to sample the orbits: " + message;
+
+    for(const [id, mode] of Object.entries(DENSITY_MODES)) {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = mode.name;
+        renderModeSelect.appendChild(option);
+    }
+    for(const [id, curve] of Object.entries(TONE_CURVES)) {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = curve.name;
+        toneCurveSelect.appendChild(option);
+    }
+    toneCurveSelect.value = density.toneCurve;
+
+    // samples the orbits of the main view again once it changed, the formulas without a
+    // JavaScript counterpart cannot be sampled
+    function followDensity() {
+        try {
+            density.follow(mandelbrot);
+        } catch(error) {
+            if(!(error instanceof RangeError)) throw error;
+            densityStatus.textContent = error.message;
+        }
+    }
+
+    renderModeSelect.onchange = () => {
+        const mode = renderModeSelect.value;
+        densityControls.classList.toggle("d-none", mode === "escape");
+        nebulabrotLimits.classList.toggle("d-none", mode !== "nebulabrot");
+        densityStatus.textContent = "";
+        if(mode === "escape") {
+            density.stop();
+            return;
+        }
+        try {
+            density.start(mode, mandelbrot);
+        } catch(error) {
+            if(!(error instanceof RangeError)) throw error;
+            densityStatus.textContent = error.message;
+        }
+    };
+
+    for(const [input, channel] of [[densityRedInput, "red"], [densityGreenInput, "green"], [densityBlueInput, "blue"]]) {
+        input.onchange = () => {
+            const limit = parseInt(input.value);
+            if(!(limit >= 1 && limit <= MAX_ITERATION_CAP)) {
+                input.value = density.limits[channel].toString();
+                return;
+            }
+            density.limits[channel] = limit;
+            followDensity();
+        };
+    }
+
+    toneCurveSelect.onchange = () => {
+        density.toneCurve = toneCurveSelect.value;
+        density.paint();
+    };
+
+    // the counts are kept while the sampling is paused
+    densityPauseButton.addEventListener("click", () => {
+        density.setPaused(!density.paused);
+        densityPauseButton.textContent = density.paused ? "Resume" : "Pause";
+    });
+
+    // brings every control of the settings menu in line with the main view
+    function updateControls() {
+        updateIterationControls();
+        escapeSlider.value = escapeToSlider(mandelbrot.escapeVal);
+        escapeLabel.textContent = escapeLabelText(mandelbrot.escapeVal);
+        formulaSelect.value = mandelbrot.formula.id;
+        buildParameterSliders();
+        juliaSwapCheckbox.checked = mandelbrot.julia;
+        paletteEditor.edit(mandelbrot.palette);
+        paletteOffsetSlider.value = Math.round(mandelbrot.paletteOffset * 1000).toString();
+        paletteOffsetLabel.textContent = mandelbrot.paletteOffset.toFixed(2);
+        paletteRepeatSlider.value = mandelbrot.paletteRepeat.toString();
+        paletteRepeatLabel.textContent = mandelbrot.paletteRepeat.toString();
+        interiorColorInput.value = mandelbrot.interiorColor;
+        smoothCheckbox.checked = mandelbrot.smoothColoring;
+        histogramCheckbox.checked = mandelbrot.histogramColoring;
+        updateShadingControls();
+    }
+
+    function resetHandlers() {
+        mandelbrot.resetView();
+        preview.resetView();
+        updateControls();
+    }
+
+    resetButton.addEventListener("click", resetHandlers);
+    resetButton.addEventListener("touchstart", resetHandlers);
+
+    // render state of the main view, with the julia parameter picked by the user
+    function currentState() {
+        const state = mandelbrot.getState();
+        state.juliaC = {
+            x: juliaC.x,
+            y: juliaC.y
+        };
+        return state;
+    }
+
+    // renders the given state in the main view, the preview keeps its own view
+    function applyState(state) {
+        const changed = tryChange(() => {
+            if(state.julia !== mandelbrot.julia) {
+                mandelbrot.exchangeView(preview);
+            }
+            mandelbrot.setState(state);
+            // the preview starts from the default view of a newly selected formula
+            if(state.formula !== preview.formula.id) {
+                preview.setFormula(state.formula);
+            }
+            preview.setState({
+                ...state,
+                x: preview.viewOrigin.x,
+                y: preview.viewOrigin.y,
+                range: preview.viewRange,
+                julia: preview.julia
+            });
+        });
+        if(!changed) {
+            updateControls();
+            return;
+        }
+        // both views keep sharing the palette edited in the settings menu
+        preview.setPalette(mandelbrot.palette);
+        juliaC = {
+            x: state.juliaC.x,
+            y: state.juliaC.y
+        };
+        updateControls();
+        drawViews();
+    }
+
+    // state the page falls back to when the URL hash cannot be read
+    const defaultState = currentState();
+
+    // renders the state written in the URL hash, if any
+    function restoreHash() {
+        if(location.hash.length <= 1) return;
+        try {
+            applyState(decodeState(location.hash, defaultState));
+        } catch(error) {
+            console.warn("Ignoring the view in the URL:", error.message);
+            applyState(defaultState);
+        }
+    }
+
+    // timer of the pending URL hash update
+    let hashTimer = null;
+
+    // writes the current state in the URL hash once the view settled
+    function scheduleHashUpdate() {
+        clearTimeout(hashTimer);
+        hashTimer = setTimeout(() => {
+            hashTimer = null;
+            // replacing the state does not add a history entry per move nor fire hashchange
+            history.replaceState(null, "", "#" + encodeState(currentState()));
+        }, HASH_UPDATE_DELAY);
+    }
+
+    // views the main view settled on, gone back and forth through with the undo and
+    // redo buttons and keys
+    const viewHistory = new ViewHistory();
+    // timer of the pending record of the view in the history
+    let historyTimer = null;
+
+    function updateHistoryButtons() {
+        undoButton.disabled = !viewHistory.canUndo();
+        redoButton.disabled = !viewHistory.canRedo();
+    }
+
+    // records the view in the history once it settled, after the moves, the zooms and
+    // the changes of the sliders alike
+    function scheduleHistoryRecord() {
+        clearTimeout(historyTimer);
+        historyTimer = setTimeout(recordHistory, HISTORY_RECORD_DELAY);
+    }
+
+    function recordHistory() {
+        clearTimeout(historyTimer);
+        historyTimer = null;
+        // the frames of an animation export are not views the user settled on
+        if(frameExporter !== null) return;
+        viewHistory.record(currentState());
+        updateHistoryButtons();
+    }
+
+    // renders a view of the history, the colouring stays as it is
+    function applyHistoryView(view) {
+        stopAnimation();
+        applyState({ ...currentState(), ...view });
+        updateHistoryButtons();
+    }
+
+    // the view left before it settled is recorded first, so it can be gone back to
+    function undoView() {
+        if(historyTimer !== null) {
+            recordHistory();
+        }
+        const view = viewHistory.undo();
+        if(view !== null) {
+            applyHistoryView(view);
+        }
+    }
+
+    function redoView() {
+        if(historyTimer !== null) {
+            recordHistory();
+        }
+        const view = viewHistory.redo();
+        if(view !== null) {
+            applyHistoryView(view);
+        }
+    }
+
+    undoButton.addEventListener("click", undoView);
+    redoButton.addEventListener("click", redoView);
+
+    restoreHash();
+    mandelbrot.ondraw = () => {
+        scheduleHashUpdate();
+        scheduleHistoryRecord();
+        inspector.update();
+        hud.update(mandelbrot);
+        minimap.update();
+        followDensity();
+        if(mandelbrot.autoIterations) {
+            showMaxIter();
+        }
+    };
+    window.addEventListener("hashchange", restoreHash);
+
+    // the link is shown in the notice when the clipboard refuses it, it can be copied from there
+    copyLinkButton.addEventListener("click", async () => {
+        history.replaceState(null, "", "#" + encodeState(currentState()));
+        if(!await copyText(copyLinkButton, location.href)) {
+            showChangeNotice("The link could not be copied: " + location.href);
+        }
+    });
+
+    // poster export running, null when none is
+    let exporter = null;
+
+    exportButton.addEventListener("click", () => {
+        exportWidthInput.value = mandelbrot.gl.drawingBufferWidth.toString();
+        exportHeightInput.value = Math.round(mandelbrot.gl.drawingBufferWidth / mandelbrot.aspectRatio).toString();
+        exportProgress.value = 0;
+        exportStatus.textContent = "";
+        exportDialog.showModal();
+    });
+
+    // the poster keeps the aspect ratio of the view unless asked otherwise
+    exportWidthInput.oninput = () => {
+        if(exportRatioCheckbox.checked) {
+            exportHeightInput.value = Math.max(1, Math.round(exportWidthInput.value / mandelbrot.aspectRatio));
+        }
+    };
+    exportHeightInput.oninput = () => {
+        if(exportRatioCheckbox.checked) {
+            exportWidthInput.value = Math.max(1, Math.round(exportHeightInput.value * mandelbrot.aspectRatio));
+        }
+    };
+
+    exportStartButton.addEventListener("click", async () => {
+        const width = parseInt(exportWidthInput.value);
+        const height = parseInt(exportHeightInput.value);
+        const state = currentState();
+        // the view is stored with the same parameters as the shareable links
+        const metadata = {
+            "Title": "Mandelbrot",
+            "Software": "mandelbrot-webgl",
+            "Comment": "centre " + state.x.toNumber() + " " + state.y.toNumber()
+                + ", range " + state.range.toNumber()
+                + ", " + state.maxIter + " iterations",
+            "View": encodeState(state)
+        };
+        try {
+            exporter = new PosterExporter(mandelbrot, width, height, parseInt(exportSupersampling.value), metadata);
+        } catch(error) {
+            exportStatus.textContent = error.message;
+            return;
+        }
+        exporter.onprogress = progress => exportProgress.value = progress;
+        exportStartButton.disabled = true;
+        exportStatus.textContent = "Rendering…";
+
+        try {
+            download(await exporter.render(), "mandelbrot-" + width + "x" + height + ".png");
+            exportStatus.textContent = "Done";
+        } catch(error) {
+            exportStatus.textContent = error.name === "AbortError" ? "Cancelled" : error.message;
+        } finally {
+            exporter = null;
+            exportStartButton.disabled = false;
+        }
+    });
+
+    // closing the dialog cancels the export in progress
+    exportCloseButton.addEventListener("click", () => exportDialog.close());
+    exportDialog.addEventListener("close", () => {
+        if(exporter !== null) {
+            exporter.cancel();
+        }
+    });
+
+    // saves a blob as a file through the browser downloads
+    function download(blob, name) {
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(blob);
+        link.download = name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // keyframed flight edited in the settings menu
+    const keyframeEditor = new KeyframeEditor(keyframeList, new KeyframeAnimation(), applyState);
+    keyframeEditor.render();
+
+    keyframeAddButton.addEventListener("click", () => {
+        keyframeEditor.animation.add(currentState());
+        keyframeEditor.render();
+    });
+
+    // animation frame request playing a flight, null when none is played
+    let playingFrame = null;
+
+    function stopAnimation() {
+        if(playingFrame !== null) {
+            cancelAnimationFrame(playingFrame);
+            playingFrame = null;
+        }
+        animationPlayButton.textContent = "Play";
+    }
+
+    // plays the given flight in the canvas in real time, its last state is then applied
+    // to the whole page
+    function playAnimation(animation) {
+        stopAnimation();
+        let start = null;
+        function playFrame(time) {
+            if(start === null) start = time;
+            const elapsed = (time - start) / 1000.0;
+            if(elapsed >= animation.duration()) {
+                stopAnimation();
+                applyState(animation.stateAt(elapsed));
+                return;
+            }
+            mandelbrot.setState(animation.stateAt(elapsed));
+            playingFrame = requestAnimationFrame(playFrame);
+        }
+        playingFrame = requestAnimationFrame(playFrame);
+    }
+
+    // previews the flight in the canvas
+    animationPlayButton.addEventListener("click", () => {
+        const animation = keyframeEditor.animation;
+        if(playingFrame !== null || animation.keyframes.length < 2) {
+            stopAnimation();
+            return;
+        }
+        playAnimation(animation);
+        animationPlayButton.textContent = "Stop";
+    });
+
+    animationSaveButton.addEventListener("click", () => {
+        const json = JSON.stringify(keyframeEditor.animation, null, 2);
+        download(new Blob([json], { type: "application/json" }), "keyframes.json");
+    });
+
+    animationLoadButton.addEventListener("click", () => animationLoadInput.click());
+    animationLoadInput.addEventListener("change", async () => {
+        const file = animationLoadInput.files[0];
+        animationLoadInput.value = "";
+        if(file === undefined) return;
+        try {
+            const json = JSON.parse(await file.text());
+            keyframeEditor.edit(KeyframeAnimation.fromJSON(json, defaultState));
+            animationStatus.textContent = "";
+        } catch(error) {
+            animationStatus.textContent = "Cannot load " + file.name + ": " + error.message;
+        }
+    });
+
+    // whether the animation export was cancelled
+    let animationCancelled = false;
+    // poster exporter rendering the current frame of the animation export, if any
+    let frameExporter = null;
+
+    animationWebmCheckbox.disabled = typeof MediaRecorder === "undefined" || !MediaRecorder.isTypeSupported("video/webm");
+
+    animationExportButton.addEventListener("click", () => {
+        if(keyframeEditor.animation.keyframes.length < 2) {
+            animationStatus.textContent = "An animation needs at least two keyframes";
+            return;
+        }
+        stopAnimation();
+        animationProgress.value = 0;
+        animationExportStatus.textContent = "";
+        animationDialog.showModal();
+    });
+
+    // renders every frame of the flight as a PNG at a fixed time step, so the same
+    // keyframes always give the same frames, and saves them in a zip archive
+    animationStartButton.addEventListener("click", async () => {
+        const animation = keyframeEditor.animation;
+        const width = parseInt(animationWidthInput.value);
+        const height = parseInt(animationHeightInput.value);
+        const fps = parseInt(animationFpsInput.value);
+        if(!(fps > 0)) {
+            animationExportStatus.textContent = "Invalid frame rate";
+            return;
+        }
+        const frameCount = Math.floor(animation.duration() * fps) + 1;
+        const restoredState = currentState();
+
+        animationCancelled = false;
+        animationStartButton.disabled = true;
+        animationExportStatus.textContent = "Rendering…";
+        const archive = new ZipWriter();
+        // the frames are only kept for the video when one is recorded, the archive has them
+        const webm = animationWebmCheckbox.checked && !animationWebmCheckbox.disabled;
+        const frames = [];
+        try {
+            for(let i = 0; i < frameCount; i++) {
+                if(animationCancelled) {
+                    throw new DOMException("The animation export was cancelled", "AbortError");
+                }
+                const state = animation.stateAt(i / fps);
+                mandelbrot.setState(state);
+                frameExporter = new PosterExporter(mandelbrot, width, height, 1, {
+                    "Software": "mandelbrot-webgl",
+                    "View": encodeState(state)
+                });
+                const frame = await frameExporter.render();
+                await archive.add("frame-" + i.toString().padStart(5, "0") + ".png", frame);
+                if(webm) {
+                    frames.push(frame);
+                }
+                animationProgress.value = (i + 1) / frameCount;
+            }
+            download(archive.finish(), "frames.zip");
+
+            if(webm) {
+                animationExportStatus.textContent = "Recording the video…";
+                download(await recordWebm(frames, width, height, fps), "animation.webm");
+            }
+            animationExportStatus.textContent = "Done";
+        } catch(error) {
+            animationExportStatus.textContent = error.name === "AbortError" ? "Cancelled" : error.message;
+        } finally {
+            frameExporter = null;
+            animationStartButton.disabled = false;
+            applyState(restoredState);
+        }
+    });
+
+    // closing the dialog cancels the export in progress
+    animationCloseButton.addEventListener("click", () => animationDialog.close());
+    animationDialog.addEventListener("close", () => {
+        animationCancelled = true;
+        if(frameExporter !== null) {
+            frameExporter.cancel();
+        }
+    });
+
+    // the settings and the bookmarks menus, one of them is open at a time so they fit
+    // in the height of the page
+    const panels = [
+        { element: settingsElem, button: settingsButton },
+        { element: bookmarksElem, button: bookmarksButton }
+    ];
+
+    // opens or closes a menu
+    function togglePanel(panel) {
+        const visible = panel.element.classList.toggle("settings-visible");
+        panel.button.setAttribute("aria-expanded", visible.toString());
+        // the focus would be lost in the hidden controls
+        if(!visible && panel.element.contains(document.activeElement)) {
+            panel.button.focus();
+        }
+        if(visible) {
+            for(const other of panels) {
+                if(other !== panel && other.element.classList.contains("settings-visible")) {
+                    togglePanel(other);
+                }
+            }
+        }
+    }
+
+    function handleSettings() {
+        togglePanel(panels[0]);
+    }
+
+    for(const panel of panels) {
+        // the button is clicked by the taps too
+        panel.button.addEventListener("click", () => togglePanel(panel));
+        // escape closes the menu from any of its controls
+        panel.element.addEventListener("keydown", event => {
+            if(event.key === "Escape" && panel.element.classList.contains("settings-visible")) {
+                togglePanel(panel);
+            }
+        });
+    }
+
+    // bookmarks kept for the next visits, the views fly to them
+    let bookmarkLibrary;
+    try {
+        bookmarkLibrary = BookmarkLibrary.load(localStorage, defaultState);
+    } catch(error) {
+        console.warn("Ignoring the saved bookmarks:", error.message);
+        bookmarkLibrary = new BookmarkLibrary();
+    }
+
+    // flies from the current view to the given state, the states of other formulas or
+    // sets cannot be blended so they are rendered right away
+    function flyTo(state) {
+        const current = currentState();
+        if(state.formula !== current.formula || state.julia !== current.julia) {
+            stopAnimation();
+            applyState(state);
+            return;
+        }
+        const flight = new KeyframeAnimation();
+        flight.add(current, BOOKMARK_FLIGHT_DURATION);
+        flight.add(state);
+        playAnimation(flight);
+    }
+
+    // saves the bookmarks after every change, the thumbnails may fill the storage
+    function saveBookmarks(library) {
+        try {
+            library.save(localStorage);
+            bookmarkStatus.textContent = "";
+        } catch(error) {
+            bookmarkStatus.textContent = "Unable to save the bookmarks: " + error.message;
+        }
+    }
+
+    const bookmarkPanel = new BookmarkPanel(bookmarkList, bookmarkLibrary, flyTo, saveBookmarks);
+    bookmarkPanel.render();
+
+    // the bookmarks are named after the view unless given a name
+    bookmarkAddButton.addEventListener("click", () => {
+        const name = bookmarkNameInput.value.trim()
+            || describeView(mandelbrot.viewOrigin, mandelbrot.viewRange, defaultView(mandelbrot.formula).range);
+        const thumbnail = thumbnailURL(mandelbrot.captureThumbnail(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT));
+        bookmarkPanel.library.add(name, currentState(), thumbnail);
+        bookmarkNameInput.value = "";
+        saveBookmarks(bookmarkPanel.library);
+        bookmarkPanel.render();
+    });
+
+    bookmarkExportButton.addEventListener("click", () => {
+        const json = JSON.stringify(bookmarkPanel.library, null, 2);
+        download(new Blob([json], { type: "application/json" }), "bookmarks.json");
+    });
+
+    // the imported bookmarks are added after the existing ones
+    bookmarkImportButton.addEventListener("click", () => bookmarkImportInput.click());
+    bookmarkImportInput.addEventListener("change", async () => {
+        const file = bookmarkImportInput.files[0];
+        bookmarkImportInput.value = "";
+        if(file === undefined) return;
+        try {
+            const json = JSON.parse(await file.text());
+            bookmarkPanel.library.merge(BookmarkLibrary.fromJSON(json, defaultState));
+        } catch(error) {
+            bookmarkStatus.textContent = "Cannot import " + file.name + ": " + error.message;
+            return;
+        }
+        saveBookmarks(bookmarkPanel.library);
+        bookmarkPanel.render();
+    });
+
+    const helpDialog = document.getElementById("help-dialog");
+    const helpButton = document.getElementById("help-button");
+    const helpCloseButton = document.getElementById("help-close-button");
+    const keyMapResetButton = document.getElementById("key-map-reset-button");
+
+    // size of the steps of the arrow keys in pixels of the main view
+    function keyPanDistance() {
+        return mandelbrot.canvas.clientHeight * KEY_PAN_STEP;
+    }
+
+    // raises or lowers the iterations within the bounds of the slider, the automatic
+    // iterations are changed through their growth per decade
+    function stepIterations(direction) {
+        const slider = mandelbrot.autoIterations ? iterDecadeSlider : iterSlider;
+        slider.stepUp(mandelbrot.autoIterations ? direction : direction * KEY_ITERATION_STEP);
+        slider.dispatchEvent(new Event("input"));
+    }
+
+    function showHelp() {
+        keyMapEditor.render();
+        helpDialog.showModal();
+    }
+
+    // keys moving the main view and toggling the menus
+    const keyboard = new KeyboardController({
+        panLeft: () => mandelbrot.translateView(-keyPanDistance(), 0),
+        panRight: () => mandelbrot.translateView(keyPanDistance(), 0),
+        panUp: () => mandelbrot.translateView(0, -keyPanDistance()),
+        panDown: () => mandelbrot.translateView(0, keyPanDistance()),
+        zoomIn: () => mandelbrot.zoomView(-1),
+        zoomOut: () => mandelbrot.zoomView(1),
+        moreIterations: () => stepIterations(1),
+        lessIterations: () => stepIterations(-1),
+        reset: resetHandlers,
+        undo: undoView,
+        redo: redoView,
+        toggleSettings: () => {
+            handleSettings();
+            settingsButton.focus();
+        },
+        help: showHelp
+    });
+    try {
+        const savedKeyMap = localStorage.getItem(KEY_MAP_STORAGE_KEY);
+        if(savedKeyMap !== null) {
+            keyboard.keyMap = parseKeyMap(JSON.parse(savedKeyMap));
+        }
+    } catch(error) {
+        console.warn("Ignoring the saved key map:", error.message);
+    }
+    keyboard.attach(document);
+
+    // the key map edited in the help is kept for the next visits
+    const keyMapEditor = new KeyMapEditor(document.getElementById("key-map"), keyboard, keyMap => {
+        try {
+            localStorage.setItem(KEY_MAP_STORAGE_KEY, JSON.stringify(keyMap));
+        } catch(error) {
+            console.warn("Unable to save the key map:", error.message);
+        }
+    });
+
+    helpButton.addEventListener("click", showHelp);
+    helpCloseButton.addEventListener("click", () => helpDialog.close());
+    keyMapResetButton.addEventListener("click", () => {
+        keyboard.keyMap = parseKeyMap(DEFAULT_KEY_MAP);
+        keyMapEditor.onchange(keyboard.keyMap);
+        keyMapEditor.render();
+    });
+
+    window.onresize = () => {
+        drawViews();
+        minimap.redraw();
+    };
+
+    // moving the window to a screen of another pixel density resizes the drawing buffers
+    function watchPixelRatio() {
+        matchMedia(`(resolution: ${devicePixelRatio}dppx)`).addEventListener("change", () => {
+            drawViews();
+            watchPixelRatio();
+        }, { once: true });
+    }
+    watchPixelRatio();
+}
+
+window.onload = main;
@@ -0,0 +1,322 @@
+import { BigFloat } from "./bigfloat.js";
+import { GLBrot, WebGLError } from "./mandelbrot.js";
+import { CPUBrot } from "./cpubrot.js";
+import { NavigationController } from "./navigation.js";
+import { KeyframeAnimation } from "./animation.js";
+import { PosterExporter } from "./poster.js";
+import { encodeState } from "./permalink.js";
+import { MAX_ITERATION_CAP } from "./brot.js";
+
+// tag name the element is registered with
+export const ELEMENT_NAME = "mandelbrot-view";
+// time in seconds flyTo takes by default
+const FLIGHT_DURATION = 3.0;
+// attributes setting the view, applied together
+const VIEW_ATTRIBUTES = ["center-x", "center-y", "range"];
+// style of the shadow root: the element is a block the canvas fills, of the default size
+// of a canvas unless the page sizes it
+const ELEMENT_STYLE = `
+    :host {
+        display: block;
+        position: relative;
+        width: 300px;
+        height: 150px;
+    }
+    :host([hidden]) {
+        display: none;
+    }
+    canvas {
+        display: block;
+        width: 100%;
+        height: 100%;
+        touch-action: none;
+    }
+`;
+
+// arbitrary precision number of a BigFloat, a number or a string, the strings can be the
+// exact representations written by BigFloat.toString or decimal numbers
+function toBigFloat(value) {
+    return typeof value === "string" ? BigFloat.parse(value) : BigFloat.from(value);
+}
+
+// fractal explorer to embed in any page, several of them can share one:
+//
+//     <script type="importmap">{ "imports": { "gl-matrix": "…/gl-matrix/esm/index.js" } }</script>
+//     <script type="module" src="mandelbrot-view.js"></script>
+//     <mandelbrot-view center-x="-0.75" center-y="0.1" range="0.05" max-iter="500" interactive></mandelbrot-view>
+//
+// the attributes set the view and its iterations, the interactive attribute lets the mouse
+// and the touches move it. setView, flyTo, reset and toBlob control it from scripts, the
+// viewchange event tells where the view moved, renderstart and renderend frame its drawing
+export class MandelbrotView extends HTMLElement {
+
+    static observedAttributes = ["center-x", "center-y", "range", "max-iter", "escape", "interactive"];
+
+    // canvas of the shadow root the fractal is rendered in
+    canvas = null;
+
+    // renderer of the canvas, created once the element is first connected
+    brot = null;
+
+    // moves the view with the mouse and the touches while the element is interactive
+    navigation = new NavigationController();
+
+    // redraws the view when the element is resized
+    resizeObserver = new ResizeObserver(() => this.brot.requestDraw());
+
+    // animation frame request of the flight in progress, null when the view is not flying
+    flightFrame = null;
+
+    // rejects the promise returned by flyTo for the flight in progress
+    rejectFlight = null;
+
+    // centre and range the last viewchange event was dispatched for
+    reportedView = null;
+
+    constructor() {
+        super();
+        const style = document.createElement("style");
+        style.textContent = ELEMENT_STYLE;
+        this.canvas = document.createElement("canvas");
+        this.canvas.setAttribute("role", "img");
+        this.canvas.setAttribute("aria-label", "Fractal view");
+        // grabbing the view stops its flight
+        this.canvas.addEventListener("pointerdown", () => this.stopFlight());
+        this.attachShadow({ mode: "open" }).append(style, this.canvas);
+    }
+
+    connectedCallback() {
+        if(this.brot === null) {
+            this.useBrot(this.createBrot());
+            this.applyAttributes();
+        }
+        this.resizeObserver.observe(this);
+        this.applyAttribute("interactive", this.getAttribute("interactive"));
+        this.brot.requestDraw();
+    }
+
+    // the view stays as drawn while the element is out of the page
+    disconnectedCallback() {
+        this.stopFlight();
+        this.resizeObserver.disconnect();
+        if(this.navigation.brot !== null) {
+            this.navigation.detach();
+        }
+        this.brot.scheduler.cancel();
+    }
+
+    // the attributes set before the element is connected are applied once it is
+    attributeChangedCallback(name, oldValue, value) {
+        if(this.brot === null) return;
+        this.applyAttribute(name, value);
+    }
+
+    // renders with WebGL if the client can, with the Web Worker renderer otherwise
+    createBrot() {
+        try {
+            const brot = new GLBrot(this.canvas);
+            brot.onrestorefailure = error => this.fallBack(error);
+            return brot;
+        } catch(error) {
+            if(!(error instanceof WebGLError)) throw error;
+            return this.createFallback(error);
+        }
+    }
+
+    // creates the Web Worker renderer in a copy of the canvas, a canvas keeps the context
+    // it was first asked for
+    createFallback(error) {
+        console.warn(error.message, "The fractal is rendered without WebGL.");
+        const canvas = this.canvas.cloneNode(false);
+        canvas.addEventListener("pointerdown", () => this.stopFlight());
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+        return new CPUBrot(canvas);
+    }
+
+    // renders the view with the given renderer from now on
+    useBrot(brot) {
+        this.brot = brot;
+        brot.ondraw = () => this.reportView();
+        brot.scheduler.onstatechange = state => {
+            this.dispatchEvent(new Event(state === "done" ? "renderend" : "renderstart"));
+        };
+        brot.scheduler.onerror = error => console.warn(error.message);
+    }
+
+    // the Web Worker renderer takes over the view once the shaders fail to compile after
+    // the context was restored
+    fallBack(error) {
+        const state = this.brot.getState();
+        const interactive = this.navigation.brot !== null;
+        if(interactive) {
+            this.navigation.detach();
+        }
+        this.brot.scheduler.cancel();
+        this.useBrot(this.createFallback(error));
+        try {
+            this.brot.setState(state);
+        } catch(stateError) {
+            // the formulas without a JavaScript counterpart cannot be rendered by the workers
+            if(!(stateError instanceof RangeError)) throw stateError;
+            console.warn(stateError.message);
+            this.brot.requestDraw();
+        }
+        if(interactive) {
+            this.navigation.attach(this.brot);
+        }
+    }
+
+    // gives the renderer the values of the attributes set, the view is set once for the
+    // centre and the range
+    applyAttributes() {
+        for(const name of MandelbrotView.observedAttributes) {
+            if(!VIEW_ATTRIBUTES.includes(name)) {
+                this.applyAttribute(name, this.getAttribute(name));
+            }
+        }
+        const view = VIEW_ATTRIBUTES.find(name => this.hasAttribute(name));
+        if(view !== undefined) {
+            this.applyAttribute(view, this.getAttribute(view));
+        }
+    }
+
+    // gives the renderer the value of an attribute, the malformed values are ignored and
+    // the removed ones leave the view as it is, except for interactive
+    applyAttribute(name, value) {
+        try {
+            if(name === "interactive") {
+                if(value !== null && this.navigation.brot === null) {
+                    this.navigation.attach(this.brot);
+                } else if(value === null && this.navigation.brot !== null) {
+                    this.navigation.detach();
+                }
+            } else if(value === null) {
+                return;
+            } else if(name === "max-iter") {
+                const maxIter = parseInt(value);
+                if(!(maxIter >= 1 && maxIter <= MAX_ITERATION_CAP)) {
+                    throw new RangeError("Invalid maximum iteration: " + value);
+                }
+                this.brot.maxIter = maxIter;
+                this.brot.requestDraw();
+            } else if(name === "escape") {
+                const escape = parseFloat(value);
+                if(!(escape > 0)) {
+                    throw new RangeError("Invalid escape value: " + value);
+                }
+                this.brot.escapeVal = escape;
+                this.brot.requestDraw();
+            } else {
+                // the centre and the range missing from the attributes stay as they are
+                const x = this.getAttribute("center-x");
+                const y = this.getAttribute("center-y");
+                const range = this.getAttribute("range");
+                this.setView(
+                    x ?? this.brot.viewOrigin.x,
+                    y ?? this.brot.viewOrigin.y,
+                    range ?? this.brot.viewRange
+                );
+            }
+        } catch(error) {
+            console.warn("Ignoring the " + name + " attribute:", error.message);
+        }
+    }
+
+    // moves the view to the given centre and range at once, as numbers, BigFloats or strings
+    setView(x, y, range) {
+        this.stopFlight();
+        this.brot.setView(toBigFloat(x), toBigFloat(y), toBigFloat(range));
+    }
+
+    // flies from the current view to the given centre and range in the given time in seconds,
+    // resolves once there. rejects with an AbortError if the flight is interrupted by
+    // another move of the view from a script or by the user grabbing it
+    flyTo(x, y, range, duration = FLIGHT_DURATION) {
+        this.stopFlight();
+        const from = this.brot.getState();
+        const to = {
+            ...from,
+            x: toBigFloat(x),
+            y: toBigFloat(y),
+            range: toBigFloat(range)
+        };
+        const flight = new KeyframeAnimation();
+        flight.add(from, duration);
+        flight.add(to);
+
+        return new Promise((resolve, reject) => {
+            this.rejectFlight = reject;
+            let start = null;
+            const flyFrame = time => {
+                if(start === null) start = time;
+                const elapsed = (time - start) / 1000.0;
+                if(elapsed >= duration) {
+                    this.flightFrame = null;
+                    this.rejectFlight = null;
+                    this.brot.setState(to);
+                    resolve();
+                    return;
+                }
+                this.brot.setState(flight.stateAt(elapsed));
+                this.flightFrame = requestAnimationFrame(flyFrame);
+            };
+            this.flightFrame = requestAnimationFrame(flyFrame);
+        });
+    }
+
+    // stops the flight in progress, if any
+    stopFlight() {
+        if(this.flightFrame === null) return;
+        cancelAnimationFrame(this.flightFrame);
+        this.flightFrame = null;
+        this.rejectFlight(new DOMException("The flight was interrupted", "AbortError"));
+        this.rejectFlight = null;
+    }
+
+    // goes back to the view, iterations and escape value of the attributes, the initial
+    // ones of the formula for those missing
+    reset() {
+        this.stopFlight();
+        this.brot.resetView();
+        this.applyAttributes();
+    }
+
+    // renders the view into a PNG of the given size, the size of the drawing buffer by
+    // default, and resolves with its blob. the Web Worker renderer saves its canvas as is
+    toBlob(width = this.canvas.width, height = this.canvas.height) {
+        if(!(this.brot instanceof GLBrot)) {
+            return new Promise(resolve => this.canvas.toBlob(resolve, "image/png"));
+        }
+        const exporter = new PosterExporter(this.brot, width, height, 1, {
+            "Software": "mandelbrot-webgl",
+            "View": encodeState(this.brot.getState())
+        });
+        return exporter.render();
+    }
+
+    // dispatches a viewchange event when a drawn frame shows another view than the last
+    // event, the detail holds the centre and the range as numbers and their exact strings
+    reportView() {
+        const brot = this.brot;
+        const view = [brot.viewOrigin.x, brot.viewOrigin.y, brot.viewRange].map(value => value.toString());
+        if(this.reportedView !== null && view.every((value, i) => value === this.reportedView[i])) return;
+        this.reportedView = view;
+        this.dispatchEvent(new CustomEvent("viewchange", {
+            detail: {
+                x: brot.viewOrigin.x.toNumber(),
+                y: brot.viewOrigin.y.toNumber(),
+                range: brot.viewRange.toNumber(),
+                exact: {
+                    x: view[0],
+                    y: view[1],
+                    range: view[2]
+                }
+            }
+        }));
+    }
+}
+
+if(customElements.get(ELEMENT_NAME) === undefined) {
+    customElements.define(ELEMENT_NAME, MandelbrotView);
+}
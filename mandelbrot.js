@@ -1,7 +1,21 @@
-const mat4 = glMatrix.mat4;
+import { mat4 } from "gl-matrix";
+import { RenderTarget } from "./rendertarget.js";
+import { GpuTimer } from "./gputimer.js";
+import { Brot } from "./brot.js";
+import { FULL_QUALITY } from "./scheduler.js";
+import { PALETTE_TEXTURE_SIZE, COLORING_GLSL, parseColor } from "./palettes.js";
+import { HISTOGRAM_BINS, HISTOGRAM_FS_SOURCE, cumulativeDistribution } from "./histogram.js";
+import { DEEP_ZOOM_THRESHOLD, ORBIT_TEXTURE_WIDTH, perturbationSource, findReferenceOrbit } from "./deepzoom.js";
+import { COMPLEX_GLSL, MAX_SHADER_ITERATIONS, BASIN_DARKENING } from "./formulas.js";
+import { FIELD_OF_VIEW, pixelSize, translateOrigin } from "./view.js";
+import { glsl300, iterationLoop } from "./glsl.js";
+import { SHADING_GLSL, SHADING_MODES, ORBIT_TRAPS } from "./shading.js";
+
+// largest number of scene pixels per axis averaged into a pixel of the canvas
+const MAX_SUPERSAMPLING = 3;
 
 // fertex shader program
-const VS_SOURCE = `
+export const VS_SOURCE = `
     precision highp float;
     
     attribute vec4 aVertexPosition;
@@ -18,8 +32,28 @@ const VS_SOURCE = `
     }
 `;
 
-// fragment shader program
-const FS_SOURCE = `
+// fragment shader program, built around the iteration step of the given formula with
+// a loop compiled for the given number of iterations, or bounded by the iteration limit
+// alone if null
+export function fragmentSource(formula, loopCap = MAX_SHADER_ITERATIONS) {
+    const uniforms = formula.parameters
+        .map(parameter => `uniform float ${parameter.uniform};`)
+        .join("\n    ");
+
+    // only formulas escaping past a bailout radius can be smoothly coloured
+    const smoothing = formula.degree === null ? "" : `
+        if(uSmoothColoring && escaped && uEscapeValue > 1.0) {
+            iteration = smoothIteration(iteration, z, uEscapeValue, ${formula.degree});
+        }`;
+
+    // the formulas with basins of attraction colour the settled orbits by their basin,
+    // darkened with the iterations they took
+    const basinColoring = formula.basin === null ? "" : `
+        if(escaped && !uOutputIterations && uShading == ${SHADING_MODES.escape.id}) {
+            gl_FragColor = vec4(paletteColor(${formula.basin}) * exp(-${BASIN_DARKENING.toFixed(2)} * iteration), 1.0);
+        }`;
+
+    return `
     precision highp float;
 
     varying vec2 vTextureCoord;
@@ -28,69 +62,128 @@ const FS_SOURCE = `
     uniform vec2 uViewOrigin;
     uniform float uViewRange;
     uniform int uMaxIterations;
+    uniform int uIterationLimit;
     uniform float uEscapeValue;
-
+    uniform bool uJulia;
+    uniform vec2 uJuliaC;
+    ${uniforms}
+    ${COMPLEX_GLSL}
+    ${COLORING_GLSL}
+    ${SHADING_GLSL}
     void main(void) {
 
         vec2 uv = vTextureCoord;
-        vec2 c = uViewOrigin + ((uv - vec2(0.5)) * (uViewRange));
+        vec2 p = uViewOrigin + (uv - vec2(0.5)) * vec2(uRealAspectRatio, 1.0) * uViewRange;
 
-        float c_real = c[0] * uRealAspectRatio;
-        float c_imaginary = c[1];
+        vec2 z;
+        vec2 c;
+        ${formula.start}
 
-        float z_real = 0.0;
-        float z_imaginary = 0.0;
+        // derivative of the orbit, for the distance estimation, and its closest distance to the trap
+        vec2 dz = uJulia ? vec2(1.0, 0.0) : vec2(0.0);
+        float trap = 1.0e20;
 
-        float modulus = z_real * z_real + z_imaginary * z_imaginary;
-        
         int iter = 0;
-        for(int i = 0; i < 1000; i++) {
-            
-            if(i > uMaxIterations) break;
-
-            float nr = z_real * z_real - z_imaginary * z_imaginary + c_real;
-            float ni = 2.0 * z_real * z_imaginary + c_imaginary;
-            z_real = nr;
-            z_imaginary = ni;
-
-            modulus = z_real * z_real + z_imaginary * z_imaginary;
+        bool escaped = false;
+        ${iterationLoop(loopCap)}
+
+            vec2 previous = z;
+            ${formula.iterate}
+            ${formula.derivative ?? ""}
+            if(uShading == ${SHADING_MODES.trap.id}) {
+                trap = min(trap, trapDistance(z));
+            }
 
-            if( modulus > uEscapeValue * uEscapeValue){
+            if(${formula.escape}){
                 iter = i;
+                escaped = true;
                 break;
             }
         }
 
-        float level = float(iter) / float(uMaxIterations) * 0.8 + 0.1; 
+        float iteration = float(iter);
+        ${smoothing}
 
-        gl_FragColor = vec4(level, level * 0.6, 0.1, 1.0);
+        gl_FragColor = shade(escaped, iteration, float(uMaxIterations), z, dz, trap);
+        ${basinColoring}
     }
 `;
+}
+
+// fragment shader program stretching a scene rendered at another resolution over the canvas.
+// a scene an integer number of times as large is averaged over the pixels covering each
+// pixel of the canvas, the other ones are sampled linearly
+export const SCALE_FS_SOURCE = `
+    precision highp float;
+
+    uniform sampler2D uScene;
+    uniform vec2 uResolution;
 
-// initial moving speed of the camera
-const INIT_MOVE_FACTOR = 0.0052;
-// amount of zoom to apply when zooming in the view
-const ZOOM_FACTOR = 1.1;
-// initial position in space of the view
-const INIT_VIEW_ORIGIN = {
-    x: 0.0,
-    y: 0.0
-};
-// initial range (multiplier) in space of the view
-const INIT_VIEW_RANGE = 8.0;
-// initial maximum iteration for the mandelbrot algorithm
-const INIT_MAX_ITER = 40;
-// initial escape value for the mandelbrot algorithm
-const INIT_ESCAPE_VAL = 2.0;
-
-class GLBrot {
-
-    // html canvas document element in which we render the scene
-    canvas = null;
+    // scene pixels per axis averaged into a pixel, 1 to sample the scene linearly
+    uniform int uSamples;
+
+    void main(void) {
+        if(uSamples <= 1) {
+            gl_FragColor = texture2D(uScene, gl_FragCoord.xy / uResolution);
+            return;
+        }
+
+        float samples = float(uSamples);
+        vec2 corner = floor(gl_FragCoord.xy) * samples;
+        vec4 sum = vec4(0.0);
+        for(int i = 0; i < ${MAX_SUPERSAMPLING}; i++) {
+            if(i >= uSamples) break;
+            for(int j = 0; j < ${MAX_SUPERSAMPLING}; j++) {
+                if(j >= uSamples) break;
+                sum += texture2D(uScene, (corner + vec2(i, j) + vec2(0.5)) / (uResolution * samples));
+            }
+        }
+        gl_FragColor = sum / (samples * samples);
+    }
+`;
+
+// fraction of the pixels of the given RGBA bytes coloured with the given RGB colour,
+// give or take the rounding of the colour to bytes
+function colorFraction(pixels, color) {
+    let count = 0;
+    for(let i = 0; i < pixels.length; i += 4) {
+        if(Math.abs(pixels[i] - color[0]) <= 1
+            && Math.abs(pixels[i + 1] - color[1]) <= 1
+            && Math.abs(pixels[i + 2] - color[2]) <= 1) {
+            count++;
+        }
+    }
+    return count / (pixels.length / 4);
+}
+
+// the client cannot render with WebGL: no context, or a shader failing to compile or link
+export class WebGLError extends Error {
+    name = "WebGLError";
+}
+
+// renders the fractal in a canvas with WebGL shaders, WebGL2 ones when the client supports
+// them. the gl objects are created again when the context is restored after being lost
+export class GLBrot extends Brot {
 
     // gl context for rendering if client can provide one
     gl = null;
 
+    // whether the context is a WebGL2 one, its shaders are translated to GLSL ES 3.00
+    webgl2 = false;
+
+    // whether the first pass of the histogram colouring renders into an integer target,
+    // holding the iteration counts unpacked, which WebGL2 always can
+    integerIterations = false;
+
+    // whether the reference orbit of the deep zoom can be uploaded to a float texture
+    floatTextures = false;
+
+    // listeners of the loss and restoration of the context added to the canvas, by event type
+    contextListeners = {
+        webglcontextlost: event => this.handleContextLost(event),
+        webglcontextrestored: () => this.restoreContext()
+    };
+
     // buffers containing the vertices rendered
     buffers = null;
 
@@ -100,11 +193,174 @@ class GLBrot {
     // object containing the links to the shaders variables
     programInfo = null;
 
+    // perturbation shader program used for deep zoom and its variables links
+    deepZoomProgramInfo = null;
+
+    // texture the reference orbit of the deep zoom is uploaded to
+    orbitTexture = null;
+
+    // reference orbit the deep zoom pixels are iterated against
+    referenceOrbit = null;
+
+    // texture the palette is sampled into
+    paletteTexture = null;
+
+    // off-screen target the first pass of the histogram colouring renders into
+    iterationTarget = null;
+
+    // texture the cumulative distribution of the iterations is uploaded to
+    distributionTexture = null;
+
+    // second pass shader program of the histogram colouring and its variables links
+    histogramProgramInfo = null;
+
+    // off-screen target the scenes of another resolution than the canvas are rendered into
+    sceneTarget = null;
+
+    // shader program stretching the scene target over the canvas and its variables links
+    scaleProgramInfo = null;
+
+    // off-screen target the jittered samples of the view are averaged in
+    accumulationTarget = null;
+
+    // callback called with the WebGLError raised when the gl objects cannot be created
+    // again after the context was restored
+    onrestorefailure = null;
+
+    // times the frames on the GPU when the client has the timer queries
+    gpuTimer = null;
+
     constructor(canvas){
-        this.canvas = canvas;
+        super(canvas);
         this.initGL(this.canvas);
+        this.initExtensions();
         this.initBuffers(this.gl);
-        this.initShaderProgram(VS_SOURCE, FS_SOURCE);
+        this.initPalette();
+        this.initProgram();
+        this.initDeepZoom();
+        this.initHistogram();
+        this.initScaling();
+    }
+
+    // the draws are skipped until the context is restored, which the browser only does
+    // if the default handling of the loss is prevented
+    handleContextLost(event) {
+        event.preventDefault();
+        this.scheduler.cancel();
+        this.gpuTimer.cancel();
+    }
+
+    // the gl objects of the lost context are gone: they are all created again with the
+    // extensions they rely on, then the view is drawn again. if the shaders do not compile
+    // anymore the renderer cannot draw, onrestorefailure is told so another can take over
+    restoreContext() {
+        this.shaderProgram = null;
+        this.deepZoomProgramInfo = null;
+        this.orbitTexture = null;
+        this.referenceOrbit = null;
+        try {
+            this.initExtensions();
+            this.initBuffers();
+            this.initPalette();
+            this.initProgram();
+            this.initDeepZoom();
+            this.initHistogram();
+            this.initScaling();
+        } catch(error) {
+            if(!(error instanceof WebGLError) || this.onrestorefailure === null) throw error;
+            this.onrestorefailure(error);
+            return;
+        }
+        this.requestDraw();
+    }
+
+    // enables the extensions the renderer relies on: float textures for the reference
+    // orbit with WebGL1 and the timer queries timing the frames. the integer render
+    // targets of the iteration counts need none with WebGL2
+    initExtensions() {
+        this.integerIterations = this.webgl2;
+        this.floatTextures = this.webgl2 || this.gl.getExtension("OES_texture_float") !== null;
+        this.gpuTimer = new GpuTimer(this.gl, this.webgl2);
+        this.gpuTimer.onresult = time => this.reportFrameTime(time, true);
+    }
+
+    // creates the render targets and the shader program of the scenes rendered at another
+    // resolution or averaged over jittered samples
+    initScaling() {
+        this.sceneTarget = new RenderTarget(this.gl, 1, 1, this.gl.LINEAR);
+        this.accumulationTarget = new RenderTarget(this.gl, 1, 1);
+
+        const program = this.initShaderProgram(VS_SOURCE, SCALE_FS_SOURCE);
+        this.scaleProgramInfo = {
+            program: program,
+            attribLocations: {
+                vertexPosition: this.gl.getAttribLocation(program, 'aVertexPosition'),
+                textureCoord: this.gl.getAttribLocation(program, 'aTextureCoord'),
+            },
+            uniformLocations: {
+                projectionMatrix: this.gl.getUniformLocation(program, 'uProjectionMatrix'),
+                modelViewMatrix: this.gl.getUniformLocation(program, 'uModelViewMatrix'),
+                scene: this.gl.getUniformLocation(program, 'uScene'),
+                resolution: this.gl.getUniformLocation(program, 'uResolution'),
+                samples: this.gl.getUniformLocation(program, 'uSamples')
+            },
+        };
+    }
+
+    // creates the render target, the texture and the shader program of the histogram colouring
+    initHistogram() {
+        this.iterationTarget = new RenderTarget(
+            this.gl,
+            this.gl.drawingBufferWidth,
+            this.gl.drawingBufferHeight,
+            this.gl.NEAREST,
+            // the iteration output of the shaders has the second location
+            this.integerIterations ? {
+                internalFormat: this.gl.R32UI,
+                format: this.gl.RED_INTEGER,
+                type: this.gl.UNSIGNED_INT,
+                attachment: this.gl.COLOR_ATTACHMENT1
+            } : null
+        );
+
+        this.distributionTexture = this.gl.createTexture();
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.distributionTexture);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.NEAREST);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.NEAREST);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+
+        const program = this.initShaderProgram(VS_SOURCE, HISTOGRAM_FS_SOURCE);
+        this.histogramProgramInfo = {
+            program: program,
+            attribLocations: {
+                vertexPosition: this.gl.getAttribLocation(program, 'aVertexPosition'),
+                textureCoord: this.gl.getAttribLocation(program, 'aTextureCoord'),
+            },
+            uniformLocations: {
+                projectionMatrix: this.gl.getUniformLocation(program, 'uProjectionMatrix'),
+                modelViewMatrix: this.gl.getUniformLocation(program, 'uModelViewMatrix'),
+                // iteration counts of the first pass and their dimensions are sent with these links
+                iterations: this.gl.getUniformLocation(program, 'uIterations'),
+                resolution: this.gl.getUniformLocation(program, 'uResolution'),
+                // cumulative distribution of the iteration counts is sent with this link
+                distribution: this.gl.getUniformLocation(program, 'uDistribution'),
+                coloring: this.coloringUniformLocations(program),
+                shading: this.shadingUniformLocations(program)
+            },
+        };
+    }
+
+    // compiles the shader program rendering the current formula, it is compiled when
+    // the context is restored if it is lost
+    initProgram() {
+        if(this.gl.isContextLost()) return;
+        const program = this.initShaderProgram(VS_SOURCE, fragmentSource(this.formula, this.loopCap()));
+        // the previous program is replaced once the new one compiled
+        if(this.shaderProgram !== null) {
+            this.gl.deleteProgram(this.shaderProgram);
+        }
+        this.shaderProgram = program;
         this.programInfo = {
             program: this.shaderProgram,
             attribLocations: {
@@ -122,63 +378,274 @@ class GLBrot {
                 viewRange: this.gl.getUniformLocation(this.shaderProgram, 'uViewRange'),
                 // max iterations for the mandelbrot algorithm is sent with this link
                 maxIterations: this.gl.getUniformLocation(this.shaderProgram, 'uMaxIterations'),
+                // iteration the orbits are followed up to in the frame is sent with this link
+                iterationLimit: this.gl.getUniformLocation(this.shaderProgram, 'uIterationLimit'),
                 // escape value for the mandelbrot algorithm is sent with this link
-                escapeValue: this.gl.getUniformLocation(this.shaderProgram, 'uEscapeValue')
+                escapeValue: this.gl.getUniformLocation(this.shaderProgram, 'uEscapeValue'),
+                // whether the julia set is rendered is sent with this link
+                julia: this.gl.getUniformLocation(this.shaderProgram, 'uJulia'),
+                // parameter of the julia set is sent with this link
+                juliaC: this.gl.getUniformLocation(this.shaderProgram, 'uJuliaC'),
+                // tunable parameters of the formula are sent with these links
+                parameters: this.formula.parameters.map(
+                    parameter => this.gl.getUniformLocation(this.shaderProgram, parameter.uniform)
+                ),
+                coloring: this.coloringUniformLocations(this.shaderProgram),
+                shading: this.shadingUniformLocations(this.shaderProgram)
             },
         };
     }
 
-    // aspect ratio of the canvas on the client's screen
-    aspectRatio = 1.0;
+    // links to the shading variables shared by the formula and perturbation shaders
+    shadingUniformLocations(program) {
+        return {
+            mode: this.gl.getUniformLocation(program, 'uShading'),
+            pixelSize: this.gl.getUniformLocation(program, 'uPixelSize'),
+            lightAngle: this.gl.getUniformLocation(program, 'uLightAngle'),
+            lightHeight: this.gl.getUniformLocation(program, 'uLightHeight'),
+            trapShape: this.gl.getUniformLocation(program, 'uTrapShape'),
+            trapCenter: this.gl.getUniformLocation(program, 'uTrapCenter'),
+            trapAngle: this.gl.getUniformLocation(program, 'uTrapAngle')
+        };
+    }
 
-    // position of the camera
-    camera = {
-        x: 0.0,
-        y: 0.0,
-        z: -4.5
-    };
-    
-    // factors determining how fast the view is moved with the mouse
-    moveFactor = { 
-        x: INIT_MOVE_FACTOR,
-        y: INIT_MOVE_FACTOR
+    // links to the palette variables shared by the shaders
+    coloringUniformLocations(program) {
+        return {
+            palette: this.gl.getUniformLocation(program, 'uPalette'),
+            paletteOffset: this.gl.getUniformLocation(program, 'uPaletteOffset'),
+            paletteRepeat: this.gl.getUniformLocation(program, 'uPaletteRepeat'),
+            interiorColor: this.gl.getUniformLocation(program, 'uInteriorColor'),
+            smoothColoring: this.gl.getUniformLocation(program, 'uSmoothColoring'),
+            // whether iteration counts are rendered instead of colours is sent with this link
+            outputIterations: this.gl.getUniformLocation(program, 'uOutputIterations')
+        };
     }
-    
-    // x and y position of the center of the view
-    viewOrigin = {
-        x: INIT_VIEW_ORIGIN.x,
-        y: INIT_VIEW_ORIGIN.y
+
+    // creates the texture the palette is sampled into
+    initPalette() {
+        this.paletteTexture = this.gl.createTexture();
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.paletteTexture);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+        this.setPalette(this.palette);
+    }
+
+    // uploads the given palette to the palette texture
+    setPalette(palette) {
+        this.palette = palette;
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.paletteTexture);
+        this.gl.texImage2D(
+            this.gl.TEXTURE_2D, 0, this.gl.RGBA,
+            PALETTE_TEXTURE_SIZE, 1, 0,
+            this.gl.RGBA, this.gl.UNSIGNED_BYTE, palette.textureData()
+        );
+    }
+
+    // iteration count the loops of the shaders are compiled for, WebGL2 loops are
+    // bounded by the iteration limit uniform instead
+    loopCap() {
+        return this.webgl2 ? null : this.iterationCap;
+    }
+
+    // compiles the perturbation shader program and creates the reference orbit texture,
+    // deep zoom stays unavailable if the client cannot provide float textures
+    initDeepZoom() {
+        if(!this.floatTextures) return;
+
+        this.initDeepZoomProgram();
+
+        this.orbitTexture = this.gl.createTexture();
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.orbitTexture);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.NEAREST);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.NEAREST);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
+        this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+    }
+
+    // compiles the perturbation shader program with a loop of the iteration cap
+    initDeepZoomProgram() {
+        if(this.gl.isContextLost()) return;
+        const program = this.initShaderProgram(VS_SOURCE, perturbationSource(this.loopCap()));
+        if(this.deepZoomProgramInfo !== null) {
+            this.gl.deleteProgram(this.deepZoomProgramInfo.program);
+        }
+        this.deepZoomProgramInfo = {
+            program: program,
+            attribLocations: {
+                vertexPosition: this.gl.getAttribLocation(program, 'aVertexPosition'),
+                textureCoord: this.gl.getAttribLocation(program, 'aTextureCoord'),
+            },
+            uniformLocations: {
+                projectionMatrix: this.gl.getUniformLocation(program, 'uProjectionMatrix'),
+                modelViewMatrix: this.gl.getUniformLocation(program, 'uModelViewMatrix'),
+                realAspectRatio: this.gl.getUniformLocation(program, 'uRealAspectRatio'),
+                maxIterations: this.gl.getUniformLocation(program, 'uMaxIterations'),
+                iterationLimit: this.gl.getUniformLocation(program, 'uIterationLimit'),
+                escapeValue: this.gl.getUniformLocation(program, 'uEscapeValue'),
+                // mantissa and exponent of the view range are sent with these links
+                viewRange: this.gl.getUniformLocation(program, 'uViewRange'),
+                viewRangeExponent: this.gl.getUniformLocation(program, 'uViewRangeExponent'),
+                // offset of the view centre from the reference point is sent with this link
+                referenceOffset: this.gl.getUniformLocation(program, 'uReferenceOffset'),
+                // reference orbit texture and its dimensions are sent with these links
+                orbit: this.gl.getUniformLocation(program, 'uOrbit'),
+                orbitSize: this.gl.getUniformLocation(program, 'uOrbitSize'),
+                orbitLength: this.gl.getUniformLocation(program, 'uOrbitLength'),
+                coloring: this.coloringUniformLocations(program),
+                shading: this.shadingUniformLocations(program)
+            },
+        };
+    }
+
+    // compiles the perturbation shader again along with the formula one, unless its
+    // loop does not depend on the cap. both go back to the previous cap if it fails
+    setIterationCap(cap) {
+        const previous = this.iterationCap;
+        super.setIterationCap(cap);
+        if(this.isDeepZoomAvailable() && !this.webgl2) {
+            try {
+                this.initDeepZoomProgram();
+            } catch(error) {
+                super.setIterationCap(previous);
+                throw error;
+            }
+        }
+    }
+
+    // whether the client supports the perturbation shader
+    isDeepZoomAvailable() {
+        return this.deepZoomProgramInfo !== null;
+    }
+
+    // whether the current view is too deep for the single precision shader,
+    // the perturbation shader only renders the mandelbrot set
+    isDeepZoomed() {
+        return this.deepZoom
+            && !this.julia
+            && this.formula.perturbation
+            && this.isDeepZoomAvailable()
+            && this.viewRange.toNumber() < DEEP_ZOOM_THRESHOLD;
     }
-    
-    // current zoom in the view
-    viewRange = INIT_VIEW_RANGE;
-    
-    // maximum iteration for the mandelbrot algorithm
-    maxIter = INIT_MAX_ITER;
-    
-    // escape value for the mandelbrot algorithm
-    escapeVal = INIT_ESCAPE_VAL;
 
-    // updates the uniforms values used in the shaders
-    updateUniforms() {
+    // computes a new reference orbit if the current one does not fit the view anymore
+    // and uploads it to the orbit texture
+    updateReferenceOrbit() {
+        const maxIter = Math.min(parseInt(this.maxIter), this.iterationCap);
+        if(this.referenceOrbit !== null
+            && this.referenceOrbit.fits(this.viewOrigin, this.viewRange, this.aspectRatio, maxIter)) {
+            return;
+        }
+
+        this.referenceOrbit = findReferenceOrbit(this.viewOrigin, this.viewRange, this.aspectRatio, maxIter);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.orbitTexture);
+        this.gl.texImage2D(
+            // WebGL2 float textures take a sized internal format
+            this.gl.TEXTURE_2D, 0, this.webgl2 ? this.gl.RGBA32F : this.gl.RGBA,
+            ORBIT_TEXTURE_WIDTH, this.referenceOrbit.data.length / (4 * ORBIT_TEXTURE_WIDTH), 0,
+            this.gl.RGBA, this.gl.FLOAT, this.referenceOrbit.data
+        );
+    }
+
+    // updates the uniforms values used in the shaders, for a render target of the given height
+    updateUniforms(height) {
         this.gl.uniform2f(this.programInfo.uniformLocations.viewOrigin, 
-            this.viewOrigin.x, 
-            this.viewOrigin.y
+            this.viewOrigin.x.toNumber(), 
+            this.viewOrigin.y.toNumber()
         );
-        this.gl.uniform1f(this.programInfo.uniformLocations.viewRange, this.viewRange);
+        this.gl.uniform1f(this.programInfo.uniformLocations.viewRange, this.viewRange.toNumber());
         this.gl.uniform1i(this.programInfo.uniformLocations.maxIterations, this.maxIter);
+        this.gl.uniform1i(this.programInfo.uniformLocations.iterationLimit, this.iterationLimit());
         this.gl.uniform1f(this.programInfo.uniformLocations.escapeValue, this.escapeVal);
         this.gl.uniform1f(this.programInfo.uniformLocations.realAspectRatio, this.aspectRatio);
+        this.gl.uniform1i(this.programInfo.uniformLocations.julia, this.julia);
+        this.gl.uniform2f(this.programInfo.uniformLocations.juliaC, this.juliaC.x, this.juliaC.y);
+        this.programInfo.uniformLocations.parameters.forEach((location, i) => {
+            this.gl.uniform1f(location, this.formulaParameters[i]);
+        });
+        this.updateColoringUniforms(this.programInfo.uniformLocations.coloring);
+        this.updateShadingUniforms(this.programInfo.uniformLocations.shading,
+            pixelSize(this.viewRange, height, -this.camera.z).toNumber()
+        );
+    }
+
+    // updates the shading uniforms values of a shader, for pixels of the given size
+    updateShadingUniforms(locations, size) {
+        this.gl.uniform1i(locations.mode, SHADING_MODES[this.effectiveShading()].id);
+        this.gl.uniform1f(locations.pixelSize, size);
+        this.gl.uniform1f(locations.lightAngle, this.light.angle * Math.PI / 180.0);
+        this.gl.uniform1f(locations.lightHeight, this.light.height);
+        this.gl.uniform1i(locations.trapShape, ORBIT_TRAPS[this.trap.shape]);
+        this.gl.uniform2f(locations.trapCenter, this.trap.x, this.trap.y);
+        this.gl.uniform1f(locations.trapAngle, this.trap.angle * Math.PI / 180.0);
+    }
+
+    // updates the palette uniforms values of a shader
+    updateColoringUniforms(locations) {
+        const interiorColor = parseColor(this.interiorColor);
+        this.gl.activeTexture(this.gl.TEXTURE1);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.paletteTexture);
+        this.gl.uniform1i(locations.palette, 1);
+        this.gl.uniform1f(locations.paletteOffset, this.paletteOffset);
+        this.gl.uniform1f(locations.paletteRepeat, this.paletteRepeat);
+        this.gl.uniform3f(locations.interiorColor,
+            interiorColor[0] / 255.0,
+            interiorColor[1] / 255.0,
+            interiorColor[2] / 255.0
+        );
+        this.gl.uniform1i(locations.smoothColoring, this.smoothColoring);
+    }
+
+    // updates the uniforms values used in the perturbation shader, for a render target of
+    // the given height
+    updateDeepZoomUniforms(height) {
+        const uniformLocations = this.deepZoomProgramInfo.uniformLocations;
+        // split the range in a mantissa and an exponent the shader can represent
+        const exponent = this.viewRange.ilog2();
+        const offset = this.referenceOrbit.offset(this.viewOrigin.x, this.viewOrigin.y, exponent);
+
+        this.gl.uniform1f(uniformLocations.viewRange, this.viewRange.shift(-exponent).toNumber());
+        this.gl.uniform1f(uniformLocations.viewRangeExponent, exponent);
+        this.gl.uniform2f(uniformLocations.referenceOffset, offset.x, offset.y);
+        this.gl.uniform1i(uniformLocations.maxIterations, this.maxIter);
+        this.gl.uniform1i(uniformLocations.iterationLimit, this.iterationLimit());
+        this.gl.uniform1f(uniformLocations.escapeValue, this.escapeVal);
+        this.gl.uniform1f(uniformLocations.realAspectRatio, this.aspectRatio);
+
+        this.gl.activeTexture(this.gl.TEXTURE0);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.orbitTexture);
+        this.gl.uniform1i(uniformLocations.orbit, 0);
+        this.gl.uniform2f(uniformLocations.orbitSize,
+            ORBIT_TEXTURE_WIDTH,
+            this.referenceOrbit.data.length / (4 * ORBIT_TEXTURE_WIDTH)
+        );
+        this.gl.uniform1f(uniformLocations.orbitLength, this.referenceOrbit.length);
+        this.updateColoringUniforms(uniformLocations.coloring);
+        // the pixel size goes below the smallest float in the deep zooms, it is sent with
+        // the exponent of the range taken out
+        this.updateShadingUniforms(uniformLocations.shading,
+            pixelSize(this.viewRange.shift(-exponent), height, -this.camera.z).toNumber()
+        );
     }
 
     initGL(canvas) {
         
-        // initialize the GL context
-        this.gl = canvas.getContext("webgl");
+        // initialize the GL context, WebGL2 if available and WebGL otherwise
+        this.gl = canvas.getContext("webgl2");
+        this.webgl2 = this.gl !== null;
+        if(this.gl === null) {
+            this.gl = canvas.getContext("webgl");
+        }
 
         // only continue if WebGL is available and working
         if (this.gl === null) {
-            alert("Unable to initialize WebGL. Your browser or machine may not support it.");
+            throw new WebGLError("Unable to initialize WebGL. Your browser or machine may not support it.");
+        }
+
+        for(const [type, listener] of Object.entries(this.contextListeners)) {
+            canvas.addEventListener(type, listener);
         }
     }
 
@@ -197,36 +664,41 @@ class GLBrot {
         // see if it compiled successfully
 
         if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-            alert(
-                'An error occurred compiling the shaders: ' 
-                + this.gl.getShaderInfoLog(shader)
-            );
+            const log = this.gl.getShaderInfoLog(shader);
             this.gl.deleteShader(shader);
-            return null;
+            throw new WebGLError('An error occurred compiling the shaders: ' + log);
         }
 
         return shader;
     }
 
-    // initialize a shader program, so WebGL knows how to draw our data
+    // initialize a shader program, so WebGL knows how to draw our data.
+    // the sources are written in GLSL ES 1.00 and translated for WebGL2
     initShaderProgram(vsSource, fsSource) {
 
+        if(this.webgl2) {
+            const defines = this.integerIterations ? ["INTEGER_ITERATIONS"] : [];
+            vsSource = glsl300(vsSource, "vertex", defines);
+            fsSource = glsl300(fsSource, "fragment", defines);
+        }
+
         const vertexShader = this.loadShader(this.gl.VERTEX_SHADER, vsSource);
         const fragmentShader = this.loadShader(this.gl.FRAGMENT_SHADER, fsSource);
         // create the shader program
-        this.shaderProgram = this.gl.createProgram();
-        this.gl.attachShader(this.shaderProgram, vertexShader);
-        this.gl.attachShader(this.shaderProgram, fragmentShader);
-        this.gl.linkProgram(this.shaderProgram);
+        const shaderProgram = this.gl.createProgram();
+        this.gl.attachShader(shaderProgram, vertexShader);
+        this.gl.attachShader(shaderProgram, fragmentShader);
+        this.gl.linkProgram(shaderProgram);
 
-        // if creating the shader program failed, alert
+        // if creating the shader program failed, the renderer cannot be used
 
-        if (!this.gl.getProgramParameter(this.shaderProgram, this.gl.LINK_STATUS)) {
-            alert(
-                'Unable to initialize the shader program: ' 
-                + this.gl.getProgramInfoLog(this.shaderProgram)
-            );
+        if (!this.gl.getProgramParameter(shaderProgram, this.gl.LINK_STATUS)) {
+            const log = this.gl.getProgramInfoLog(shaderProgram);
+            this.gl.deleteProgram(shaderProgram);
+            throw new WebGLError('Unable to initialize the shader program: ' + log);
         }
+
+        return shaderProgram;
     }
 
     // create a buffer for the square's positions.
@@ -274,68 +746,256 @@ class GLBrot {
         };
     }
 
-    // resets the view to the initial origin and range
-    resetView() {
-        this.viewOrigin.x = INIT_VIEW_ORIGIN.x;
-        this.viewOrigin.y = INIT_VIEW_ORIGIN.y;
-        this.viewRange = INIT_VIEW_RANGE;
-        this.moveFactor = {
-            x: INIT_MOVE_FACTOR,
-            y: INIT_MOVE_FACTOR
+    // render the scene in the canvas at the given quality
+    drawScene(quality = FULL_QUALITY) {
+        // nothing can be drawn until the context is restored
+        if(this.gl.isContextLost()) return;
+        this.quality = quality;
+        // recalculate canvas aspect ratio on screen
+        this.updateCanvasRatio();
+
+        const width = this.gl.drawingBufferWidth;
+        const height = this.gl.drawingBufferHeight;
+        const start = performance.now();
+        // whether the pixels of the frame were read back, which waits for the GPU to draw it
+        let synced = false;
+        this.gpuTimer.begin();
+        if(quality.resolution === 1.0) {
+            this.renderScene(null, width, height);
+            if(this.autoIterations && this.adaptiveIterations) {
+                this.measureBorder();
+                synced = true;
+            }
+        } else if(quality.jitter !== undefined) {
+            this.renderJittered(quality, width, height);
+        } else {
+            // the scene is rendered off-screen, as large as the textures can be, then stretched
+            const maxSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
+            const scale = Math.min(quality.resolution, maxSize / width, maxSize / height);
+            this.sceneTarget.resize(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+            this.renderScene(this.sceneTarget, this.sceneTarget.width, this.sceneTarget.height);
+            this.renderScaled(this.sceneTarget, Number.isInteger(scale) ? scale : 1);
+        }
+        this.gpuTimer.end();
+        // without the timer queries, the frame is timed up to the read of one of its pixels
+        // since issuing the commands returns before the GPU ran them
+        if(!this.gpuTimer.isAvailable() && this.onframetime !== null) {
+            if(!synced) {
+                this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+                this.gl.readPixels(0, 0, 1, 1, this.gl.RGBA, this.gl.UNSIGNED_BYTE, new Uint8Array(4));
+            }
+            this.reportFrameTime(performance.now() - start, false);
+        }
+
+        if(this.ondraw !== null) {
+            this.ondraw();
+        }
+    }
+
+    // measures the fraction of the border of the canvas coloured as inside the set, read
+    // right after the scene is drawn since the drawing buffer is not preserved
+    measureBorder() {
+        const width = this.gl.drawingBufferWidth;
+        const height = this.gl.drawingBufferHeight;
+        const pixels = new Uint8Array((width + height) * 2 * 4);
+        const edges = [[0, 0, width, 1], [0, height - 1, width, 1], [0, 0, 1, height], [width - 1, 0, 1, height]];
+        let offset = 0;
+        for(const [x, y, edgeWidth, edgeHeight] of edges) {
+            const edge = pixels.subarray(offset, offset + edgeWidth * edgeHeight * 4);
+            this.gl.readPixels(x, y, edgeWidth, edgeHeight, this.gl.RGBA, this.gl.UNSIGNED_BYTE, edge);
+            offset += edge.length;
+        }
+        this.frameStats = {
+            interiorBorder: colorFraction(pixels, parseColor(this.interiorColor))
         };
-        this.maxIter = INIT_MAX_ITER;
-        this.escapeVal = INIT_ESCAPE_VAL;
-        this.drawScene();
-    }
-
-    // translates the view in space
-    translateView(x, y, z=0.0){
-        // update the offset values for the drawn view to be translated
-        this.viewOrigin.x += x * this.moveFactor.x;
-        this.viewOrigin.y += y * this.moveFactor.y;
-        this.drawScene();
-    }
-
-    // take the camera closer to the view
-    zoomView(direction){
-        // check the direction and zoom/dezoom accordingly
-        if(direction < 0) {
-            this.viewRange /= ZOOM_FACTOR;
-            this.moveFactor.x /= ZOOM_FACTOR;
-            this.moveFactor.y /= ZOOM_FACTOR;
-        } else if(direction > 0){
-            this.viewRange *= ZOOM_FACTOR;
-            this.moveFactor.x *= ZOOM_FACTOR;
-            this.moveFactor.y *= ZOOM_FACTOR;
+    }
+
+    // renders the scene into the given render target of the given dimensions, or the canvas if null
+    renderScene(target, width, height) {
+        if(this.histogramColoring) {
+            // first pass: the iteration counts are rendered off-screen
+            this.iterationTarget.resize(width, height);
+            this.renderFractal(this.iterationTarget, true);
+            // second pass: they are coloured through their cumulative distribution
+            this.updateDistribution();
+            this.renderHistogram(target);
+        } else {
+            this.renderFractal(target, false);
         }
-        this.drawScene();
     }
 
-    // updates the aspect ratio of the canvas
-    updateCanvasRatio() {
-        this.aspectRatio = this.gl.canvas.clientWidth / this.gl.canvas.clientHeight;
+    // renders the view shifted by the subpixel offset of a jittered sample, averages it with
+    // the previous samples in the accumulation target and shows the average in the canvas
+    renderJittered(quality, width, height) {
+        this.sceneTarget.resize(width, height);
+        this.accumulationTarget.resize(width, height);
+
+        // the offset is in pixels of the drawing buffer
+        const origin = this.viewOrigin;
+        const bufferPixelSize = this.pixelSize().mul(this.canvas.clientHeight / height);
+        this.viewOrigin = translateOrigin(origin, quality.jitter.x, quality.jitter.y, bufferPixelSize);
+        this.renderScene(this.sceneTarget, width, height);
+        this.viewOrigin = origin;
+
+        // the first sample replaces the average, the nth one weighs 1/n in it
+        this.gl.enable(this.gl.BLEND);
+        this.gl.blendColor(0.0, 0.0, 0.0, 1.0 / (quality.sample + 1));
+        this.gl.blendFunc(this.gl.CONSTANT_ALPHA, this.gl.ONE_MINUS_CONSTANT_ALPHA);
+        this.renderScaled(this.sceneTarget, 1, this.accumulationTarget);
+        this.gl.disable(this.gl.BLEND);
+
+        this.renderScaled(this.accumulationTarget, 1);
     }
 
-    // render the scene in the canvas
-    drawScene() {
+    // stretches the given source render target over the canvas, or over another render
+    // target without clearing it, averaging the given number of pixels per axis
+    renderScaled(source, samples, target = null) {
+        this.bindRenderTarget(target, target === null);
+        this.bindQuad(this.scaleProgramInfo);
+
+        const uniformLocations = this.scaleProgramInfo.uniformLocations;
+        const width = target === null ? this.gl.drawingBufferWidth : target.width;
+        const height = target === null ? this.gl.drawingBufferHeight : target.height;
+        this.gl.activeTexture(this.gl.TEXTURE2);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, source.texture);
+        this.gl.uniform1i(uniformLocations.scene, 2);
+        this.gl.uniform2f(uniformLocations.resolution, width, height);
+        this.gl.uniform1i(uniformLocations.samples, samples);
+
+        this.drawQuad();
+    }
+
+    // renders the view of the given origin, range and aspect ratio into a render target
+    // exactly as it would appear in the canvas, without changing the current view.
+    // the histogram colouring keeps the distribution of the last drawn scene
+    renderRegion(target, x, y, range, aspectRatio, deepZoomed) {
+        const view = [this.viewOrigin, this.viewRange, this.aspectRatio, this.quality];
+        this.viewOrigin = { x: x, y: y };
+        this.viewRange = range;
+        this.aspectRatio = aspectRatio;
+        this.quality = FULL_QUALITY;
+
+        if(this.histogramColoring) {
+            this.iterationTarget.resize(target.width, target.height);
+            this.renderFractal(this.iterationTarget, true, deepZoomed);
+            this.renderHistogram(target);
+        } else {
+            this.renderFractal(target, false, deepZoomed);
+        }
+
+        [this.viewOrigin, this.viewRange, this.aspectRatio, this.quality] = view;
+    }
+
+    // the drawing buffer of the canvas is cleared once composited, so the thumbnail is
+    // rendered again off-screen with the aspect ratio of the thumbnail
+    captureThumbnail(width, height) {
+        const target = new RenderTarget(this.gl, width, height);
+        try {
+            this.renderRegion(target, this.viewOrigin.x, this.viewOrigin.y, this.viewRange, width / height, this.isDeepZoomed());
+            const pixels = target.readPixels();
+            const image = new ImageData(width, height);
+            // the framebuffer rows go upward
+            for(let y = 0; y < height; y++) {
+                const row = (height - 1 - y) * width * 4;
+                image.data.set(pixels.subarray(row, row + width * 4), y * width * 4);
+            }
+            const thumbnail = document.createElement("canvas");
+            thumbnail.width = width;
+            thumbnail.height = height;
+            thumbnail.getContext("2d").putImageData(image, 0, 0);
+            return thumbnail;
+        } finally {
+            target.delete();
+            // the histogram colouring resized the iteration target
+            this.requestDraw();
+        }
+    }
+
+    // binds the given render target, or the canvas if null, and clears it unless told not to
+    bindRenderTarget(target, clear = true) {
+        if(target === null) {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+            this.gl.viewport(0, 0, this.gl.drawingBufferWidth, this.gl.drawingBufferHeight);
+        } else {
+            this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, target.framebuffer);
+            this.gl.viewport(0, 0, target.width, target.height);
+        }
+
         this.gl.clearColor(0.1, 0.06, 0.1, 1.0); // clear with chosen color
         this.gl.clearDepth(1.0);                 // clear everything
         this.gl.enable(this.gl.DEPTH_TEST);           // enable depth testing
         this.gl.depthFunc(this.gl.LEQUAL);            // near things obscure far things
 
         // clear the canvas before we start drawing on it.
-        this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+        if(clear) {
+            this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
+        }
+    }
 
-        // recalculate canvas aspect ratio on screen
-        this.updateCanvasRatio();
+    // renders the fractal into the given render target, or the canvas if null,
+    // the pixels hold packed iteration counts instead of colours if outputIterations is set.
+    // deep views are rendered by the perturbation shader
+    renderFractal(target, outputIterations, deepZoomed = this.isDeepZoomed()) {
+        this.bindRenderTarget(target);
+        const height = target === null ? this.gl.drawingBufferHeight : target.height;
+
+        const programInfo = deepZoomed ? this.deepZoomProgramInfo : this.programInfo;
+        if(deepZoomed) {
+            this.updateReferenceOrbit();
+        }
+
+        this.bindQuad(programInfo);
+
+        if(deepZoomed) {
+            this.updateDeepZoomUniforms(height);
+        } else {
+            this.updateUniforms(height);
+        }
+        this.gl.uniform1i(programInfo.uniformLocations.coloring.outputIterations, outputIterations);
+
+        this.drawQuad();
+    }
 
+    // colours the iteration counts of the first pass through their cumulative distribution
+    // into the given render target, or the canvas if null
+    renderHistogram(target) {
+        this.bindRenderTarget(target);
+        this.bindQuad(this.histogramProgramInfo);
+
+        const uniformLocations = this.histogramProgramInfo.uniformLocations;
+        this.gl.activeTexture(this.gl.TEXTURE2);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.iterationTarget.texture);
+        this.gl.uniform1i(uniformLocations.iterations, 2);
+        this.gl.uniform2f(uniformLocations.resolution, this.iterationTarget.width, this.iterationTarget.height);
+        this.gl.activeTexture(this.gl.TEXTURE3);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.distributionTexture);
+        this.gl.uniform1i(uniformLocations.distribution, 3);
+        this.updateColoringUniforms(uniformLocations.coloring);
+
+        this.drawQuad();
+    }
+
+    // computes the cumulative distribution of the iteration counts rendered by the first
+    // pass and uploads it to the distribution texture
+    updateDistribution() {
+        const distribution = cumulativeDistribution(this.iterationTarget.readPixels());
+        this.gl.bindTexture(this.gl.TEXTURE_2D, this.distributionTexture);
+        this.gl.texImage2D(
+            this.gl.TEXTURE_2D, 0, this.gl.RGBA,
+            HISTOGRAM_BINS, 1, 0,
+            this.gl.RGBA, this.gl.UNSIGNED_BYTE, distribution
+        );
+    }
+
+    // sets the square vertices and the camera matrices up for drawing with the given program
+    bindQuad(programInfo) {
         // create a perspective matrix, a special matrix that is
         // used to simulate the distortion of perspective in a camera.
         // our field of view is 45 degrees, with a width/height
         // ratio that matches the display size of the canvas
         // and we only want to see objects between 0.0 units
         // and 5.0 units away from the camera.
-        const fieldOfView = 45 * Math.PI / 180;   // in radians
+        const fieldOfView = FIELD_OF_VIEW;   // in radians
         const aspect = this.aspectRatio;
         const zNear = 0.0;
         const zFar = 5.0;
@@ -374,19 +1034,20 @@ class GLBrot {
             const offset = 0;         // how many bytes inside the buffer to start from
             this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.position);
             this.gl.vertexAttribPointer(
-                this.programInfo.attribLocations.vertexPosition,
+                programInfo.attribLocations.vertexPosition,
                 numComponents,
                 type,
                 normalize,
                 stride,
                 offset);
                 this.gl.enableVertexAttribArray(
-                    this.programInfo.attribLocations.vertexPosition
+                    programInfo.attribLocations.vertexPosition
                 );
         }
 
         // Indiquer à WebGL comment extraire les coordonnées de texture du tampon
-        {
+        // (les programmes qui n'utilisent pas les coordonnées de texture n'en ont pas)
+        if(programInfo.attribLocations.textureCoord !== -1) {
             const num = 2; // chaque coordonnée est composée de 2 valeurs
             const type = this.gl.FLOAT; // les données dans le tampon sont des flottants 32 bits
             const normalize = false; // ne pas normaliser
@@ -394,188 +1055,32 @@ class GLBrot {
             const offset = 0; // à combien d'octets du début faut-il commencer
             this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffers.textureCoord);
             this.gl.vertexAttribPointer(
-                this.programInfo.attribLocations.textureCoord, 
+                programInfo.attribLocations.textureCoord, 
                 num, type, normalize, stride, offset
             );
-            this.gl.enableVertexAttribArray(this.programInfo.attribLocations.textureCoord);
+            this.gl.enableVertexAttribArray(programInfo.attribLocations.textureCoord);
         }
 
         // tell WebGL to use our program when drawing
-        this.gl.useProgram(this.programInfo.program);
+        this.gl.useProgram(programInfo.program);
 
         // set the shader uniforms
         this.gl.uniformMatrix4fv(
-            this.programInfo.uniformLocations.projectionMatrix,
+            programInfo.uniformLocations.projectionMatrix,
             false,
             projectionMatrix
         );
         this.gl.uniformMatrix4fv(
-                this.programInfo.uniformLocations.modelViewMatrix,
+                programInfo.uniformLocations.modelViewMatrix,
             false,
             modelViewMatrix
         );
-
-        this.updateUniforms();
-
-        {
-            const offset = 0;
-            const vertexCount = 4;
-            this.gl.drawArrays(this.gl.TRIANGLE_STRIP, offset, vertexCount);
-        }
-    }
-}
-
-function main() {
-    // canvas document element used for WebGL rendering
-    let canvas = document.querySelector("#glCanvas");
-    
-    mandelbrot = new GLBrot(canvas);
-    mandelbrot.drawScene();
-
-    // assigning the handlers to the corresponding mouse events
-    canvas.addEventListener("wheel", handleWheel);
-    canvas.addEventListener("mousedown", handleMouseDown);
-    document.addEventListener("mouseup", handleMouseUp);
-    document.addEventListener("mousemove", handleMouseMove);
-
-    // assigning the handlers to the mobile touch events
-    canvas.addEventListener("touchstart", handleTouchStart);
-    document.addEventListener("touchend", handleTouchEnd);
-    document.addEventListener("touchmove", handleTouchMove);
-
-    // GUI document elements
-    const iterSlider = document.getElementById("iter-slider");
-    const iterLabel = document.getElementById("iter-label");
-    const escapeSlider = document.getElementById("escape-slider");
-    const escapeLabel = document.getElementById("escape-label");
-    const resetButton = document.getElementById("reset-button");
-    const settingsElem = document.getElementById("settings");
-    const settingsButton = document.getElementById("settings-button");
-
-    // state of the mouse click
-    let down = false;
-
-    // last known position of the mouse
-    let mouseX;
-    let mouseY;
-
-    function handleWheel(event) {
-        mandelbrot.zoomView(event.deltaY);
-    }
-
-    function handleMouseDown(event) {
-        // the view can now be moved along with the mouse
-        down = true;
-        // initialize the mouse position saved for the translation process
-        mouseX = event.pageX;
-        mouseY = event.pageY;
-    }
-
-    function handleMouseUp(event) {
-        // we prevent the view to be moved once the mouse is released
-        down = false;
-    }
-
-    function handleMouseMove(event) {
-        if(down){
-            // fetch the mouse position relatively to the whole page
-            const x = event.pageX;
-            const y = event.pageY;
-            // calculate the distance from last known mouse position
-            let tx = mouseX - x;
-            let ty = mouseY - y;
-            // update last known mouse position
-            mouseX = x;
-            mouseY = y;
-            mandelbrot.translateView(
-                tx, 
-                ty * mandelbrot.aspectRatio
-            );
-        }
-    }
-
-    // variables to store last calculated distance between touches
-    let touchesDist;
-
-    function handleTouchStart(event) {
-        // if one finger is touching the view and moving we move the view
-        if(event.touches.length === 1 && event.changedTouches.length === 1){
-            down = true;
-            mouseX = event.touches[0].pageX;
-            mouseY = event.touches[0].pageY;
-            event.preventDefault();
-        // if two fingers are touching the view and moving we zoom in/out the view
-        } else if (event.touches.length===2 && event.changedTouches.length > 0) {
-            down = true;
-            touchesDist = Math.abs(event.touches[0].pageX - event.touches[1].pageX);
-                        + Math.abs(event.touches[0].pageY - event.touches[1].pageY);
-            event.preventDefault();
-        }
-    }
-
-    function handleTouchEnd(event) {
-        down = false;
-        event.preventDefault();
-    }
-
-    function handleTouchMove(event) {
-        if(down){
-            if(event.touches.length===1){
-                const x = event.touches[0].pageX;
-                const y = event.touches[0].pageY;
-                let tx = mouseX - x;
-                let ty = mouseY - y;
-                mouseX = x;
-                mouseY = y;
-
-                mandelbrot.translateView(
-                    tx / mandelbrot.aspectRatio,
-                    ty
-                );
-            } else if(event.touches.length === 2 && event.changedTouches.length > 0) {
-                dist = Math.abs(event.touches[0].pageX - event.touches[1].pageX);
-                        + Math.abs(event.touches[0].pageY - event.touches[1].pageY);
-                touchzoom = touchesDist - dist;
-                touchesDist = dist;
-
-                mandelbrot.zoomView(touchzoom);
-            }
-        }
     }
 
-    iterSlider.oninput = () => {
-        mandelbrot.maxIter = iterSlider.value;
-        iterLabel.textContent = iterSlider.value;
-        mandelbrot.drawScene();
-    };
-    escapeSlider.oninput = () => {
-        mandelbrot.escapeVal = parseInt(escapeSlider.value) / 1000.0;
-        escapeLabel.textContent = mandelbrot.escapeVal.toString();
-        mandelbrot.drawScene();
-    };
-
-    function resetHandlers() {
-        mandelbrot.resetView();
-        iterSlider.value = mandelbrot.maxIter.toString();
-        escapeSlider.value = (mandelbrot.escapeVal*1000).toString();
-        iterLabel.textContent = mandelbrot.maxIter.toString();
-        escapeLabel.textContent = mandelbrot.escapeVal.toString();
+    // draws the square with the program bound by bindQuad
+    drawQuad() {
+        const offset = 0;
+        const vertexCount = 4;
+        this.gl.drawArrays(this.gl.TRIANGLE_STRIP, offset, vertexCount);
     }
-
-    resetButton.addEventListener("click", resetHandlers);
-    resetButton.addEventListener("touchstart", resetHandlers);
-
-    function handleSettings() {
-        if(settingsElem.classList.contains("settings-visible")){
-            settingsElem.classList.remove("settings-visible");
-        } else {
-            settingsElem.classList.add("settings-visible");
-        }
-    }
-    settingsButton.addEventListener("click", handleSettings);
-    settingsButton.addEventListener("touchstart", handleSettings);
-
-    window.onresize = () => mandelbrot.drawScene();
 }
-
-window.onload = main;
@@ -0,0 +1,210 @@
+import { encodeState } from "./permalink.js";
+import { defaultView, truncateOrigin, formatMagnification } from "./view.js";
+
+// powers of two of zoom between two breadcrumbs, about 256 times
+const BREADCRUMB_ZOOM_BITS = 8;
+// maximum iteration of the minimap, enough for the details visible at its size
+const MINIMAP_MAX_ITER = 200;
+// smallest size of the viewport rectangle in pixels, the deep views still get a marker
+const MIN_VIEWPORT_SIZE = 6;
+
+// views passed through while zooming in, one every BREADCRUMB_ZOOM_BITS powers of two
+// below the initial range, to jump back to. zooming out drops the deeper ones and
+// rendering another set starts a new trail
+export class ZoomTrail {
+
+    // views from the shallowest to the deepest, as { origin, range }
+    crumbs = [];
+
+    // formula and set the trail was followed in
+    set = null;
+
+    // follows a view of the given set, returns whether the crumbs changed
+    update(origin, range, initialRange, set) {
+        let changed = false;
+        if(set !== this.set) {
+            this.set = set;
+            changed = this.crumbs.length > 0;
+            this.crumbs = [];
+        }
+        const level = Math.max(0, Math.floor((initialRange.log2() - range.log2()) / BREADCRUMB_ZOOM_BITS));
+        if(level < this.crumbs.length) {
+            this.crumbs.length = level;
+            changed = true;
+        }
+        // the levels crossed at once are all centred on the view crossing them
+        while(this.crumbs.length < level) {
+            const crumbRange = initialRange.shift(-(this.crumbs.length + 1) * BREADCRUMB_ZOOM_BITS);
+            this.crumbs.push({
+                origin: truncateOrigin(origin, crumbRange),
+                range: crumbRange
+            });
+            changed = true;
+        }
+        return changed;
+    }
+}
+
+// corner overview of the whole set, in the initial framing of the formula, with a rectangle
+// showing the view of another Brot. clicking the overview centres the view on the point,
+// dragging moves it, and the breadcrumbs of the zoom trail jump back to their zoom level
+export class Minimap {
+
+    // document element shown or hidden with the minimap
+    container = null;
+
+    // document element holding the canvas and the rectangle, receiving the pointer events
+    frame = null;
+
+    // rectangle of the view over the overview
+    viewport = null;
+
+    // document element the breadcrumbs buttons are created in
+    breadcrumbList = null;
+
+    // Brot rendering the overview
+    brot = null;
+
+    // Brot whose view is shown and moved
+    target = null;
+
+    // whether the minimap is shown
+    enabled = false;
+
+    // zoom levels passed through by the view
+    trail = new ZoomTrail();
+
+    // encoded state the overview was last rendered with, to render it again once it changes
+    renderedState = null;
+
+    // origin of the view and complex point under the pointer when the drag started, null
+    // when the view is not dragged
+    drag = null;
+
+    constructor(container, frame, viewport, breadcrumbList, brot) {
+        this.container = container;
+        this.frame = frame;
+        this.viewport = viewport;
+        this.breadcrumbList = breadcrumbList;
+        this.brot = brot;
+        // the aspect ratio of the overview is known once it is drawn
+        brot.ondraw = () => {
+            if(this.enabled && this.target !== null) {
+                this.drawViewport();
+            }
+        };
+        frame.addEventListener("pointerdown", event => this.handlePointerDown(event));
+        frame.addEventListener("pointermove", event => this.handlePointerMove(event));
+        frame.addEventListener("pointerup", () => this.drag = null);
+        frame.addEventListener("pointercancel", () => this.drag = null);
+    }
+
+    // shows the view of the given Brot from now on
+    attach(brot) {
+        this.target = brot;
+        this.drag = null;
+        this.update();
+    }
+
+    // shows or hides the minimap
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.container.classList.toggle("d-none", !enabled);
+        this.renderedState = null;
+        this.update();
+    }
+
+    // follows the changes of the target after it is drawn: the overview is rendered again
+    // if the set or its colouring changed, the rectangle and the breadcrumbs follow the view
+    update() {
+        if(this.target === null) return;
+        const target = this.target;
+        const view = defaultView(target.formula);
+        if(this.trail.update(target.viewOrigin, target.viewRange, view.range, target.formula.id + (target.julia ? ":julia" : ""))) {
+            this.renderBreadcrumbs();
+        }
+        if(!this.enabled) return;
+
+        const state = {
+            ...target.getState(),
+            x: view.origin.x,
+            y: view.origin.y,
+            range: view.range,
+            maxIter: Math.min(parseInt(target.maxIter), MINIMAP_MAX_ITER)
+        };
+        const encoded = encodeState(state);
+        if(encoded !== this.renderedState) {
+            this.renderedState = encoded;
+            this.brot.setState(state);
+        }
+        this.drawViewport();
+    }
+
+    // renders the overview again, once its canvas is resized
+    redraw() {
+        if(this.enabled) {
+            this.brot.requestDraw();
+        }
+    }
+
+    // places the rectangle over the corners of the target canvas
+    drawViewport() {
+        const rect = this.target.canvas.getBoundingClientRect();
+        const topLeft = this.brot.complexToCanvas(this.target.canvasToComplex(rect.left, rect.top));
+        const bottomRight = this.brot.complexToCanvas(this.target.canvasToComplex(rect.right, rect.bottom));
+        const width = Math.max(bottomRight.x - topLeft.x, MIN_VIEWPORT_SIZE);
+        const height = Math.max(bottomRight.y - topLeft.y, MIN_VIEWPORT_SIZE);
+        const style = this.viewport.style;
+        style.left = ((topLeft.x + bottomRight.x - width) / 2) + "px";
+        style.top = ((topLeft.y + bottomRight.y - height) / 2) + "px";
+        style.width = width + "px";
+        style.height = height + "px";
+    }
+
+    // creates a button per breadcrumb, labelled with its magnification
+    renderBreadcrumbs() {
+        this.breadcrumbList.replaceChildren();
+        for(const crumb of this.trail.crumbs) {
+            const magnification = "×" + formatMagnification((defaultView(this.target.formula).range.log2() - crumb.range.log2()) * Math.log10(2));
+            const button = document.createElement("button");
+            button.className = "btn-secondary rounded";
+            button.textContent = magnification;
+            button.setAttribute("aria-label", "Zoom back to " + magnification);
+            button.onclick = () => this.target.setView(crumb.origin.x, crumb.origin.y, crumb.range);
+            this.breadcrumbList.appendChild(button);
+        }
+    }
+
+    // moves the view to the point under the pointer unless the rectangle itself is grabbed
+    handlePointerDown(event) {
+        if(!this.enabled || this.target === null) return;
+        const rect = this.viewport.getBoundingClientRect();
+        const grabbed = event.clientX >= rect.left && event.clientX <= rect.right
+            && event.clientY >= rect.top && event.clientY <= rect.bottom;
+        const point = this.brot.canvasToComplex(event.clientX, event.clientY);
+        if(!grabbed) {
+            this.moveTarget(point);
+        }
+        this.drag = {
+            origin: this.target.viewOrigin,
+            anchor: point
+        };
+        this.frame.setPointerCapture(event.pointerId);
+    }
+
+    // the view follows the pointer by as much as it moved over the overview
+    handlePointerMove(event) {
+        if(this.drag === null) return;
+        const point = this.brot.canvasToComplex(event.clientX, event.clientY);
+        this.moveTarget({
+            x: this.drag.origin.x.add(point.x.sub(this.drag.anchor.x)),
+            y: this.drag.origin.y.add(point.y.sub(this.drag.anchor.y))
+        });
+    }
+
+    // centres the view on the given complex point
+    moveTarget(origin) {
+        this.target.viewOrigin = truncateOrigin(origin, this.target.viewRange);
+        this.target.requestDraw(true);
+    }
+}
@@ -0,0 +1,239 @@
+import { ZOOM_FACTOR } from "./view.js";
+
+// wheel distance in pixels zooming by ZOOM_FACTOR, a notch of most mouse wheels
+const WHEEL_NOTCH = 100;
+// wheel distance of a line and of a page when the wheel events are not measured in pixels
+const WHEEL_LINE = 33;
+const WHEEL_PAGE = 800;
+// factor of the view range applied by a double click or a double tap
+const DOUBLE_CLICK_ZOOM = 0.5;
+// longest delay between the taps of a double tap, in milliseconds
+const DOUBLE_TAP_DELAY = 300;
+// farthest a pointer can move during a tap, and between the taps of a double tap, in pixels
+const TAP_DISTANCE = 20;
+// time constant of the exponential decay of the panning speed after a flick, in milliseconds
+const INERTIA_TIME_CONSTANT = 325;
+// slowest pointer speed starting the inertia, and at which it stops, in pixels per millisecond
+const INERTIA_MIN_SPEED = 0.02;
+// longest time between the last move and the release of a flick, in milliseconds
+const INERTIA_RELEASE_DELAY = 80;
+
+// factor of the view range a wheel event zooms by, proportional to the distance scrolled
+// so the small steps of trackpads zoom smoothly
+export function wheelZoomFactor(deltaY, deltaMode, pageHeight = WHEEL_PAGE) {
+    const distance = deltaMode === 1 ? deltaY * WHEEL_LINE
+        : deltaMode === 2 ? deltaY * pageHeight
+        : deltaY;
+    return Math.pow(ZOOM_FACTOR, distance / WHEEL_NOTCH);
+}
+
+// centre and spread of the two pointers of a pinch
+function pinchOf(first, second) {
+    return {
+        x: (first.x + second.x) / 2,
+        y: (first.y + second.y) / 2,
+        distance: Math.hypot(first.x - second.x, first.y - second.y)
+    };
+}
+
+// moves the view of a Brot with the mouse and touches of its canvas: dragging pans,
+// the wheel zooms toward the cursor, pinches pan and zoom around their centre,
+// flicks keep the view gliding and double clicks or taps zoom in
+export class NavigationController {
+
+    // Brot whose view is moved
+    brot = null;
+
+    // positions of the pointers down on the canvas, by identifier
+    pointers = new Map();
+
+    // panning speed in pixels per millisecond, measured while dragging
+    velocity = {
+        x: 0.0,
+        y: 0.0
+    };
+
+    // timestamp of the last pointer move
+    lastMoveTime = 0;
+
+    // animation frame request of the inertia, null when the view is not gliding
+    inertiaFrame = null;
+
+    // position and time of the last tap, to recognize double taps
+    lastTap = null;
+
+    // position where the current single pointer went down, to recognize taps
+    downPosition = null;
+
+    // type of the last pointer pressed, double clicks are only handled for the mouse
+    lastPointerType = "mouse";
+
+    // listeners added to the canvas, by event type
+    listeners = {
+        pointerdown: event => this.handlePointerDown(event),
+        pointermove: event => this.handlePointerMove(event),
+        pointerup: event => this.handlePointerUp(event),
+        pointercancel: event => this.handlePointerUp(event),
+        wheel: event => this.handleWheel(event),
+        dblclick: event => this.handleDoubleClick(event)
+    };
+
+    // moves the view of the given Brot from now on
+    attach(brot) {
+        if(this.brot !== null) {
+            this.detach();
+        }
+        this.brot = brot;
+        for(const [type, listener] of Object.entries(this.listeners)) {
+            brot.canvas.addEventListener(type, listener, { passive: false });
+        }
+    }
+
+    // stops listening to the canvas events
+    detach() {
+        this.stopInertia();
+        this.pointers.clear();
+        for(const [type, listener] of Object.entries(this.listeners)) {
+            this.brot.canvas.removeEventListener(type, listener);
+        }
+        this.brot = null;
+    }
+
+    // whether the view is being dragged
+    isDragging() {
+        return this.pointers.size > 0;
+    }
+
+    handlePointerDown(event) {
+        // shift clicks pick the julia parameter, the other buttons are left to the page
+        if(event.shiftKey || (event.pointerType === "mouse" && event.button !== 0)) return;
+        this.stopInertia();
+        this.lastPointerType = event.pointerType;
+        this.brot.canvas.setPointerCapture(event.pointerId);
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        this.velocity = { x: 0.0, y: 0.0 };
+        this.lastMoveTime = event.timeStamp;
+        this.downPosition = this.pointers.size === 1 ? { x: event.clientX, y: event.clientY } : null;
+        event.preventDefault();
+    }
+
+    handlePointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if(pointer === undefined) return;
+
+        if(this.pointers.size === 1) {
+            const dx = event.clientX - pointer.x;
+            const dy = event.clientY - pointer.y;
+            // the content follows the pointer
+            this.brot.translateView(-dx, -dy);
+            this.measureVelocity(dx, dy, event.timeStamp);
+        } else if(this.pointers.size === 2) {
+            const [first, second] = this.pointers.values();
+            const before = pinchOf(first, second);
+            pointer.x = event.clientX;
+            pointer.y = event.clientY;
+            const after = pinchOf(first, second);
+            // the pinch centre drags the view, its spread zooms around it
+            this.brot.translateView(before.x - after.x, before.y - after.y);
+            if(before.distance > 0 && after.distance > 0) {
+                this.brot.zoomAt(before.distance / after.distance, after.x, after.y);
+            }
+            this.downPosition = null;
+        }
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        event.preventDefault();
+    }
+
+    handlePointerUp(event) {
+        if(!this.pointers.delete(event.pointerId)) return;
+
+        if(this.pointers.size === 0) {
+            const tapped = this.downPosition !== null
+                && Math.hypot(event.clientX - this.downPosition.x, event.clientY - this.downPosition.y) < TAP_DISTANCE;
+            if(tapped && event.pointerType !== "mouse") {
+                this.handleTap(event);
+            } else if(event.type === "pointerup"
+                && event.timeStamp - this.lastMoveTime < INERTIA_RELEASE_DELAY
+                && Math.hypot(this.velocity.x, this.velocity.y) > INERTIA_MIN_SPEED) {
+                this.startInertia();
+            }
+        }
+        // the finger left after a pinch starts a new drag
+        this.velocity = { x: 0.0, y: 0.0 };
+        this.downPosition = null;
+    }
+
+    // zooms in on the second tap of a double tap
+    handleTap(event) {
+        const tap = { x: event.clientX, y: event.clientY, time: event.timeStamp };
+        if(this.lastTap !== null
+            && tap.time - this.lastTap.time < DOUBLE_TAP_DELAY
+            && Math.hypot(tap.x - this.lastTap.x, tap.y - this.lastTap.y) < TAP_DISTANCE) {
+            this.brot.zoomAt(DOUBLE_CLICK_ZOOM, tap.x, tap.y);
+            this.lastTap = null;
+        } else {
+            this.lastTap = tap;
+        }
+    }
+
+    handleWheel(event) {
+        this.stopInertia();
+        this.brot.zoomAt(
+            wheelZoomFactor(event.deltaY, event.deltaMode, this.brot.canvas.clientHeight),
+            event.clientX,
+            event.clientY
+        );
+        // the page does not scroll nor zoom under the canvas
+        event.preventDefault();
+    }
+
+    // the double taps are recognized from the pointers, the browsers may report them as double clicks
+    handleDoubleClick(event) {
+        if(event.shiftKey || this.lastPointerType !== "mouse") return;
+        this.brot.zoomAt(DOUBLE_CLICK_ZOOM, event.clientX, event.clientY);
+    }
+
+    // smooths the panning speed over the last moves
+    measureVelocity(dx, dy, time) {
+        const elapsed = Math.max(time - this.lastMoveTime, 1);
+        const weight = 1.0 - Math.exp(-elapsed / (INERTIA_TIME_CONSTANT / 4));
+        this.velocity = {
+            x: this.velocity.x + (dx / elapsed - this.velocity.x) * weight,
+            y: this.velocity.y + (dy / elapsed - this.velocity.y) * weight
+        };
+        this.lastMoveTime = time;
+    }
+
+    // keeps the view gliding after a flick, slowing down exponentially. the glide has its
+    // own copy of the speed, the measured one is reset for the next drag
+    startInertia() {
+        let velocity = { ...this.velocity };
+        let last = null;
+        const glide = time => {
+            if(last !== null) {
+                const elapsed = time - last;
+                const decay = Math.exp(-elapsed / INERTIA_TIME_CONSTANT);
+                velocity = {
+                    x: velocity.x * decay,
+                    y: velocity.y * decay
+                };
+                this.brot.translateView(-velocity.x * elapsed, -velocity.y * elapsed);
+                if(Math.hypot(velocity.x, velocity.y) < INERTIA_MIN_SPEED) {
+                    this.inertiaFrame = null;
+                    return;
+                }
+            }
+            last = time;
+            this.inertiaFrame = requestAnimationFrame(glide);
+        };
+        this.inertiaFrame = requestAnimationFrame(glide);
+    }
+
+    stopInertia() {
+        if(this.inertiaFrame !== null) {
+            cancelAnimationFrame(this.inertiaFrame);
+            this.inertiaFrame = null;
+        }
+    }
+}
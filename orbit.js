@@ -0,0 +1,349 @@
+import { BigFloat } from "./bigfloat.js";
+import { MAX_SHADER_ITERATIONS } from "./formulas.js";
+import { NOT_ESCAPED, startOrbit, orbitEscaped } from "./escapetime.js";
+import { copyText } from "./clipboard.js";
+
+// number of orbit points drawn over the canvas by default
+export const DEFAULT_ORBIT_LENGTH = 100;
+// number of iterations the bounded orbits are followed for to find their period
+const PERIOD_ORBIT_LENGTH = 10000;
+// longest period looked for
+const MAX_PERIOD = 1024;
+// distance, relative to the size of the orbit points, under which two points are the same
+const PERIOD_TOLERANCE = 1e-9;
+// farthest the pointer can move between pressing and releasing on a point to inspect it, in pixels
+const INSPECT_DISTANCE = 5;
+// namespace of the SVG elements
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// whether the point c is inside the main cardioid of the mandelbrot set
+export function inMainCardioid(x, y) {
+    const q = (x - 0.25) * (x - 0.25) + y * y;
+    return q * (q + (x - 0.25)) <= 0.25 * y * y;
+}
+
+// whether the point c is inside the period 2 bulb of the mandelbrot set, the disk left of the cardioid
+export function inPeriodTwoBulb(x, y) {
+    return (x + 1.0) * (x + 1.0) + y * y <= 1.0 / 16.0;
+}
+
+// orbit of the point p with the JavaScript counterpart of the formula, in double precision.
+// the points start with the starting z and stop after the first escaping one or at the given length
+export function formulaOrbit(formula, px, py, view, length) {
+    const { z, c } = startOrbit(formula, px, py, view);
+    const previous = { x: 0.0, y: 0.0 };
+    const points = [{ x: z.x, y: z.y }];
+    while(points.length < length) {
+        previous.x = z.x;
+        previous.y = z.y;
+        formula.cpu.iterate(z, c, view.parameters);
+        points.push({ x: z.x, y: z.y });
+        if(orbitEscaped(formula, z, previous, view)) {
+            return { points: points, escaped: true };
+        }
+    }
+    return { points: points, escaped: false };
+}
+
+// smallest period the end of a bounded orbit repeats with, null if it did not settle on a cycle
+export function orbitPeriod(points) {
+    const last = points[points.length - 1];
+    const tolerance = PERIOD_TOLERANCE * Math.max(1.0, Math.hypot(last.x, last.y));
+    for(let period = 1; period <= MAX_PERIOD && period < points.length; period++) {
+        const point = points[points.length - 1 - period];
+        if(Math.hypot(point.x - last.x, point.y - last.y) < tolerance) {
+            return period;
+        }
+    }
+    return null;
+}
+
+// iteration the orbit of the point p escapes at like the renderers count it, or NOT_ESCAPED,
+// with its points, its period if it is bounded and, for the mandelbrot set, whether the
+// point lies in the main cardioid ("cardioid"), the period 2 bulb ("bulb") or neither ("outside")
+export function analyzeOrbit(formula, px, py, view) {
+    const lastIteration = Math.min(view.maxIter, (view.iterationCap ?? MAX_SHADER_ITERATIONS) - 1);
+    const orbit = formulaOrbit(formula, px, py, view, Math.max(lastIteration + 2, PERIOD_ORBIT_LENGTH));
+    // the points count the starting z, the iterations start at 0
+    const escapeIteration = orbit.escaped ? orbit.points.length - 2 : NOT_ESCAPED;
+
+    let region = null;
+    if(formula.id === "mandelbrot" && !view.julia) {
+        region = inMainCardioid(px, py) ? "cardioid" : (inPeriodTwoBulb(px, py) ? "bulb" : "outside");
+    }
+    return {
+        points: orbit.points,
+        escapeIteration: escapeIteration <= lastIteration ? escapeIteration : NOT_ESCAPED,
+        period: orbit.escaped ? null : orbitPeriod(orbit.points),
+        region: region
+    };
+}
+
+// sentences describing an orbit analysis
+function describeOrbit(analysis, maxIter) {
+    const lines = [
+        analysis.escapeIteration === NOT_ESCAPED
+            ? "Bounded within " + maxIter + " iterations"
+            : "Escapes at iteration " + analysis.escapeIteration
+    ];
+    if(analysis.escapeIteration === NOT_ESCAPED) {
+        lines.push(analysis.period === null ? "No period detected" : "Period " + analysis.period);
+    }
+    const regions = {
+        cardioid: "Inside the main cardioid",
+        bulb: "Inside the period 2 bulb",
+        outside: "Outside the main cardioid and the period 2 bulb"
+    };
+    if(analysis.region !== null) {
+        lines.push(regions[analysis.region]);
+    }
+    return lines;
+}
+
+// overlay showing the complex coordinate under the cursor of a Brot canvas. the orbit of
+// a clicked point is drawn over the canvas with a report of its escape iteration, period
+// and region, its coordinate can be copied
+export class OrbitInspector {
+
+    // document element the readout and the report are created in
+    container = null;
+
+    // SVG document element covering the canvas the orbit is drawn in
+    overlay = null;
+
+    // Brot whose canvas is inspected
+    brot = null;
+
+    // whether the inspector is shown
+    enabled = false;
+
+    // complex point inspected, as a pair of BigFloats, null before the first click
+    point = null;
+
+    // number of orbit points drawn
+    orbitLength = DEFAULT_ORBIT_LENGTH;
+
+    // analysis of the orbit of the inspected point
+    analysis = null;
+
+    // formula, iterations and set the analysis was made with, to redo it once they change
+    analyzedWith = null;
+
+    // client position where the pointer was pressed, to tell clicks from drags
+    downPosition = null;
+
+    // document elements of the readout, the report and the orbit
+    cursorOutput = null;
+    pointOutput = null;
+    report = null;
+    polyline = null;
+
+    // listeners added to the canvas, by event type
+    listeners = {
+        pointerdown: event => this.handlePointerDown(event),
+        pointermove: event => this.handlePointerMove(event),
+        pointerup: event => this.handlePointerUp(event)
+    };
+
+    constructor(container, overlay) {
+        this.container = container;
+        this.overlay = overlay;
+        this.render();
+    }
+
+    // inspects the canvas of the given Brot from now on
+    attach(brot) {
+        if(this.brot !== null) {
+            this.detach();
+        }
+        this.brot = brot;
+        for(const [type, listener] of Object.entries(this.listeners)) {
+            brot.canvas.addEventListener(type, listener);
+        }
+        this.inspect(this.point);
+    }
+
+    detach() {
+        for(const [type, listener] of Object.entries(this.listeners)) {
+            this.brot.canvas.removeEventListener(type, listener);
+        }
+        this.brot = null;
+    }
+
+    // shows or hides the inspector
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.container.classList.toggle("d-none", !enabled);
+        this.overlay.classList.toggle("d-none", !enabled);
+        if(enabled) {
+            this.inspect(this.point);
+        }
+    }
+
+    // creates the readout of the cursor, the inspected point with its copy button,
+    // the orbit length input and the report
+    render() {
+        this.container.replaceChildren();
+
+        const cursorLabel = document.createElement("span");
+        cursorLabel.textContent = "Cursor: ";
+        this.cursorOutput = document.createElement("output");
+        this.cursorOutput.className = "inspector-coordinate";
+        const cursorRow = document.createElement("div");
+        cursorRow.append(cursorLabel, this.cursorOutput);
+
+        const pointLabel = document.createElement("span");
+        pointLabel.textContent = "Point: ";
+        this.pointOutput = document.createElement("output");
+        this.pointOutput.className = "inspector-coordinate";
+        this.pointOutput.textContent = "click on the view";
+        const copyButton = document.createElement("button");
+        copyButton.className = "btn-secondary rounded ms-2";
+        copyButton.textContent = "Copy";
+        // the point is selected when the clipboard refuses it, so it can be copied by hand
+        copyButton.onclick = async () => {
+            if(this.point === null) return;
+            if(!await copyText(copyButton, this.pointOutput.textContent)) {
+                getSelection().selectAllChildren(this.pointOutput);
+            }
+        };
+        const pointRow = document.createElement("div");
+        pointRow.append(pointLabel, this.pointOutput, copyButton);
+
+        const lengthLabel = document.createElement("label");
+        lengthLabel.textContent = "Orbit points: ";
+        const lengthInput = document.createElement("input");
+        lengthInput.type = "number";
+        lengthInput.className = "keyframe-duration";
+        lengthInput.min = 1;
+        lengthInput.max = 10000;
+        lengthInput.value = this.orbitLength;
+        lengthInput.onchange = () => {
+            const length = parseInt(lengthInput.value);
+            if(length > 0) {
+                this.orbitLength = length;
+                this.drawOrbit();
+            } else {
+                lengthInput.value = this.orbitLength;
+            }
+        };
+        lengthLabel.appendChild(lengthInput);
+
+        this.report = document.createElement("ul");
+        this.report.className = "inspector-report mb-0";
+        this.report.setAttribute("aria-live", "polite");
+
+        this.container.append(cursorRow, pointRow, lengthLabel, this.report);
+
+        this.polyline = document.createElementNS(SVG_NAMESPACE, "polyline");
+        this.polyline.setAttribute("class", "orbit-line");
+        this.overlay.replaceChildren(this.polyline);
+    }
+
+    // coordinate of a complex point written with the digits the pixels of the canvas resolve
+    formatPoint(point) {
+        const pixelBits = this.brot.pixelSize().log2();
+        const digits = value => Math.max(3, Math.ceil((Math.max(value.log2(), this.brot.viewRange.log2()) - pixelBits) * Math.log10(2)) + 2);
+        const imaginary = point.y.abs().toDecimal(digits(point.y));
+        return point.x.toDecimal(digits(point.x)) + (point.y.sign() < 0 ? " - " : " + ") + imaginary + "i";
+    }
+
+    handlePointerDown(event) {
+        this.downPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    // the readout follows the cursor
+    handlePointerMove(event) {
+        if(!this.enabled) return;
+        this.cursorOutput.textContent = this.formatPoint(this.brot.canvasToComplex(event.clientX, event.clientY));
+    }
+
+    // a click without dragging inspects the point under it, shift clicks pick the julia parameter
+    handlePointerUp(event) {
+        const down = this.downPosition;
+        this.downPosition = null;
+        if(!this.enabled || down === null || event.shiftKey) return;
+        if(Math.hypot(event.clientX - down.x, event.clientY - down.y) > INSPECT_DISTANCE) return;
+        this.inspect(this.brot.canvasToComplex(event.clientX, event.clientY));
+    }
+
+    // analyzes the orbit of the given complex point and draws it
+    inspect(point) {
+        this.point = point;
+        if(point === null || !this.enabled || this.brot === null) return;
+
+        const brot = this.brot;
+        this.pointOutput.textContent = this.formatPoint(point);
+        this.report.replaceChildren();
+        if(brot.formula.cpu === null) {
+            this.analysis = null;
+            const item = document.createElement("li");
+            item.textContent = "The orbits of the " + brot.formula.name + " formula cannot be followed";
+            this.report.appendChild(item);
+            this.drawOrbit();
+            return;
+        }
+        const maxIter = parseInt(brot.maxIter);
+        const view = {
+            maxIter: maxIter,
+            iterationCap: brot.iterationCap,
+            escape: brot.escapeVal,
+            julia: brot.julia,
+            juliaC: brot.juliaC,
+            parameters: brot.formulaParameters
+        };
+        this.analyzedWith = JSON.stringify({ formula: brot.formula.id, ...view });
+        this.analysis = analyzeOrbit(brot.formula, point.x.toNumber(), point.y.toNumber(), view);
+        for(const line of describeOrbit(this.analysis, maxIter)) {
+            const item = document.createElement("li");
+            item.textContent = line;
+            this.report.appendChild(item);
+        }
+        this.drawOrbit();
+    }
+
+    // follows the changes of the Brot after it is drawn: the orbit is analyzed again if the
+    // formula or its iterations changed, and drawn again where the inspected point moved to
+    update() {
+        if(!this.enabled || this.point === null || this.brot === null) return;
+        const brot = this.brot;
+        const current = JSON.stringify({
+            formula: brot.formula.id,
+            maxIter: parseInt(brot.maxIter),
+            iterationCap: brot.iterationCap,
+            escape: brot.escapeVal,
+            julia: brot.julia,
+            juliaC: brot.juliaC,
+            parameters: brot.formulaParameters
+        });
+        if(current !== this.analyzedWith) {
+            this.inspect(this.point);
+        } else {
+            this.drawOrbit();
+        }
+    }
+
+    // draws the first orbit points over the canvas
+    drawOrbit() {
+        if(!this.enabled || this.analysis === null || this.brot === null) {
+            this.polyline.setAttribute("points", "");
+            return;
+        }
+        const canvasRect = this.brot.canvas.getBoundingClientRect();
+        const overlayRect = this.overlay.getBoundingClientRect();
+        const coordinates = [];
+        for(const point of this.analysis.points.slice(0, this.orbitLength)) {
+            // the escaping points may be too far to be converted
+            if(!Number.isFinite(point.x) || !Number.isFinite(point.y)) break;
+            const position = this.brot.complexToCanvas({
+                x: BigFloat.fromNumber(point.x),
+                y: BigFloat.fromNumber(point.y)
+            });
+            coordinates.push(
+                (position.x + canvasRect.left - overlayRect.left).toFixed(1) + ","
+                + (position.y + canvasRect.top - overlayRect.top).toFixed(1)
+            );
+        }
+        this.polyline.setAttribute("points", coordinates.join(" "));
+    }
+}
@@ -0,0 +1,280 @@
+// number of texels of the texture the palette is sampled into
+export const PALETTE_TEXTURE_SIZE = 256;
+// identifier of the palette used when the page loads
+export const DEFAULT_PALETTE = "classic";
+// initial colour of the points inside the set
+export const INIT_INTERIOR_COLOR = "#1a0f1a";
+
+// built-in gradients, each colour stop has a position between 0 and 1
+export const PALETTES = {
+    classic: {
+        name: "Classic",
+        stops: [
+            { position: 0.0, color: "#1a0f1a" },
+            { position: 1.0, color: "#e68a1a" }
+        ]
+    },
+    fire: {
+        name: "Fire",
+        stops: [
+            { position: 0.0, color: "#000000" },
+            { position: 0.3, color: "#8c0b00" },
+            { position: 0.6, color: "#ff7800" },
+            { position: 0.85, color: "#ffe65a" },
+            { position: 1.0, color: "#ffffff" }
+        ]
+    },
+    ocean: {
+        name: "Ocean",
+        stops: [
+            { position: 0.0, color: "#000764" },
+            { position: 0.16, color: "#206bcb" },
+            { position: 0.42, color: "#edffff" },
+            { position: 0.64, color: "#ffaa00" },
+            { position: 0.86, color: "#000200" },
+            { position: 1.0, color: "#000764" }
+        ]
+    },
+    rainbow: {
+        name: "Rainbow",
+        stops: [
+            { position: 0.0, color: "#ff0000" },
+            { position: 0.17, color: "#ffff00" },
+            { position: 0.33, color: "#00ff00" },
+            { position: 0.5, color: "#00ffff" },
+            { position: 0.67, color: "#0000ff" },
+            { position: 0.83, color: "#ff00ff" },
+            { position: 1.0, color: "#ff0000" }
+        ]
+    },
+    grayscale: {
+        name: "Grayscale",
+        stops: [
+            { position: 0.0, color: "#000000" },
+            { position: 0.5, color: "#ffffff" },
+            { position: 1.0, color: "#000000" }
+        ]
+    }
+};
+
+// palette sampling shared by the fragment shaders, escaped pixels are coloured from
+// their (possibly smoothed) iteration count, the others get the interior colour.
+// when uOutputIterations is set, the iteration count is packed in the pixel instead
+export const COLORING_GLSL = `
+    uniform sampler2D uPalette;
+    uniform float uPaletteOffset;
+    uniform float uPaletteRepeat;
+    uniform vec3 uInteriorColor;
+    uniform bool uSmoothColoring;
+    uniform bool uOutputIterations;
+    #ifdef INTEGER_ITERATIONS
+    // iteration counts of the first pass, written to the second colour attachment
+    layout(location = 1) out highp uint iterationOutput;
+    #endif
+
+    // normalized iteration count of an orbit escaping at iteration i with value z
+    float smoothIteration(float i, vec2 z, float escape, float degree) {
+        return i + 1.0 - log(log(length(z)) / log(escape)) / log(degree);
+    }
+
+    // iteration count relative to the maximum packed in 24 bits, alpha is set if escaped.
+    // the integer render targets of WebGL2 take it in the iteration output instead, as a
+    // 31 bits fixed point number with the escaped flag in the top bit
+    vec4 packIterations(bool escaped, float iteration, float maxIterations) {
+        float t = clamp(iteration / (maxIterations + 1.0), 0.0, 0.999999);
+    #ifdef INTEGER_ITERATIONS
+        iterationOutput = (escaped ? 0x80000000u : 0u) | uint(t * 2147483648.0);
+        return vec4(0.0);
+    #else
+        vec3 bytes = fract(t * vec3(1.0, 255.0, 65025.0));
+        bytes -= bytes.yzz * vec3(1.0 / 255.0, 1.0 / 255.0, 0.0);
+        return vec4(bytes, escaped ? 1.0 : 0.0);
+    #endif
+    }
+
+    // colour of the palette at t, repeated and shifted
+    vec3 paletteColor(float t) {
+        t = fract(t * uPaletteRepeat + uPaletteOffset);
+        // sample between the centres of the first and last texels so both ends are exact
+        float u = (t * ${PALETTE_TEXTURE_SIZE - 1}.0 + 0.5) / ${PALETTE_TEXTURE_SIZE}.0;
+        return texture2D(uPalette, vec2(u, 0.5)).rgb;
+    }
+
+    vec4 colorize(bool escaped, float iteration, float maxIterations) {
+        if(uOutputIterations) return packIterations(escaped, iteration, maxIterations);
+        if(!escaped) return vec4(uInteriorColor, 1.0);
+        return vec4(paletteColor(iteration / maxIterations), 1.0);
+    }
+`;
+
+// converts a "#rrggbb" colour to its red, green and blue components between 0 and 255
+export function parseColor(color) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+// converts red, green and blue components between 0 and 255 to a "#rrggbb" colour
+export function formatColor(color) {
+    return "#" + color.map(component => Math.round(component).toString(16).padStart(2, "0")).join("");
+}
+
+// gradient made of colour stops, linearly interpolated
+export class Palette {
+
+    // name shown in the settings menu
+    name = "";
+
+    // colour stops sorted by position
+    stops = [];
+
+    constructor(name, stops) {
+        this.name = name;
+        this.stops = stops
+            .map(stop => ({ position: stop.position, color: stop.color }))
+            .sort((a, b) => a.position - b.position);
+    }
+
+    // creates an editable copy of a built-in palette
+    static builtIn(id) {
+        return new Palette(PALETTES[id].name, PALETTES[id].stops);
+    }
+
+    clone() {
+        return new Palette(this.name, this.stops);
+    }
+
+    // colour of the gradient at the given position between 0 and 1, as [r, g, b]
+    colorAt(position) {
+        const stops = this.stops;
+        if(stops.length === 0) return [0, 0, 0];
+        if(position <= stops[0].position) return parseColor(stops[0].color);
+        for(let i = 1; i < stops.length; i++) {
+            if(position <= stops[i].position) {
+                const from = parseColor(stops[i - 1].color);
+                const to = parseColor(stops[i].color);
+                const span = stops[i].position - stops[i - 1].position;
+                const t = span > 0 ? (position - stops[i - 1].position) / span : 1.0;
+                return from.map((component, j) => component + (to[j] - component) * t);
+            }
+        }
+        return parseColor(stops[stops.length - 1].color);
+    }
+
+    // RGBA texels of the gradient sampled over the palette texture
+    textureData() {
+        const data = new Uint8Array(PALETTE_TEXTURE_SIZE * 4);
+        for(let i = 0; i < PALETTE_TEXTURE_SIZE; i++) {
+            const color = this.colorAt(i / (PALETTE_TEXTURE_SIZE - 1));
+            data.set([Math.round(color[0]), Math.round(color[1]), Math.round(color[2]), 255], i * 4);
+        }
+        return data;
+    }
+
+    // CSS gradient previewing the palette in the settings menu
+    cssGradient() {
+        const stops = this.stops.map(stop => stop.color + " " + (stop.position * 100) + "%");
+        return "linear-gradient(to right, " + stops.join(", ") + ")";
+    }
+}
+
+// settings menu section editing the colour stops of a palette
+export class PaletteEditor {
+
+    // document element the stops rows are created in
+    container = null;
+
+    // document element showing the gradient
+    previewElement = null;
+
+    // palette being edited
+    palette = null;
+
+    // callback called with the palette every time it is modified
+    onchange = null;
+
+    constructor(container, previewElement, onchange) {
+        this.container = container;
+        this.previewElement = previewElement;
+        this.onchange = onchange;
+    }
+
+    // starts editing the given palette
+    edit(palette) {
+        this.palette = palette;
+        this.render();
+    }
+
+    // adds a stop in the middle of the widest gap between two stops
+    addStop() {
+        const stops = this.palette.stops;
+        let position = 0.5;
+        let widestGap = 0;
+        for(let i = 1; i < stops.length; i++) {
+            const gap = stops[i].position - stops[i - 1].position;
+            if(gap > widestGap) {
+                widestGap = gap;
+                position = stops[i - 1].position + gap / 2;
+            }
+        }
+        stops.push({
+            position: position,
+            color: formatColor(this.palette.colorAt(position))
+        });
+        this.update();
+    }
+
+    // sorts the stops back after an edit and notifies the change
+    update() {
+        this.palette.stops.sort((a, b) => a.position - b.position);
+        this.render();
+        this.onchange(this.palette);
+    }
+
+    // creates a row with a colour picker, a position slider and a remove button per stop
+    render() {
+        this.previewElement.style.background = this.palette.cssGradient();
+        this.container.replaceChildren();
+
+        this.palette.stops.forEach((stop, i) => {
+            const row = document.createElement("div");
+            row.className = "d-flex align-items-center mt-1";
+
+            const colorInput = document.createElement("input");
+            colorInput.type = "color";
+            colorInput.className = "color-input";
+            colorInput.value = stop.color;
+            colorInput.oninput = () => {
+                stop.color = colorInput.value;
+                this.previewElement.style.background = this.palette.cssGradient();
+                this.onchange(this.palette);
+            };
+
+            const positionSlider = document.createElement("input");
+            positionSlider.type = "range";
+            positionSlider.className = "slider mx-2";
+            positionSlider.min = 0;
+            positionSlider.max = 1000;
+            positionSlider.value = Math.round(stop.position * 1000);
+            positionSlider.oninput = () => {
+                stop.position = parseInt(positionSlider.value) / 1000.0;
+                this.previewElement.style.background = this.palette.cssGradient();
+                this.onchange(this.palette);
+            };
+            // the rows are only reordered once the slider is released
+            positionSlider.onchange = () => this.update();
+
+            const removeButton = document.createElement("button");
+            removeButton.className = "btn-secondary rounded";
+            removeButton.textContent = "×";
+            // a gradient needs at least two stops
+            removeButton.disabled = this.palette.stops.length <= 2;
+            removeButton.onclick = () => {
+                this.palette.stops.splice(i, 1);
+                this.update();
+            };
+
+            row.append(colorInput, positionSlider, removeButton);
+            this.container.appendChild(row);
+        });
+    }
+}
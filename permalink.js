@@ -0,0 +1,147 @@
+import { BigFloat } from "./bigfloat.js";
+import { Palette } from "./palettes.js";
+import { getFormula } from "./formulas.js";
+import { SHADING_MODES, ORBIT_TRAPS } from "./shading.js";
+
+// delay in milliseconds after the last change before the URL hash is updated
+export const HASH_UPDATE_DELAY = 300;
+
+// parses a number written in the URL hash
+function parseHashNumber(text) {
+    const value = Number(text);
+    if(text.trim() === "" || !Number.isFinite(value)) {
+        throw new SyntaxError("Invalid number: " + text);
+    }
+    return value;
+}
+
+// parses a flag written as 0 or 1 in the URL hash
+function parseHashFlag(text) {
+    if(text !== "0" && text !== "1") {
+        throw new SyntaxError("Invalid flag: " + text);
+    }
+    return text === "1";
+}
+
+// parses a "#rrggbb" colour written in the URL hash
+function parseHashColor(text) {
+    if(!/^#[0-9a-f]{6}$/i.test(text)) {
+        throw new SyntaxError("Invalid colour: " + text);
+    }
+    return text.toLowerCase();
+}
+
+// parses one of the keys of the given object written in the URL hash
+function parseHashKey(text, object) {
+    if(!Object.hasOwn(object, text)) {
+        throw new SyntaxError("Invalid value: " + text);
+    }
+    return text;
+}
+
+// parses the given number of comma separated numbers written in the URL hash
+function parseHashNumbers(text, count) {
+    const values = text.split(",");
+    if(values.length !== count) {
+        throw new SyntaxError("Expected " + count + " numbers: " + text);
+    }
+    return values.map(parseHashNumber);
+}
+
+// writes a render state returned by GLBrot.getState as URL hash parameters.
+// the view is written with BigFloat.toString so deep zooms round-trip exactly
+export function encodeState(state) {
+    const params = new URLSearchParams();
+    params.set("x", state.x.toString());
+    params.set("y", state.y.toString());
+    params.set("r", state.range.toString());
+    params.set("iter", state.maxIter);
+    params.set("escape", state.escape);
+    params.set("formula", state.formula);
+    if(state.parameters.length > 0) {
+        params.set("params", state.parameters.join(","));
+    }
+    params.set("julia", state.julia ? "1" : "0");
+    params.set("jx", state.juliaC.x);
+    params.set("jy", state.juliaC.y);
+    params.set("palette", state.palette.stops.map(stop => stop.position + ":" + stop.color).join(","));
+    params.set("offset", state.paletteOffset);
+    params.set("repeat", state.paletteRepeat);
+    params.set("interior", state.interiorColor);
+    params.set("smooth", state.smoothColoring ? "1" : "0");
+    params.set("histogram", state.histogramColoring ? "1" : "0");
+    params.set("shading", state.shading);
+    params.set("light", state.light.angle + "," + state.light.height);
+    params.set("trap", [state.trap.shape, state.trap.x, state.trap.y, state.trap.angle].join(","));
+    return params.toString();
+}
+
+// reads a render state written by encodeState, the missing parameters are taken from the
+// default state. throws if a parameter is malformed
+export function decodeState(hash, defaults) {
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    const read = (key, parse, fallback) => params.has(key) ? parse(params.get(key)) : fallback;
+
+    const formula = getFormula(read("formula", text => text, defaults.formula));
+    const parameters = read("params", text => text.split(",").map(parseHashNumber),
+        formula.id === defaults.formula
+            ? defaults.parameters
+            : formula.parameters.map(parameter => parameter.value));
+    if(parameters.length !== formula.parameters.length) {
+        throw new SyntaxError("Expected " + formula.parameters.length + " formula parameters");
+    }
+
+    const range = read("r", BigFloat.parse, defaults.range);
+    if(range.sign() <= 0) {
+        throw new RangeError("The view range has to be positive");
+    }
+
+    const maxIter = read("iter", parseHashNumber, defaults.maxIter);
+    if(!Number.isInteger(maxIter) || maxIter < 1) {
+        throw new RangeError("Invalid maximum iteration: " + maxIter);
+    }
+
+    const escape = read("escape", parseHashNumber, defaults.escape);
+    if(!(escape > 0)) {
+        throw new RangeError("Invalid escape value: " + escape);
+    }
+
+    const palette = read("palette", text => new Palette("Custom", text.split(",").map(stop => {
+        const [position, color] = stop.split(":");
+        return { position: parseHashNumber(position), color: parseHashColor(color) };
+    })), defaults.palette);
+    if(palette.stops.length < 2) {
+        throw new SyntaxError("A palette needs at least two stops");
+    }
+
+    return {
+        x: read("x", BigFloat.parse, defaults.x),
+        y: read("y", BigFloat.parse, defaults.y),
+        range: range,
+        maxIter: maxIter,
+        escape: escape,
+        formula: formula.id,
+        parameters: parameters,
+        julia: read("julia", parseHashFlag, defaults.julia),
+        juliaC: {
+            x: read("jx", parseHashNumber, defaults.juliaC.x),
+            y: read("jy", parseHashNumber, defaults.juliaC.y)
+        },
+        palette: palette,
+        paletteOffset: read("offset", parseHashNumber, defaults.paletteOffset),
+        paletteRepeat: read("repeat", parseHashNumber, defaults.paletteRepeat),
+        interiorColor: read("interior", parseHashColor, defaults.interiorColor),
+        smoothColoring: read("smooth", parseHashFlag, defaults.smoothColoring),
+        histogramColoring: read("histogram", parseHashFlag, defaults.histogramColoring),
+        shading: read("shading", text => parseHashKey(text, SHADING_MODES), defaults.shading),
+        light: read("light", text => {
+            const [angle, height] = parseHashNumbers(text, 2);
+            return { angle: angle, height: height };
+        }, defaults.light),
+        trap: read("trap", text => {
+            const [shape, ...numbers] = text.split(",");
+            const [x, y, angle] = parseHashNumbers(numbers.join(","), 3);
+            return { shape: parseHashKey(shape, ORBIT_TRAPS), x: x, y: y, angle: angle };
+        }, defaults.trap)
+    };
+}
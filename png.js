@@ -0,0 +1,94 @@
+// bytes every PNG file starts with
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// maximum number of bytes of compressed image data per IDAT chunk
+const PNG_IDAT_SIZE = 1 << 20;
+
+// lookup table of the CRC-32 of every byte value
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for(let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+// CRC-32 of the given bytes, as used by the PNG chunks
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for(let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// PNG chunk of the given four letters type: length, type, data and CRC of type and data
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for(let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+}
+
+// tEXt chunk holding a latin-1 keyword and text
+function textChunk(keyword, text) {
+    const latin1 = string => Uint8Array.from(string, character => character.charCodeAt(0) & 0xff);
+    const keywordBytes = latin1(keyword);
+    const textBytes = latin1(text);
+    const data = new Uint8Array(keywordBytes.length + 1 + textBytes.length);
+    data.set(keywordBytes);
+    // the keyword is null terminated
+    data.set(textBytes, keywordBytes.length + 1);
+    return pngChunk("tEXt", data);
+}
+
+// encodes an 8 bits RGB image into a PNG blob. the pixels are read from the strips async
+// iterable, each strip holding one or more rows from top to bottom, and compressed as they
+// come so the whole raw image never has to fit in memory. every entry of the metadata
+// object is stored as a text chunk
+export async function encodePng(width, height, strips, metadata) {
+    const compression = new CompressionStream("deflate");
+    const compressed = new Response(compression.readable).arrayBuffer();
+    const writer = compression.writable.getWriter();
+
+    const rowLength = width * 3;
+    try {
+        for await (const strip of strips) {
+            const rows = strip.length / rowLength;
+            // every row starts with its filter type, 0 stores the row unfiltered
+            const filtered = new Uint8Array(rows * (rowLength + 1));
+            for(let row = 0; row < rows; row++) {
+                filtered.set(strip.subarray(row * rowLength, (row + 1) * rowLength), row * (rowLength + 1) + 1);
+            }
+            await writer.write(filtered);
+        }
+        await writer.close();
+    } catch(error) {
+        compressed.catch(() => {});
+        await writer.abort(error).catch(() => {});
+        throw error;
+    }
+    const data = new Uint8Array(await compressed);
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8;  // bits per channel
+    header[9] = 2;  // colour type: RGB
+    // compression, filter and interlace methods are left at 0
+
+    const chunks = [PNG_SIGNATURE, pngChunk("IHDR", header)];
+    for(const [keyword, text] of Object.entries(metadata)) {
+        chunks.push(textChunk(keyword, text));
+    }
+    for(let offset = 0; offset < data.length; offset += PNG_IDAT_SIZE) {
+        chunks.push(pngChunk("IDAT", data.subarray(offset, offset + PNG_IDAT_SIZE)));
+    }
+    chunks.push(pngChunk("IEND", new Uint8Array(0)));
+    return new Blob(chunks, { type: "image/png" });
+}
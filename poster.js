@@ -0,0 +1,147 @@
+import { RenderTarget } from "./rendertarget.js";
+import { encodePng } from "./png.js";
+import { viewPoint } from "./view.js";
+
+// width and height in pixels of the tiles the poster is rendered with
+const POSTER_TILE_SIZE = 512;
+// largest width or height of a poster, limited by the PNG format and the float precision
+export const POSTER_MAX_SIZE = 65535;
+
+// renders the view of a GLBrot into an image of any size, tile by tile in an off-screen
+// framebuffer, and encodes it as a PNG. each pixel can be averaged over several samples
+export class PosterExporter {
+
+    // GLBrot whose view is exported
+    brot = null;
+
+    // dimensions of the poster in pixels
+    width = 0;
+    height = 0;
+
+    // number of samples per pixel along each axis
+    supersampling = 1;
+
+    // text chunks stored in the PNG, by keyword
+    metadata = {};
+
+    // callback called with the fraction of the tiles rendered so far
+    onprogress = null;
+
+    // whether the export was cancelled
+    cancelled = false;
+
+    constructor(brot, width, height, supersampling, metadata) {
+        if(width < 1 || height < 1 || width > POSTER_MAX_SIZE || height > POSTER_MAX_SIZE) {
+            throw new RangeError("The poster has to be between 1 and " + POSTER_MAX_SIZE + " pixels wide and high");
+        }
+        this.brot = brot;
+        this.width = width;
+        this.height = height;
+        this.supersampling = supersampling;
+        this.metadata = metadata;
+    }
+
+    // stops the export before its next tile, render then rejects with an AbortError
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // renders the poster and resolves with the PNG blob
+    async render() {
+        const target = new RenderTarget(this.brot.gl, POSTER_TILE_SIZE, POSTER_TILE_SIZE);
+        try {
+            return await encodePng(this.width, this.height, this.strips(target), this.metadata);
+        } finally {
+            target.delete();
+            // the tiles replaced the iteration target and the reference orbit of the view
+            this.brot.requestDraw();
+        }
+    }
+
+    // renders the tiles row after row, yields the RGB pixels of each row of tiles
+    async *strips(target) {
+        const brot = this.brot;
+        const samples = this.supersampling;
+        // the tiles are rendered at the supersampled resolution, a whole number of samples wide
+        const tileSize = Math.floor(POSTER_TILE_SIZE / samples) * samples;
+        const width = this.width * samples;
+        const height = this.height * samples;
+        const columns = Math.ceil(width / tileSize);
+        const rows = Math.ceil(height / tileSize);
+
+        // the poster frames the view like the canvas does, with its own aspect ratio
+        const origin = { x: brot.viewOrigin.x, y: brot.viewOrigin.y };
+        const range = brot.viewRange;
+        const aspectRatio = this.width / this.height;
+        const visibleFraction = brot.visibleFraction();
+        // every tile is rendered by the shader the whole view is rendered with
+        const deepZoomed = brot.isDeepZoomed();
+
+        for(let row = 0; row < rows; row++) {
+            const top = row * tileSize;
+            const tileHeight = Math.min(tileSize, height - top);
+            const strip = new Uint8Array(this.width * (tileHeight / samples) * 3);
+
+            for(let column = 0; column < columns; column++) {
+                if(this.cancelled) {
+                    throw new DOMException("The poster export was cancelled", "AbortError");
+                }
+
+                const left = column * tileSize;
+                const tileWidth = Math.min(tileSize, width - left);
+                target.resize(tileWidth, tileHeight);
+
+                // position of the tile centre relative to the poster centre
+                const centre = viewPoint(origin, range, aspectRatio,
+                    ((left + tileWidth / 2) / width - 0.5) * visibleFraction,
+                    ((top + tileHeight / 2) / height - 0.5) * visibleFraction
+                );
+                brot.renderRegion(
+                    target,
+                    centre.x,
+                    centre.y,
+                    range.mul(tileHeight / height),
+                    tileWidth / tileHeight,
+                    deepZoomed
+                );
+                this.downsample(target.readPixels(), tileWidth, tileHeight, strip, left / samples);
+
+                if(this.onprogress !== null) {
+                    this.onprogress((row * columns + column + 1) / (rows * columns));
+                }
+                // lets the page update between the tiles
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            yield strip;
+        }
+    }
+
+    // averages the samples of a tile read back bottom row first into the RGB pixels of
+    // the strip, starting at the given column
+    downsample(pixels, tileWidth, tileHeight, strip, left) {
+        const samples = this.supersampling;
+        const count = samples * samples;
+        for(let y = 0; y < tileHeight / samples; y++) {
+            for(let x = 0; x < tileWidth / samples; x++) {
+                let red = 0;
+                let green = 0;
+                let blue = 0;
+                for(let sy = 0; sy < samples; sy++) {
+                    // the framebuffer rows go upward
+                    const line = (tileHeight - 1 - (y * samples + sy)) * tileWidth;
+                    for(let sx = 0; sx < samples; sx++) {
+                        const i = (line + x * samples + sx) * 4;
+                        red += pixels[i];
+                        green += pixels[i + 1];
+                        blue += pixels[i + 2];
+                    }
+                }
+                const o = (y * this.width + left + x) * 3;
+                strip[o] = Math.round(red / count);
+                strip[o + 1] = Math.round(green / count);
+                strip[o + 2] = Math.round(blue / count);
+            }
+        }
+    }
+}
@@ -0,0 +1,96 @@
+// off-screen framebuffer the scene can be rendered into instead of the canvas,
+// its pixels end up in a RGBA texture of bytes, or of another format and attachment
+export class RenderTarget {
+
+    // gl context the framebuffer belongs to
+    gl = null;
+
+    // texture receiving the rendered pixels
+    texture = null;
+
+    // framebuffer object the texture is attached to
+    framebuffer = null;
+
+    // dimensions of the texture in pixels
+    width = 0;
+    height = 0;
+
+    // internal format, format and type the texture is allocated with, and the colour
+    // attachment of the framebuffer it is attached to, the first one unless given
+    format = null;
+
+    // the texture is sampled with the given filter, NEAREST by default, and holds bytes
+    // unless another format is given, such as R32UI integers on WebGL2
+    constructor(gl, width, height, filter = gl.NEAREST, format = null) {
+        this.gl = gl;
+        this.format = format ?? {
+            internalFormat: gl.RGBA,
+            format: gl.RGBA,
+            type: gl.UNSIGNED_BYTE
+        };
+
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        this.framebuffer = gl.createFramebuffer();
+        // the fragment shader outputs go to the draw buffer of their location, the other
+        // attachments of WebGL2 are only written by the outputs of their own location
+        const attachment = this.format.attachment ?? gl.COLOR_ATTACHMENT0;
+        if(attachment !== gl.COLOR_ATTACHMENT0) {
+            const location = attachment - gl.COLOR_ATTACHMENT0;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+            gl.drawBuffers(Array.from({ length: location + 1 }, (_, i) => i === location ? attachment : gl.NONE));
+            gl.readBuffer(attachment);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        }
+        this.resize(width, height);
+    }
+
+    // reallocates the texture if the dimensions changed
+    resize(width, height) {
+        if(width === this.width && height === this.height) return;
+        this.width = width;
+        this.height = height;
+
+        const gl = this.gl;
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(
+            gl.TEXTURE_2D, 0, this.format.internalFormat,
+            width, height, 0,
+            this.format.format, this.format.type, null
+        );
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, this.format.attachment ?? gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    // reads back the RGBA pixels of the target, bottom row first, as floats or unsigned
+    // integers if the texture holds them
+    readPixels() {
+        const gl = this.gl;
+        const size = this.width * this.height * 4;
+        let pixels = new Uint8Array(size);
+        let format = gl.RGBA;
+        if(this.format.type === gl.FLOAT) {
+            pixels = new Float32Array(size);
+        } else if(this.format.type === gl.UNSIGNED_INT) {
+            // the integer textures are read with the integer format
+            pixels = new Uint32Array(size);
+            format = gl.RGBA_INTEGER;
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.readPixels(0, 0, this.width, this.height, format, this.format.type, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return pixels;
+    }
+
+    // releases the gl objects of the target
+    delete() {
+        this.gl.deleteFramebuffer(this.framebuffer);
+        this.gl.deleteTexture(this.texture);
+    }
+}
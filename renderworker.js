@@ -0,0 +1,19 @@
+import { getFormula } from "./formulas.js";
+import { renderTile } from "./escapetime.js";
+
+// renders the tiles posted by CPUBrot. a message holds the generation of the frame, the
+// view, the canvas dimensions and the tile, the smoothed iterations are posted back with
+// the same generation so the tiles of an outdated frame can be told apart, along with the
+// basins of the pixels for the formulas having basins, null otherwise
+self.onmessage = event => {
+    const { generation, view, width, height, tile } = event.data;
+    try {
+        const formula = getFormula(view.formula);
+        const basins = formula.basin === null ? null : new Float32Array(tile.width * tile.height);
+        const iterations = renderTile(formula, view, width, height, tile, basins);
+        const transfer = basins === null ? [iterations.buffer] : [iterations.buffer, basins.buffer];
+        self.postMessage({ generation: generation, tile: tile, iterations: iterations, basins: basins }, transfer);
+    } catch(error) {
+        self.postMessage({ generation: generation, tile: tile, error: error.message });
+    }
+};
@@ -0,0 +1,165 @@
+// quality of the frames drawn while the view moves: half the resolution and half the iterations
+export const INTERACTIVE_QUALITY = {
+    resolution: 0.5,
+    iterations: 0.5
+};
+// quality of the frames drawn at the resolution of the canvas
+export const FULL_QUALITY = {
+    resolution: 1.0,
+    iterations: 1.0
+};
+// quality the settled view is refined to, averaging 2×2 samples per pixel
+export const SUPERSAMPLED_QUALITY = {
+    resolution: 2.0,
+    iterations: 1.0
+};
+// time without input after which the view is considered settled, in milliseconds
+export const SETTLE_DELAY = 200;
+// number of samples per pixel of the jittered anti-aliasing
+export const JITTER_SAMPLES = 16;
+// generator of the R2 low-discrepancy sequence, the plastic number
+const R2_GENERATOR = 1.32471795724474602596;
+
+// subpixel offset of the jittered sample of the given index, between -0.5 and 0.5 pixel
+// on each axis. the offsets follow the R2 sequence so the first samples already cover
+// the pixel evenly, the first one is its centre
+export function jitterOffset(index) {
+    const fraction = value => value - Math.floor(value);
+    return {
+        x: fraction(0.5 + index / R2_GENERATOR) - 0.5,
+        y: fraction(0.5 + index / (R2_GENERATOR * R2_GENERATOR)) - 0.5
+    };
+}
+
+// qualities the settled view is refined through after the full quality frame, by
+// anti-aliasing mode: none, supersampled 2×2 or 3×3 grids, or jittered samples averaged
+// one per frame
+export const ANTIALIASING_REFINEMENTS = {
+    none: [],
+    "2x2": [SUPERSAMPLED_QUALITY],
+    "3x3": [{
+        resolution: 3.0,
+        iterations: 1.0
+    }],
+    jittered: Array.from({ length: JITTER_SAMPLES }, (_, sample) => ({
+        resolution: 1.0,
+        iterations: 1.0,
+        jitter: jitterOffset(sample),
+        sample: sample
+    }))
+};
+
+// resolves at the next animation frame
+function nextFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+// coalesces the draw requests of a Brot into one draw per animation frame. coarse frames
+// are drawn while the user moves the view, once it settles the view is refined through
+// higher qualities, one per animation frame so new input cancels the refinement
+export class RenderScheduler {
+
+    // Brot whose draws are scheduled
+    brot = null;
+
+    // qualities the settled view is drawn with, in order
+    refinements = [FULL_QUALITY, SUPERSAMPLED_QUALITY];
+
+    // "rendering" until the view is drawn with the last refinement, "done" then
+    state = "done";
+
+    // callback called with the state whenever it changes
+    onstatechange = null;
+
+    // callback called once the view is drawn with the last refinement, it may request
+    // another draw of the view, from the statistics of the frames for instance
+    onsettle = null;
+
+    // callback called with the error a frame failed to draw with, the errors are thrown
+    // from the animation frame when it is null
+    onerror = null;
+
+    // animation frame request of the next draw, null when none is pending
+    frameRequest = null;
+
+    // timer settling the view after the last interactive request, null once settled
+    settleTimer = null;
+
+    // number of the last request, the refinement of a previous request stops at its next step
+    generation = 0;
+
+    constructor(brot) {
+        this.brot = brot;
+    }
+
+    // draws the view at the next animation frame, the interactive requests come from
+    // the user moving the view and are drawn coarsely until it settles
+    request(interactive = false) {
+        if(interactive) {
+            clearTimeout(this.settleTimer);
+            this.settleTimer = setTimeout(() => {
+                this.settleTimer = null;
+                this.request();
+            }, SETTLE_DELAY);
+        }
+        this.generation++;
+        this.setState("rendering");
+        if(this.frameRequest === null) {
+            this.frameRequest = requestAnimationFrame(() => this.render());
+        }
+    }
+
+    // drops the pending draw and stops the refinement in progress, the view stays as
+    // drawn until the next request
+    cancel() {
+        if(this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        clearTimeout(this.settleTimer);
+        this.settleTimer = null;
+        this.generation++;
+        this.setState("done");
+    }
+
+    // draws the requested frame, then refines it if the view settled. a frame failing
+    // to draw ends the refinement, the view stays as drawn until the next request
+    async render() {
+        this.frameRequest = null;
+        const generation = this.generation;
+        try {
+            if(this.settleTimer !== null) {
+                await this.brot.drawScene(INTERACTIVE_QUALITY);
+                return;
+            }
+
+            for(const quality of this.refinements) {
+                // the renderers drawing asynchronously resolve once the frame is complete
+                await this.brot.drawScene(quality);
+                await nextFrame();
+                if(generation !== this.generation) return;
+            }
+            if(this.onsettle !== null) {
+                this.onsettle();
+                if(generation !== this.generation) return;
+            }
+        } catch(error) {
+            // the requests made since are drawn anew
+            if(generation === this.generation) {
+                this.setState("done");
+            }
+            if(this.onerror === null) throw error;
+            this.onerror(error);
+            return;
+        }
+        this.setState("done");
+    }
+
+    setState(state) {
+        if(state === this.state) return;
+        this.state = state;
+        if(this.onstatechange !== null) {
+            this.onstatechange(state);
+        }
+    }
+}
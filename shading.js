@@ -0,0 +1,90 @@
+// shading algorithms of the escape time shader, by identifier: the number the shader
+// knows it by, its label in the settings and whether it needs the derivative of the formula
+export const SHADING_MODES = {
+    escape: { id: 0, name: "Escape time", derivative: false },
+    distance: { id: 1, name: "Distance estimation", derivative: true },
+    lighting: { id: 2, name: "3D lighting", derivative: true },
+    trap: { id: 3, name: "Orbit trap", derivative: false }
+};
+// shapes of the orbit traps, by identifier, with the number the shader knows them by
+export const ORBIT_TRAPS = {
+    point: 0,
+    line: 1,
+    cross: 2
+};
+// direction of the light in degrees counterclockwise from the real axis, and its height
+// above the plane relative to the length of the surface normals
+export const DEFAULT_LIGHT = {
+    angle: 45.0,
+    height: 1.5
+};
+// shape of the orbit trap, position of its centre in the complex plane and angle of the
+// line trap in degrees
+export const DEFAULT_TRAP = {
+    shape: "point",
+    x: 0.0,
+    y: 0.0,
+    angle: 0.0
+};
+// width in pixels over which the boundary of the set fades into the palette in the
+// distance estimation shading
+const BOUNDARY_WIDTH = 2.0;
+// distance to the orbit trap over which the palette is spread once
+const TRAP_SCALE = 0.5;
+
+// shading of the escape time shader, built on the colouring functions: the distance
+// estimation draws the boundary of the set from the derivative dz of the orbit, the
+// lighting turns the potential into a surface lit from the light direction and the orbit
+// traps colour the pixels by the closest their orbit came to a point, a line or a cross
+export const SHADING_GLSL = `
+    uniform int uShading;
+    // complex size of a pixel of the render target
+    uniform float uPixelSize;
+    uniform float uLightAngle;
+    uniform float uLightHeight;
+    uniform int uTrapShape;
+    uniform vec2 uTrapCenter;
+    uniform float uTrapAngle;
+
+    // distance of a point of the orbit to the orbit trap
+    float trapDistance(vec2 z) {
+        vec2 offset = z - uTrapCenter;
+        if(uTrapShape == ${ORBIT_TRAPS.line}) {
+            return abs(dot(offset, vec2(-sin(uTrapAngle), cos(uTrapAngle))));
+        }
+        if(uTrapShape == ${ORBIT_TRAPS.cross}) {
+            return min(abs(offset.x), abs(offset.y));
+        }
+        return length(offset);
+    }
+
+    // estimated distance to the set of a point escaped with the value z and the derivative dz
+    float distanceEstimate(vec2 z, vec2 dz) {
+        float modulus = length(z);
+        return 0.5 * modulus * log(modulus) / length(dz);
+    }
+
+    // colour of a pixel in the shading mode, the iteration counts are output as is
+    vec4 shade(bool escaped, float iteration, float maxIterations, vec2 z, vec2 dz, float trap) {
+        if(uOutputIterations || uShading == ${SHADING_MODES.escape.id}) {
+            return colorize(escaped, iteration, maxIterations);
+        }
+        // the interior points get their colour from the trap too
+        if(uShading == ${SHADING_MODES.trap.id}) {
+            return vec4(paletteColor(1.0 - exp(-trap / ${TRAP_SCALE.toFixed(1)})), 1.0);
+        }
+        if(!escaped) return vec4(uInteriorColor, 1.0);
+
+        vec3 color = paletteColor(iteration / maxIterations);
+        if(uShading == ${SHADING_MODES.distance.id}) {
+            float pixels = distanceEstimate(z, dz) / uPixelSize;
+            return vec4(mix(uInteriorColor, color, clamp(sqrt(pixels / ${BOUNDARY_WIDTH.toFixed(1)}), 0.0, 1.0)), 1.0);
+        }
+
+        // the normal of the surface points along z / dz
+        vec2 normal = normalize(complexDiv(z, dz));
+        vec2 light = vec2(cos(uLightAngle), sin(uLightAngle));
+        float brightness = (dot(normal, light) + uLightHeight) / (1.0 + uLightHeight);
+        return vec4(color * clamp(brightness, 0.0, 1.0), 1.0);
+    }
+`;
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Brot } from "../brot.js";
+import { BigFloat } from "../bigfloat.js";
+import { BOOKMARKS_STORAGE_KEY, BookmarkLibrary } from "../bookmarks.js";
+
+// in-memory stand-in of the local storage
+class MemoryStorage {
+    items = new Map();
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+}
+
+test("the bookmarks round-trip through their JSON", () => {
+    const brot = new Brot({});
+    const defaults = brot.getState();
+    brot.viewOrigin = { x: BigFloat.fromNumber(-0.75), y: BigFloat.fromNumber(0.1) };
+    brot.viewRange = BigFloat.fromNumber(0.01);
+    brot.maxIter = 700;
+    brot.escapeVal = 8.0;
+    brot.paletteOffset = 0.25;
+
+    const library = new BookmarkLibrary();
+    library.add("Seahorse valley", brot.getState(), "data:image/jpeg;base64,AAAA", "2024-01-01T00:00:00.000Z");
+    library.add("Home", defaults, "javascript:alert(1)");
+
+    const read = BookmarkLibrary.fromJSON(JSON.parse(JSON.stringify(library)), defaults);
+    assert.equal(read.bookmarks.length, 2);
+    const [seahorse, home] = read.bookmarks;
+    assert.equal(seahorse.name, "Seahorse valley");
+    assert.equal(seahorse.created, "2024-01-01T00:00:00.000Z");
+    assert.equal(seahorse.thumbnail, "data:image/jpeg;base64,AAAA");
+    assert.equal(seahorse.state.x.toNumber(), -0.75);
+    assert.equal(seahorse.state.range.toNumber(), 0.01);
+    assert.equal(seahorse.state.maxIter, 700);
+    assert.equal(seahorse.state.escape, 8.0);
+    assert.equal(seahorse.state.paletteOffset, 0.25);
+    // only images are kept as thumbnails
+    assert.equal(home.thumbnail, "");
+
+    assert.throws(() => BookmarkLibrary.fromJSON({ keyframes: [] }, defaults), SyntaxError);
+    assert.throws(() => BookmarkLibrary.fromJSON({ bookmarks: [{ view: "" }] }, defaults), SyntaxError);
+    assert.throws(() => BookmarkLibrary.fromJSON({ bookmarks: [{ name: "Bad", view: "iter=-1" }] }, defaults));
+});
+
+test("the bookmarks are kept in the storage", () => {
+    const defaults = new Brot({}).getState();
+    const storage = new MemoryStorage();
+    assert.deepEqual(BookmarkLibrary.load(storage, defaults).bookmarks, []);
+
+    const library = new BookmarkLibrary();
+    library.add("First", defaults, "");
+    library.add("Second", defaults, "");
+    library.rename(1, "Renamed");
+    library.remove(0);
+    library.save(storage);
+    assert.ok(storage.getItem(BOOKMARKS_STORAGE_KEY) !== null);
+
+    const loaded = BookmarkLibrary.load(storage, defaults);
+    assert.deepEqual(loaded.bookmarks.map(bookmark => bookmark.name), ["Renamed"]);
+    loaded.merge(library);
+    assert.equal(loaded.bookmarks.length, 2);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { copyText } from "../clipboard.js";
+
+// button recording the text it shows
+function recordingButton(label) {
+    return { textContent: label, dataset: {} };
+}
+
+// replaces the clipboard of the navigator for a test
+function stubClipboard(t, clipboard) {
+    const previous = Object.getOwnPropertyDescriptor(globalThis, "navigator");
+    Object.defineProperty(globalThis, "navigator", { value: { clipboard: clipboard }, configurable: true, writable: true });
+    t.after(() => {
+        if(previous === undefined) {
+            delete globalThis.navigator;
+        } else {
+            Object.defineProperty(globalThis, "navigator", previous);
+        }
+    });
+}
+
+test("the copy buttons tell whether the text was copied", async t => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const copied = [];
+    stubClipboard(t, { writeText: async text => copied.push(text) });
+    const button = recordingButton("Copy link");
+    assert.equal(await copyText(button, "https://example.com/#x=0"), true);
+    assert.deepEqual(copied, ["https://example.com/#x=0"]);
+    assert.equal(button.textContent, "Copied!");
+    t.mock.timers.tick(1500);
+    assert.equal(button.textContent, "Copy link");
+});
+
+test("a refused or missing clipboard is told without a rejection", async t => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    stubClipboard(t, { writeText: async () => { throw new DOMException("Document is not focused", "NotAllowedError"); } });
+    const button = recordingButton("Copy");
+    assert.equal(await copyText(button, "-0.75 + 0.1i"), false);
+    assert.equal(button.textContent, "Copy failed");
+
+    // the insecure origins have no clipboard at all
+    navigator.clipboard = undefined;
+    assert.equal(await copyText(button, "-0.75 + 0.1i"), false);
+    t.mock.timers.tick(1500);
+    assert.equal(button.textContent, "Copy");
+});
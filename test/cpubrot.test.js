@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { CPUBrot } from "../cpubrot.js";
+import { getFormula, registerFormula } from "../formulas.js";
+
+// Web Worker renderer of a canvas, sized 512 by 256 pixels on screen, whose workers record
+// the tiles posted to them
+function recordingBrot(t) {
+    const globals = {
+        Worker: class {
+            tiles = [];
+            postMessage(message) {
+                this.tiles.push(message);
+            }
+        },
+        OffscreenCanvas: class {
+            getContext() {
+                return {};
+            }
+        },
+        navigator: { hardwareConcurrency: 2 }
+    };
+    const previous = {};
+    for(const [name, value] of Object.entries(globals)) {
+        previous[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+        Object.defineProperty(globalThis, name, { value: value, configurable: true, writable: true });
+    }
+    t.after(() => {
+        for(const [name, descriptor] of Object.entries(previous)) {
+            if(descriptor === undefined) {
+                delete globalThis[name];
+            } else {
+                Object.defineProperty(globalThis, name, descriptor);
+            }
+        }
+    });
+    return new CPUBrot({ getContext: () => ({}), clientWidth: 512, clientHeight: 256, width: 512, height: 256 });
+}
+
+test("the formulas registered at runtime cannot be rendered by the workers", t => {
+    const brot = recordingBrot(t);
+    registerFormula({
+        id: "runtime-cubic",
+        name: "Runtime cubic",
+        iterate: "z = complexMul(complexSquare(z), z) + c;",
+        cpu: {
+            iterate(z, c) {
+                const x = z.x * z.x * z.x - 3.0 * z.x * z.y * z.y + c.x;
+                z.y = 3.0 * z.x * z.x * z.y - z.y * z.y * z.y + c.y;
+                z.x = x;
+            }
+        }
+    });
+    assert.throws(() => brot.setFormula("runtime-cubic"), RangeError);
+    assert.equal(brot.formula.id, "mandelbrot");
+    // the built-in formulas still can
+    brot.useFormula(getFormula("burning-ship"));
+    assert.equal(brot.formula.id, "burning-ship");
+});
+
+test("the first tile error fails the frame and stops its tiles", async t => {
+    globalThis.requestAnimationFrame = () => 0;
+    t.after(() => delete globalThis.requestAnimationFrame);
+    const brot = recordingBrot(t);
+    const [first, second] = brot.workers;
+    const frame = brot.drawScene();
+    const generation = brot.generation;
+    assert.equal(first.tiles.length + second.tiles.length, 2);
+
+    brot.receiveTile(first, { generation: generation, tile: first.tiles[0].tile, error: "Unknown formula: runtime" });
+    await assert.rejects(frame, /Unknown formula: runtime/);
+    // the tile still being rendered is dropped, no tile is posted anymore
+    brot.receiveTile(second, { generation: generation, tile: second.tiles[0].tile, error: "Unknown formula: runtime" });
+    assert.equal(first.tiles.length + second.tiles.length, 2);
+    assert.equal(brot.idleWorkers.length, 2);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BigFloat } from "../bigfloat.js";
+import { ReferenceOrbit, perturbedOrbit, perturbationSource } from "../deepzoom.js";
+
+// bits of the exact orbits, far below the views checked
+const EXACT_BITS = 400;
+
+// nucleus of the period 3 minibrot on the real axis, refined by Newton's method from its
+// double precision value, the orbit of the nucleus comes back to zero every 3 iterations
+function periodThreeNucleus() {
+    let c = BigFloat.fromNumber(-1.7548776662466927);
+    for(let step = 0; step < 8; step++) {
+        let z = BigFloat.fromNumber(0.0);
+        let derivative = BigFloat.fromNumber(0.0);
+        for(let i = 0; i < 3; i++) {
+            derivative = z.mul(derivative, EXACT_BITS).shift(1).add(BigFloat.fromNumber(1.0));
+            z = z.mul(z, EXACT_BITS).add(c);
+        }
+        c = c.sub(BigFloat.fromNumber(z.toNumber() / derivative.toNumber()));
+    }
+    return c;
+}
+
+test("the deep orbits near a minibrot are rebased and follow the exact orbits", () => {
+    // the reference point is off the nucleus, its orbit comes back to about 1e-30 every 3
+    // iterations: its square underflows a float, not the orbit point itself
+    const exponent = -100;
+    const nucleus = periodThreeNucleus();
+    const referencePoint = nucleus.add(BigFloat.fromNumber(0.4).shift(exponent));
+    const orbit = new ReferenceOrbit(referencePoint, BigFloat.fromNumber(0.0), 100, 64 - exponent);
+
+    // pixels around the nucleus, whose orbits come back much closer to zero
+    for(const dc of [{ x: -0.39999, y: 0.0 }, { x: -0.4, y: 3e-6 }, { x: -0.40002, y: 1e-5 }]) {
+        const result = perturbedOrbit(orbit, dc, exponent, 90, 2.0);
+        assert.ok(!result.escaped);
+
+        const cx = referencePoint.add(BigFloat.fromNumber(dc.x).shift(exponent));
+        const cy = BigFloat.fromNumber(dc.y).shift(exponent);
+        let x = BigFloat.fromNumber(0.0);
+        let y = BigFloat.fromNumber(0.0);
+        let rebases = 0;
+        result.points.forEach((point, i) => {
+            [x, y] = [
+                x.mul(x, EXACT_BITS).sub(y.mul(y, EXACT_BITS)).add(cx),
+                x.mul(y, EXACT_BITS).shift(1).add(cy)
+            ];
+            if(i > 0 && point.reference <= result.points[i - 1].reference) rebases++;
+
+            // z = Z + w * 2^s, within 2^-6 of the exact point
+            const px = BigFloat.fromNumber(orbit.data[point.reference * 4]).add(BigFloat.fromNumber(point.w.x).shift(point.s));
+            const py = BigFloat.fromNumber(orbit.data[point.reference * 4 + 1]).add(BigFloat.fromNumber(point.w.y).shift(point.s));
+            const magnitude = Math.max(x.abs().ilog2(), y.abs().ilog2());
+            const error = Math.max(px.sub(x).abs().ilog2(), py.sub(y).abs().ilog2());
+            assert.ok(error - magnitude < -6, "iteration " + i);
+        });
+        // the orbits passing closer to zero than to the reference are rebased every period
+        assert.equal(rebases, 30);
+    }
+});
+
+test("the perturbation shader shades the deep views like the formula shader", () => {
+    const source = perturbationSource(500);
+    assert.match(source, /uniform int uShading;/);
+    // the derivative and the trap are followed in the loop and handed to the shading
+    assert.match(source, /v = 2\.0 \* complexMul\(z, v\) \+ vec2\(exp2\(-t\), 0\.0\);/);
+    assert.match(source, /trap = min\(trap, trapDistance\(z\)\);/);
+    assert.match(source, /gl_FragColor = shade\(escaped, iteration, float\(uMaxIterations\), z, dz, trap\);/);
+});
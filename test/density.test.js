@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { getFormula } from "../formulas.js";
+import { visibleFraction } from "../view.js";
+import { DensityRenderer, accumulateOrbits, toneMapCounts } from "../density.js";
+
+test("the escaping orbits are counted in the channels they escape within", () => {
+    // c = 1 escapes at the third iteration through 1, 2 and 5, one unit per pixel
+    const view = {
+        x: 2.0,
+        y: 0.0,
+        range: 8.0 / visibleFraction(),
+        aspectRatio: 1.0,
+        limits: [2, 3, 1000],
+        escape: 2.0,
+        julia: false,
+        juliaC: { x: 0.0, y: 0.0 },
+        parameters: [],
+        region: { x: 1.0, y: 0.0, size: 0.0 }
+    };
+    const counts = new Uint32Array(8 * 8 * 3);
+    accumulateOrbits(getFormula("mandelbrot"), view, 8, 8, counts, 2);
+
+    const row = 4 * 8 * 3;
+    for(const column of [3, 4, 7]) {
+        assert.deepEqual(Array.from(counts.subarray(row + column * 3, row + column * 3 + 3)), [0, 2, 2]);
+    }
+    assert.equal(counts.reduce((sum, count) => sum + count, 0), 12);
+
+    // the points of the main cardioid are not even followed
+    counts.fill(0);
+    accumulateOrbits(getFormula("mandelbrot"), { ...view, region: { x: 0.0, y: 0.0, size: 0.0 } }, 8, 8, counts, 10);
+    assert.equal(counts.reduce((sum, count) => sum + count, 0), 0);
+});
+
+test("the counts are painted relative to the largest count of their channel", () => {
+    const counts = new Uint32Array([
+        4, 0, 100,
+        1, 0, 20
+    ]);
+    const linear = toneMapCounts(counts, "linear");
+    assert.deepEqual(Array.from(linear), [255, 0, 255, 255, 64, 0, 51, 255]);
+    const sqrt = toneMapCounts(counts, "sqrt");
+    assert.equal(sqrt[4], 128);
+    const log = toneMapCounts(counts, "log");
+    assert.equal(log[6], Math.round(Math.log1p(20) / Math.log1p(100) * 255));
+    assert.throws(() => toneMapCounts(counts, "gamma"), RangeError);
+});
+
+// worker recording the batches posted to it
+function recordingWorker() {
+    return {
+        batches: [],
+        postMessage(message) {
+            this.batches.push(message);
+        }
+    };
+}
+
+test("the sampling of a view stops on the first error of its batches", () => {
+    const density = new DensityRenderer({ getContext: () => ({}) });
+    const workers = [recordingWorker(), recordingWorker()];
+    density.mode = "buddhabrot";
+    density.frame = { formula: "runtime" };
+    density.counts = new Uint32Array(3);
+    const errors = [];
+    const progress = [];
+    density.onerror = message => errors.push(message);
+    density.onprogress = samples => progress.push(samples);
+    const generation = density.generation;
+
+    // both workers were sampling the view when the first one failed
+    density.receiveBatch(workers[0], { generation: generation, error: "Unknown formula: runtime" });
+    density.receiveBatch(workers[1], { generation: generation, counts: new Uint32Array([1, 1, 1]), samples: 1000 });
+    assert.deepEqual(errors, ["Unknown formula: runtime"]);
+    assert.deepEqual(progress, []);
+    assert.deepEqual(Array.from(density.counts), [0, 0, 0]);
+
+    // no batch is posted again until the view changes
+    density.setPaused(false);
+    assert.deepEqual(workers.map(worker => worker.batches.length), [0, 0]);
+    assert.equal(density.idleWorkers.length, 2);
+});
@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+
+import {
+    NOT_ESCAPED, escapeIteration, renderIterations, formulaDegree, formulaIteration, formulaOrbit, renderTile
+} from "../escapetime.js";
+import { FORMULAS, MAX_SHADER_ITERATIONS, getFormula } from "../formulas.js";
+
+// directory of the reference iteration buffers, stored as binary PGM images
+const GOLDEN_DIRECTORY = new URL("./golden/", import.meta.url);
+
+// views rendered and compared with their reference image
+const GOLDEN_VIEWS = {
+    "mandelbrot": {
+        view: { x: 0.0, y: 0.0, range: 8.0, maxIter: 40, escape: 2.0, aspectRatio: 16 / 9 },
+        width: 96,
+        height: 54
+    },
+    "seahorse-valley": {
+        view: { x: -0.745, y: 0.11, range: 0.02, maxIter: 200, escape: 2.0, aspectRatio: 16 / 9 },
+        width: 96,
+        height: 54
+    },
+    "julia": {
+        view: {
+            x: 0.0, y: 0.0, range: 4.0, maxIter: 100, escape: 2.0, aspectRatio: 1.0,
+            julia: true,
+            juliaC: { x: -0.8, y: 0.156 }
+        },
+        width: 64,
+        height: 64
+    }
+};
+
+// gray levels of an iteration buffer: 0 inside the set, the escape iteration plus one outside
+function toPgm(iterations, width, height) {
+    const header = Buffer.from("P5\n" + width + " " + height + "\n255\n", "latin1");
+    const pixels = Buffer.from(iterations.map(iteration => iteration === NOT_ESCAPED ? 0 : Math.min(255, iteration + 1)));
+    return Buffer.concat([header, pixels]);
+}
+
+for(const [name, { view, width, height }] of Object.entries(GOLDEN_VIEWS)) {
+    test("renders the " + name + " view like its reference image", t => {
+        const image = toPgm(renderIterations(view, width, height), width, height);
+        const file = new URL(name + ".pgm", GOLDEN_DIRECTORY);
+
+        // the reference images are written again when UPDATE_GOLDEN is set
+        if(process.env.UPDATE_GOLDEN || !existsSync(file)) {
+            mkdirSync(GOLDEN_DIRECTORY, { recursive: true });
+            writeFileSync(file, image);
+            t.diagnostic("wrote " + file.pathname);
+            return;
+        }
+        assert.deepEqual(image, readFileSync(file));
+    });
+}
+
+test("points escape at the iteration the shader loop breaks at", () => {
+    // 0, 1, 2, 5: the orbit passes the escape radius on the third step
+    assert.equal(escapeIteration(0, 0, 1, 0, 40, 2.0), 2);
+    assert.equal(escapeIteration(0, 0, 3, 0, 40, 2.0), 0);
+});
+
+test("points of the set never escape", () => {
+    assert.equal(escapeIteration(0, 0, 0, 0, 40, 2.0), NOT_ESCAPED);
+    assert.equal(escapeIteration(0, 0, -1, 0, 40, 2.0), NOT_ESCAPED);
+    // the orbit of -2 stays on the escape radius without crossing it
+    assert.equal(escapeIteration(0, 0, -2, 0, 40, 2.0), NOT_ESCAPED);
+});
+
+test("the maximum iteration is capped by the shader loop", () => {
+    assert.equal(escapeIteration(0, 0, 0.25, 0, MAX_SHADER_ITERATIONS * 2, 2.0), NOT_ESCAPED);
+    // c = 0.26 escapes after about thirty iterations
+    const iteration = escapeIteration(0, 0, 0.26, 0, MAX_SHADER_ITERATIONS, 2.0);
+    assert.equal(escapeIteration(0, 0, 0.26, 0, iteration, 2.0), iteration);
+    assert.equal(escapeIteration(0, 0, 0.26, 0, iteration - 1, 2.0), NOT_ESCAPED);
+});
+
+test("the iteration buffer starts at the top left of the canvas", () => {
+    const view = { x: 0.0, y: 0.0, range: 8.0, maxIter: 40, escape: 2.0, aspectRatio: 2.0 };
+    const iterations = renderIterations(view, 9, 5);
+    assert.equal(iterations.length, 45);
+    // the corners of the default view are far outside the set
+    assert.equal(iterations[0], 0);
+    // the centre of the view is inside
+    assert.equal(iterations[2 * 9 + 4], NOT_ESCAPED);
+});
+
+test("julia sets use the pixel as starting point", () => {
+    const view = {
+        x: 0.0, y: 0.0, range: 4.0, maxIter: 40, escape: 2.0, aspectRatio: 1.0,
+        julia: true,
+        juliaC: { x: 0.0, y: 0.0 }
+    };
+    // the julia set of 0 is the unit disk
+    const iterations = renderIterations(view, 9, 9);
+    assert.equal(iterations[4 * 9 + 4], NOT_ESCAPED);
+    assert.notEqual(iterations[0], NOT_ESCAPED);
+});
+
+// view of the fallback renderer without smooth colouring, so its iterations are whole
+const CPU_VIEW = {
+    x: 0.0, y: 0.0, range: 8.0, maxIter: 40, escape: 2.0, aspectRatio: 2.0,
+    julia: false,
+    juliaC: { x: 0.0, y: 0.0 },
+    parameters: [],
+    smoothColoring: false
+};
+
+test("every built-in formula can be rendered without WebGL", () => {
+    for(const formula of FORMULAS.values()) {
+        assert.equal(typeof formula.cpu.iterate, "function", formula.id);
+    }
+});
+
+test("the fallback renderer escapes where the shader does", () => {
+    const mandelbrot = getFormula("mandelbrot");
+    for(const [cx, cy] of [[1, 0], [3, 0], [0.26, 0], [-0.75, 0.2], [0, 0], [-1, 0]]) {
+        assert.equal(
+            formulaIteration(mandelbrot, cx, cy, CPU_VIEW),
+            escapeIteration(0, 0, cx, cy, CPU_VIEW.maxIter, CPU_VIEW.escape)
+        );
+    }
+});
+
+test("smoothed iterations stay between the escape iteration and the next one", () => {
+    const view = { ...CPU_VIEW, escape: 256.0, smoothColoring: true };
+    const iteration = formulaIteration(getFormula("mandelbrot"), 0.3, 0.5, view);
+    const escape = formulaIteration(getFormula("mandelbrot"), 0.3, 0.5, { ...view, smoothColoring: false });
+    assert.ok(iteration >= escape && iteration <= escape + 1, iteration + " " + escape);
+});
+
+test("the degree of a formula can be one of its parameters", () => {
+    assert.equal(formulaDegree(getFormula("mandelbrot"), []), 2.0);
+    assert.equal(formulaDegree(getFormula("multibrot"), [4.5]), 4.5);
+    assert.equal(formulaDegree(getFormula("newton"), [0.001]), null);
+});
+
+test("newton's method settles on a root of z³ - 1", () => {
+    const view = { ...CPU_VIEW, parameters: [0.001] };
+    const iteration = formulaIteration(getFormula("newton"), 0.9, 0.1, view);
+    assert.ok(iteration > 0 && iteration < 10, iteration.toString());
+});
+
+test("newton's method colours each root by its own basin", () => {
+    const newton = getFormula("newton");
+    const view = { ...CPU_VIEW, parameters: [0.001] };
+    // points next to each of the three roots settle on it
+    const basins = [0, 2 * Math.PI / 3, -2 * Math.PI / 3].map(angle => {
+        const orbit = formulaOrbit(newton, 0.9 * Math.cos(angle), 0.9 * Math.sin(angle), view);
+        assert.notEqual(orbit.iteration, NOT_ESCAPED);
+        return newton.cpu.basin(orbit.z);
+    });
+    assert.deepEqual(basins, [0, 1 / 3, 2 / 3]);
+});
+
+test("a tile holds the pixels of its region of the canvas", () => {
+    const mandelbrot = getFormula("mandelbrot");
+    const whole = renderTile(mandelbrot, CPU_VIEW, 9, 5, { x: 0, y: 0, width: 9, height: 5 });
+    const tile = renderTile(mandelbrot, CPU_VIEW, 9, 5, { x: 3, y: 1, width: 4, height: 3 });
+    for(let row = 0; row < 3; row++) {
+        assert.deepEqual(tile.subarray(row * 4, row * 4 + 4), whole.subarray((row + 1) * 9 + 3, (row + 1) * 9 + 7));
+    }
+    // the centre of the view is inside, the corners far outside
+    assert.equal(whole[2 * 9 + 4], NOT_ESCAPED);
+    assert.equal(whole[0], 0);
+});
+
+test("the iteration cap of the renderers can go past the default shader loop", () => {
+    const mandelbrot = getFormula("mandelbrot");
+    // a point right of the cusp of the cardioid escapes after about π / √0.000004 iterations
+    const view = { ...CPU_VIEW, maxIter: 5000 };
+    assert.equal(formulaIteration(mandelbrot, 0.250004, 0, view), NOT_ESCAPED);
+    const iteration = formulaIteration(mandelbrot, 0.250004, 0, { ...view, iterationCap: 5000 });
+    assert.ok(iteration > MAX_SHADER_ITERATIONS && iteration < 5000, iteration.toString());
+});
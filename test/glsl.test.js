@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { glsl300, iterationLoop } from "../glsl.js";
+import { VS_SOURCE, SCALE_FS_SOURCE } from "../mandelbrot.js";
+import { cumulativeDistribution } from "../histogram.js";
+
+test("vertex shaders are translated to GLSL ES 3.00", () => {
+    const source = glsl300(VS_SOURCE, "vertex");
+    assert.ok(source.startsWith("#version 300 es\n"));
+    assert.match(source, /\bin vec4 aVertexPosition;/);
+    assert.match(source, /\bout vec2 vTextureCoord;/);
+    assert.doesNotMatch(source, /\b(attribute|varying)\b/);
+});
+
+test("fragment shaders write a declared output with the macros defined", () => {
+    const source = glsl300(SCALE_FS_SOURCE, "fragment", ["INTEGER_ITERATIONS"]);
+    assert.ok(source.startsWith("#version 300 es\n#define INTEGER_ITERATIONS\n"));
+    assert.match(source, /layout\(location = 0\) out vec4 fragColor;/);
+    assert.match(source, /fragColor = texture\(uScene/);
+    assert.doesNotMatch(source, /\b(gl_FragColor|texture2D)\b/);
+    assert.throws(() => glsl300(SCALE_FS_SOURCE, "compute"), RangeError);
+});
+
+test("the iteration loops are bounded by a constant unless the cap is null", () => {
+    assert.match(iterationLoop(500), /i < 500;[\s\S]*if\(i > uIterationLimit\) break;/);
+    assert.equal(iterationLoop(null), "for(int i = 0; i <= uIterationLimit; i++) {");
+});
+
+test("integer iteration counts have the distribution of the packed ones", () => {
+    // counts packed in the red byte alone
+    const reds = [51, 102, 102, 204];
+    const integers = new Uint32Array(reds.length * 4 + 4);
+    const bytes = new Uint8Array(reds.length * 4 + 4);
+    reds.forEach((red, i) => {
+        integers.set([0x80000000 + red / 255 * 0x80000000, 0, 0, 1], i * 4);
+        bytes.set([red, 0, 0, 255], i * 4);
+    });
+    // the last pixel is inside the set
+    integers[reds.length * 4] = 0x40000000;
+    bytes[reds.length * 4] = 128;
+    assert.deepEqual(cumulativeDistribution(integers), cumulativeDistribution(bytes));
+});
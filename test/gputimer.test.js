@@ -0,0 +1,141 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { GpuTimer } from "../gputimer.js";
+
+// WebGL1 context whose timer query extension records the queries, their results are
+// made available by the tests
+function recordingContext() {
+    const extension = {
+        TIME_ELAPSED_EXT: 0x88bf,
+        QUERY_RESULT_EXT: 0x8866,
+        QUERY_RESULT_AVAILABLE_EXT: 0x8867,
+        GPU_DISJOINT_EXT: 0x8fbb,
+        queries: [],
+        deleted: [],
+        createQueryEXT() {
+            const query = { available: false, time: 0 };
+            this.queries.push(query);
+            return query;
+        },
+        beginQueryEXT() {},
+        endQueryEXT() {},
+        getQueryObjectEXT(query, parameter) {
+            return parameter === this.QUERY_RESULT_AVAILABLE_EXT ? query.available : query.time;
+        },
+        deleteQueryEXT(query) {
+            this.deleted.push(query);
+        }
+    };
+    const gl = {
+        lost: false,
+        disjoint: false,
+        getExtension: () => extension,
+        isContextLost() {
+            return this.lost;
+        },
+        getParameter(parameter) {
+            return parameter === extension.GPU_DISJOINT_EXT ? this.disjoint : null;
+        }
+    };
+    return { gl: gl, extension: extension };
+}
+
+// animation frames run by hand, the callbacks still requested by their id
+function manualFrames(t) {
+    const frames = new Map();
+    let nextId = 1;
+    globalThis.requestAnimationFrame = callback => {
+        frames.set(nextId, callback);
+        return nextId++;
+    };
+    globalThis.cancelAnimationFrame = id => frames.delete(id);
+    t.after(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+    return {
+        pending: () => frames.size,
+        run() {
+            const callbacks = Array.from(frames.values());
+            frames.clear();
+            callbacks.forEach(callback => callback());
+        }
+    };
+}
+
+// timer recording the results it reports, after timing the given number of frames
+function recordingTimer(gl, frameCount) {
+    const timer = new GpuTimer(gl, false);
+    const results = [];
+    timer.onresult = time => results.push(time);
+    for(let frame = 0; frame < frameCount; frame++) {
+        timer.begin();
+        timer.end();
+    }
+    return { timer: timer, results: results };
+}
+
+test("the frame times are reported in the order the frames were drawn", t => {
+    const frames = manualFrames(t);
+    const { gl, extension } = recordingContext();
+    const { timer, results } = recordingTimer(gl, 3);
+    assert.equal(frames.pending(), 1);
+    extension.queries.forEach((query, i) => query.time = (i + 1) * 1e6);
+
+    // the third frame waits for the second one
+    extension.queries[0].available = true;
+    extension.queries[2].available = true;
+    frames.run();
+    assert.deepEqual(results, [1]);
+    assert.equal(timer.pending.length, 2);
+    assert.equal(frames.pending(), 1);
+
+    extension.queries[1].available = true;
+    frames.run();
+    assert.deepEqual(results, [1, 2, 3]);
+    assert.deepEqual(extension.deleted, extension.queries);
+    // nothing is polled once every result came back
+    assert.equal(frames.pending(), 0);
+});
+
+test("the frame times of a disjoint operation are dropped", t => {
+    const frames = manualFrames(t);
+    const { gl, extension } = recordingContext();
+    const { timer, results } = recordingTimer(gl, 2);
+    extension.queries.forEach(query => query.available = true);
+    gl.disjoint = true;
+    frames.run();
+    assert.deepEqual(results, []);
+    assert.deepEqual(extension.deleted, extension.queries);
+    assert.equal(timer.pending.length, 0);
+});
+
+test("the queries are dropped when the timing is cancelled or the context lost", t => {
+    const frames = manualFrames(t);
+    const { gl } = recordingContext();
+    const { timer, results } = recordingTimer(gl, 2);
+    timer.begin();
+    timer.cancel();
+    assert.equal(timer.query, null);
+    assert.equal(timer.pending.length, 0);
+    assert.equal(frames.pending(), 0);
+
+    // the queries of a lost context never complete
+    timer.begin();
+    timer.end();
+    gl.lost = true;
+    frames.run();
+    assert.equal(timer.pending.length, 0);
+    assert.equal(frames.pending(), 0);
+    assert.deepEqual(results, []);
+});
+
+test("the frames are not timed without the extension", () => {
+    const timer = new GpuTimer({ getExtension: () => null }, true);
+    assert.equal(timer.isAvailable(), false);
+    timer.begin();
+    timer.end();
+    assert.equal(timer.query, null);
+    assert.equal(timer.pending.length, 0);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Brot } from "../brot.js";
+import { BigFloat } from "../bigfloat.js";
+import { ViewHistory } from "../history.js";
+
+// state of a view of the given centre and range, with the default colouring
+function stateAt(x, y, range, changes = {}) {
+    return {
+        ...new Brot({}).getState(),
+        x: BigFloat.fromNumber(x),
+        y: BigFloat.fromNumber(y),
+        range: BigFloat.fromNumber(range),
+        ...changes
+    };
+}
+
+test("the views are undone and redone in order", () => {
+    const history = new ViewHistory();
+    assert.equal(history.undo(), null);
+    assert.ok(history.record(stateAt(-0.5, 0.0, 4.0)));
+    assert.ok(history.record(stateAt(-0.75, 0.1, 0.5)));
+    assert.ok(history.record(stateAt(-0.75, 0.1, 0.5, { maxIter: 400 })));
+    // the same view is recorded once, whatever its colouring
+    assert.ok(!history.record(stateAt(-0.75, 0.1, 0.5, { maxIter: 400, paletteOffset: 0.5 })));
+
+    assert.equal(history.undo().maxIter, stateAt(0, 0, 1).maxIter);
+    const first = history.undo();
+    assert.equal(first.range.toNumber(), 4.0);
+    assert.equal(first.paletteOffset, undefined);
+    assert.ok(!history.canUndo());
+    assert.equal(history.redo().range.toNumber(), 0.5);
+    assert.ok(history.canRedo());
+});
+
+test("recording a view drops the views undone", () => {
+    const history = new ViewHistory();
+    history.record(stateAt(-0.5, 0.0, 4.0));
+    history.record(stateAt(-0.75, 0.1, 0.5));
+    history.undo();
+    history.record(stateAt(0.25, 0.0, 0.1, { escape: 8.0 }));
+    assert.ok(!history.canRedo());
+    assert.equal(history.undo().x.toNumber(), -0.5);
+    assert.equal(history.redo().escape, 8.0);
+});
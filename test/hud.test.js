@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BigFloat } from "../bigfloat.js";
+import { PerformanceHud, formatCentre } from "../hud.js";
+
+test("the centre has the digits its range makes significant", () => {
+    const shallow = { x: BigFloat.fromNumber(-0.75), y: BigFloat.fromNumber(0.1) };
+    assert.equal(formatCentre(shallow, BigFloat.fromNumber(0.01)), "-0.75 + 0.1i");
+
+    // the deep centres keep the digits the numbers would lose
+    const deep = {
+        x: BigFloat.fromNumber(-0.75).add(BigFloat.powerOfTwo(-100)),
+        y: BigFloat.fromNumber(-0.1)
+    };
+    const centre = formatCentre(deep, BigFloat.powerOfTwo(-110));
+    assert.match(centre, /^-0\.74999999999999999999999999999921\d+ - 0\.1000000000000000055\d+i$/);
+});
+
+// document creating elements that only hold their text and class, the readout is built
+// in a container of them
+function stubDocument(t) {
+    const element = () => ({
+        className: "",
+        textContent: "",
+        append() {},
+        replaceChildren() {},
+        classList: {
+            toggle() {}
+        }
+    });
+    globalThis.document = { createElement: element };
+    t.after(() => delete globalThis.document);
+    return element();
+}
+
+test("the frame time is averaged over the last frames", t => {
+    const hud = new PerformanceHud(stubDocument(t));
+    hud.showFrameTime(100.0, true);
+    // hidden, the readout keeps its placeholder
+    assert.equal(hud.outputs.frame.textContent, "–");
+
+    hud.setEnabled(true);
+    for(let frame = 0; frame < 10; frame++) {
+        hud.showFrameTime(4.0, true);
+    }
+    // the first frame is out of the average
+    assert.equal(hud.outputs.frame.textContent, "4.0 ms (GPU)");
+    hud.showFrameTime(14.0, false);
+    assert.equal(hud.outputs.frame.textContent, "5.0 ms (CPU)");
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { DEFAULT_KEY_MAP, KeyboardController, keyOf, keyLabel, parseKeyMap } from "../keyboard.js";
+
+// keydown event of the given key reaching the given target
+function keyDown(key, options = {}) {
+    return {
+        key: key,
+        shiftKey: false,
+        ctrlKey: false,
+        metaKey: false,
+        altKey: false,
+        defaultPrevented: false,
+        target: null,
+        ...options,
+        preventDefault() {
+            this.defaultPrevented = true;
+        }
+    };
+}
+
+// keyboard controller recording the actions it runs
+function recordingKeyboard() {
+    const actions = [];
+    const callbacks = {};
+    for(const action of Object.keys(DEFAULT_KEY_MAP)) {
+        callbacks[action] = () => actions.push(action);
+    }
+    return { keyboard: new KeyboardController(callbacks), actions: actions };
+}
+
+test("the letters are named whatever the caps lock", () => {
+    assert.equal(keyOf(keyDown("W")), "w");
+    assert.equal(keyOf(keyDown("w")), "w");
+    assert.equal(keyOf(keyDown("S", { shiftKey: true })), "Shift+s");
+    // the other keys are named by what they type
+    assert.equal(keyOf(keyDown("+", { shiftKey: true })), "+");
+    assert.equal(keyOf(keyDown("ArrowUp", { shiftKey: true })), "ArrowUp");
+    assert.equal(keyLabel("Shift+s"), "Shift+S");
+    assert.equal(keyLabel("ArrowLeft"), "←");
+});
+
+test("the keys run the actions bound to them", () => {
+    const { keyboard, actions } = recordingKeyboard();
+    for(const key of ["ArrowLeft", "d", "w", "s", "+", "-", "]", "[", "r", "?"]) {
+        const event = keyDown(key);
+        keyboard.handleKeyDown(event);
+        assert.ok(event.defaultPrevented, key);
+    }
+    keyboard.handleKeyDown(keyDown("S", { shiftKey: true }));
+    assert.deepEqual(actions, [
+        "panLeft", "panRight", "panUp", "panDown", "zoomIn", "zoomOut",
+        "moreIterations", "lessIterations", "reset", "help", "toggleSettings"
+    ]);
+});
+
+test("the keys are left to the browser shortcuts and the controls", () => {
+    const { keyboard, actions } = recordingKeyboard();
+    const slider = { closest: selector => selector.includes("input") ? slider : null };
+    const events = [
+        keyDown("r", { ctrlKey: true }),
+        keyDown("-", { metaKey: true }),
+        keyDown("ArrowLeft", { target: slider }),
+        keyDown("x")
+    ];
+    events.forEach(event => keyboard.handleKeyDown(event));
+    assert.deepEqual(actions, []);
+    assert.ok(events.every(event => !event.defaultPrevented));
+});
+
+test("a key bound to an action is taken from the others", () => {
+    const { keyboard, actions } = recordingKeyboard();
+    keyboard.bind("zoomIn", "w");
+    assert.deepEqual(keyboard.keyMap.zoomIn, ["w"]);
+    assert.deepEqual(keyboard.keyMap.panUp, ["ArrowUp"]);
+    keyboard.handleKeyDown(keyDown("w"));
+    keyboard.handleKeyDown(keyDown("+"));
+    assert.deepEqual(actions, ["zoomIn"]);
+    assert.throws(() => keyboard.bind("fly", "f"), RangeError);
+});
+
+test("the saved key maps are checked", () => {
+    const parsed = parseKeyMap({ reset: ["Home"] });
+    assert.deepEqual(parsed.reset, ["Home"]);
+    // the missing actions keep their default keys
+    assert.deepEqual(parsed.panLeft, DEFAULT_KEY_MAP.panLeft);
+    assert.throws(() => parseKeyMap({ reset: "Home" }), TypeError);
+    assert.throws(() => parseKeyMap({ reset: [42] }), TypeError);
+});
+
+test("the keys pressed with control are named apart", () => {
+    assert.equal(keyOf(keyDown("z", { ctrlKey: true })), "Ctrl+z");
+    assert.equal(keyOf(keyDown("Z", { metaKey: true, shiftKey: true })), "Ctrl+Shift+z");
+    assert.equal(keyOf(keyDown("+", { ctrlKey: true })), "Ctrl++");
+    assert.equal(keyLabel("Ctrl+Shift+z"), "Ctrl+Shift+Z");
+
+    const { keyboard, actions } = recordingKeyboard();
+    keyboard.handleKeyDown(keyDown("z", { ctrlKey: true }));
+    keyboard.handleKeyDown(keyDown("Z", { ctrlKey: true, shiftKey: true }));
+    // the browser zoom is left alone
+    const zoom = keyDown("+", { ctrlKey: true });
+    keyboard.handleKeyDown(zoom);
+    assert.deepEqual(actions, ["undo", "redo"]);
+    assert.ok(!zoom.defaultPrevented);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BigFloat } from "../bigfloat.js";
+import { ZoomTrail } from "../minimap.js";
+
+test("the zoom trail keeps a breadcrumb per level passed through", () => {
+    const trail = new ZoomTrail();
+    const initialRange = BigFloat.fromNumber(4.0);
+    const at = (x, y) => ({ x: BigFloat.fromNumber(x), y: BigFloat.fromNumber(y) });
+
+    assert.equal(trail.update(at(-0.5, 0.0), initialRange, initialRange, "mandelbrot"), false);
+    assert.equal(trail.crumbs.length, 0);
+
+    // two levels crossed at once, then a third one elsewhere
+    assert.equal(trail.update(at(-0.75, 0.1), initialRange.shift(-17), initialRange, "mandelbrot"), true);
+    assert.equal(trail.update(at(-0.7, 0.2), initialRange.shift(-24), initialRange, "mandelbrot"), true);
+    assert.deepEqual(trail.crumbs.map(crumb => crumb.range.log2()), [-6, -14, -22]);
+    assert.equal(trail.crumbs[0].origin.x.toNumber(), -0.75);
+    assert.equal(trail.crumbs[2].origin.y.toNumber(), 0.2);
+
+    // panning keeps the trail, zooming out drops the deeper levels
+    assert.equal(trail.update(at(-0.71, 0.2), initialRange.shift(-24), initialRange, "mandelbrot"), false);
+    assert.equal(trail.update(at(-0.71, 0.2), initialRange.shift(-10), initialRange, "mandelbrot"), true);
+    assert.equal(trail.crumbs.length, 1);
+
+    // another set starts a new trail
+    assert.equal(trail.update(at(0.0, 0.0), initialRange.shift(-10), initialRange, "mandelbrot:julia"), true);
+    assert.equal(trail.crumbs.length, 1);
+    assert.equal(trail.crumbs[0].origin.x.toNumber(), 0.0);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { NavigationController } from "../navigation.js";
+
+// pointer event of the mouse at the given position and time
+function pointerEvent(type, x, y, timeStamp) {
+    return {
+        type: type,
+        pointerId: 1,
+        pointerType: "mouse",
+        button: 0,
+        shiftKey: false,
+        clientX: x,
+        clientY: y,
+        timeStamp: timeStamp,
+        preventDefault() {}
+    };
+}
+
+// Brot recording the translations of its view
+function recordingBrot() {
+    const moves = [];
+    const canvas = {
+        addEventListener() {},
+        removeEventListener() {},
+        setPointerCapture() {}
+    };
+    return { brot: { canvas: canvas, translateView: (x, y) => moves.push({ x: x, y: y }) }, moves: moves };
+}
+
+test("a flicked view keeps gliding after the release", t => {
+    // the animation frames are run by hand, 16 milliseconds apart
+    const frames = [];
+    globalThis.requestAnimationFrame = callback => frames.push(callback);
+    globalThis.cancelAnimationFrame = () => {};
+    t.after(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+
+    const { brot, moves } = recordingBrot();
+    const navigation = new NavigationController();
+    navigation.attach(brot);
+    navigation.handlePointerDown(pointerEvent("pointerdown", 100, 100, 0));
+    for(let i = 1; i <= 5; i++) {
+        navigation.handlePointerMove(pointerEvent("pointermove", 100 + i * 20, 100, i * 10));
+    }
+    navigation.handlePointerUp(pointerEvent("pointerup", 200, 100, 60));
+    const dragMoves = moves.length;
+
+    for(let time = 100; frames.length > 0 && time < 200; time += 16) {
+        frames.shift()(time);
+    }
+    const glide = moves.slice(dragMoves);
+    assert.ok(glide.length > 0);
+    // the content keeps following the pointer to the right
+    assert.ok(glide.every(move => move.x < 0 && move.y === 0));
+    assert.deepEqual(navigation.velocity, { x: 0.0, y: 0.0 });
+});
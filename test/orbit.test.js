@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BigFloat } from "../bigfloat.js";
+import { getFormula } from "../formulas.js";
+import { NOT_ESCAPED, formulaIteration } from "../escapetime.js";
+import { analyzeOrbit, formulaOrbit, inMainCardioid, inPeriodTwoBulb, orbitPeriod } from "../orbit.js";
+import { viewOffset, viewPoint } from "../view.js";
+
+const mandelbrot = getFormula("mandelbrot");
+
+// view of the mandelbrot set with the given maximum iteration
+function view(maxIter) {
+    return {
+        maxIter: maxIter,
+        escape: 2.0,
+        julia: false,
+        juliaC: { x: 0.0, y: 0.0 },
+        parameters: [],
+        smoothColoring: false
+    };
+}
+
+test("the orbits start at the starting z and stop after escaping", () => {
+    const orbit = formulaOrbit(mandelbrot, 1.0, 0.0, view(40), 100);
+    assert.ok(orbit.escaped);
+    assert.deepEqual(orbit.points.map(point => point.x), [0, 1, 2, 5]);
+
+    const bounded = formulaOrbit(mandelbrot, -1.0, 0.0, view(40), 10);
+    assert.ok(!bounded.escaped);
+    assert.equal(bounded.points.length, 10);
+});
+
+test("the escape iterations agree with the renderers", () => {
+    for(const [x, y] of [[1.0, 0.0], [0.3, 0.5], [-0.75, 0.1], [-2.1, 0.0], [0.26, 0.0]]) {
+        for(const maxIter of [10, 100]) {
+            const analysis = analyzeOrbit(mandelbrot, x, y, view(maxIter));
+            assert.equal(analysis.escapeIteration, formulaIteration(mandelbrot, x, y, view(maxIter)), x + " " + y);
+        }
+    }
+});
+
+test("the period of the attracting cycles is detected", () => {
+    assert.equal(analyzeOrbit(mandelbrot, 0.0, 0.0, view(40)).period, 1);
+    assert.equal(analyzeOrbit(mandelbrot, -1.0, 0.0, view(40)).period, 2);
+    // the douady rabbit
+    assert.equal(analyzeOrbit(mandelbrot, -0.12, 0.75, view(40)).period, 3);
+    assert.equal(analyzeOrbit(mandelbrot, 1.0, 0.0, view(40)).period, null);
+    // the points that do not settle have no period
+    assert.equal(orbitPeriod([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 3, y: 0 }]), null);
+});
+
+test("the main cardioid and the period 2 bulb are recognized", () => {
+    assert.ok(inMainCardioid(0.0, 0.0));
+    assert.ok(inMainCardioid(0.24, 0.0));
+    assert.ok(!inMainCardioid(0.26, 0.0));
+    assert.ok(!inMainCardioid(-0.8, 0.0));
+    assert.ok(inPeriodTwoBulb(-1.0, 0.0));
+    assert.ok(!inPeriodTwoBulb(-0.7, 0.0));
+
+    assert.equal(analyzeOrbit(mandelbrot, 0.0, 0.0, view(40)).region, "cardioid");
+    assert.equal(analyzeOrbit(mandelbrot, -1.0, 0.1, view(40)).region, "bulb");
+    assert.equal(analyzeOrbit(mandelbrot, -0.12, 0.75, view(40)).region, "outside");
+    // the regions only make sense for the mandelbrot set
+    assert.equal(analyzeOrbit(getFormula("burning-ship"), 0.0, 0.0, view(40)).region, null);
+    assert.equal(analyzeOrbit(mandelbrot, 0.0, 0.0, { ...view(40), julia: true }).region, null);
+    assert.equal(analyzeOrbit(mandelbrot, 1.0, 0.0, view(40)).escapeIteration, 2);
+    assert.equal(analyzeOrbit(mandelbrot, 0.0, 0.0, view(40)).escapeIteration, NOT_ESCAPED);
+});
+
+test("the view offsets are the inverse of the view points", () => {
+    const origin = {
+        x: BigFloat.fromNumber(-0.75),
+        y: BigFloat.fromNumber(0.1)
+    };
+    for(const range of [BigFloat.fromNumber(3.0), BigFloat.fromNumber(3.0).shift(-1500)]) {
+        const point = viewPoint(origin, range, 1.5, 0.2, -0.35);
+        const offset = viewOffset(origin, range, 1.5, point);
+        assert.ok(Math.abs(offset.u - 0.2) < 1e-12);
+        assert.ok(Math.abs(offset.v + 0.35) < 1e-12);
+    }
+});
+
+test("the coordinates are written exactly in decimal", () => {
+    assert.equal(BigFloat.fromNumber(-0.75).toDecimal(10), "-0.75");
+    assert.equal(BigFloat.fromNumber(0.1).toDecimal(5), "0.1");
+    assert.equal(BigFloat.fromNumber(1234.5).toDecimal(3), "1230");
+    assert.equal(BigFloat.fromNumber(1.0).shift(-70).toDecimal(4), "0.000000000000000000000847");
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Brot } from "../brot.js";
+import { BigFloat } from "../bigfloat.js";
+import { encodeState, decodeState } from "../permalink.js";
+
+test("the deep views round-trip exactly through the links", () => {
+    const brot = new Brot({});
+    const defaults = brot.getState();
+    // centres with bits far below the precision of the numbers, in a range around 2^-400
+    const state = {
+        ...defaults,
+        x: BigFloat.fromNumber(-0.75).add(BigFloat.powerOfTwo(-400)).add(BigFloat.powerOfTwo(-412)),
+        y: BigFloat.fromNumber(0.1).sub(BigFloat.fromNumber(3.0).shift(-405)),
+        range: BigFloat.fromNumber(1.5).shift(-400),
+        maxIter: 5000,
+        escape: 4.0
+    };
+
+    const decoded = decodeState("#" + encodeState(state), defaults);
+    for(const key of ["x", "y", "range"]) {
+        assert.equal(decoded[key].compare(state[key]), 0, key);
+        assert.equal(decoded[key].toString(), state[key].toString(), key);
+    }
+    assert.equal(decoded.maxIter, 5000);
+    assert.equal(decoded.escape, 4.0);
+    // and again through the link of the decoded view
+    assert.equal(encodeState(decodeState(encodeState(decoded), defaults)), encodeState(decoded));
+});
+
+test("the malformed links are rejected so the page falls back to the defaults", () => {
+    const defaults = new Brot({}).getState();
+    const malformed = {
+        SyntaxError: ["x=abc", "x=", "r=1e", "iter=ten", "escape=", "palette=0:#000000", "palette=0:red,1:#ffffff", "palette=zero:#000000,1:#ffffff"],
+        RangeError: ["r=0", "r=-1p-400", "iter=0", "iter=2.5", "escape=0", "escape=-3"]
+    };
+    for(const [name, hashes] of Object.entries(malformed)) {
+        for(const hash of hashes) {
+            assert.throws(() => decodeState(hash, defaults), { name: name }, hash);
+        }
+    }
+    // the missing parameters are the defaults
+    const state = decodeState("iter=300", defaults);
+    assert.equal(state.maxIter, 300);
+    assert.equal(state.escape, defaults.escape);
+    assert.equal(state.range.compare(defaults.range), 0);
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+    INTERACTIVE_QUALITY, FULL_QUALITY, SUPERSAMPLED_QUALITY, SETTLE_DELAY, JITTER_SAMPLES,
+    jitterOffset, RenderScheduler
+} from "../scheduler.js";
+
+// the animation frames of the page are emulated with timers
+globalThis.requestAnimationFrame = callback => setTimeout(() => callback(performance.now()), 16);
+globalThis.cancelAnimationFrame = clearTimeout;
+
+function wait(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+// Brot recording the qualities it is drawn with
+function recordingBrot() {
+    return {
+        qualities: [],
+        drawScene(quality) {
+            this.qualities.push(quality);
+        }
+    };
+}
+
+test("requests made in the same frame are drawn once", async () => {
+    const brot = recordingBrot();
+    const scheduler = new RenderScheduler(brot);
+    scheduler.refinements = [FULL_QUALITY];
+    scheduler.request();
+    scheduler.request();
+    scheduler.request();
+    await wait(100);
+    assert.deepEqual(brot.qualities, [FULL_QUALITY]);
+});
+
+test("the view is drawn coarsely while it moves, then refined", async () => {
+    const brot = recordingBrot();
+    const scheduler = new RenderScheduler(brot);
+    const states = [];
+    scheduler.onstatechange = state => states.push(state);
+    for(let i = 0; i < 5; i++) {
+        scheduler.request(true);
+        await wait(20);
+    }
+    assert.ok(brot.qualities.length > 0);
+    assert.ok(brot.qualities.every(quality => quality === INTERACTIVE_QUALITY));
+    assert.equal(scheduler.state, "rendering");
+
+    await wait(SETTLE_DELAY + 200);
+    assert.deepEqual(brot.qualities.slice(-2), [FULL_QUALITY, SUPERSAMPLED_QUALITY]);
+    assert.deepEqual(states, ["rendering", "done"]);
+});
+
+test("new input cancels the refinement", async () => {
+    const brot = recordingBrot();
+    const scheduler = new RenderScheduler(brot);
+    scheduler.request();
+    // the full quality frame is drawn, the supersampled one waits for the next frame
+    await wait(20);
+    scheduler.request(true);
+    await wait(50);
+    assert.deepEqual(brot.qualities.slice(0, 2), [FULL_QUALITY, INTERACTIVE_QUALITY]);
+    assert.ok(!brot.qualities.slice(0, 2).includes(SUPERSAMPLED_QUALITY));
+    await wait(SETTLE_DELAY + 200);
+});
+
+test("the settled view can be drawn again from its statistics", async () => {
+    const brot = recordingBrot();
+    const scheduler = new RenderScheduler(brot);
+    scheduler.refinements = [FULL_QUALITY];
+    const states = [];
+    scheduler.onstatechange = state => states.push(state);
+    let settled = 0;
+    // the first settled frame asks for another one, like the adaptive iterations
+    scheduler.onsettle = () => {
+        settled++;
+        if(settled === 1) {
+            scheduler.request();
+        }
+    };
+    scheduler.request();
+    await wait(150);
+    assert.equal(settled, 2);
+    assert.deepEqual(brot.qualities, [FULL_QUALITY, FULL_QUALITY]);
+    assert.deepEqual(states, ["rendering", "done"]);
+});
+
+test("cancelling drops the pending draw", async () => {
+    const brot = recordingBrot();
+    const scheduler = new RenderScheduler(brot);
+    scheduler.request(true);
+    scheduler.cancel();
+    await wait(SETTLE_DELAY + 200);
+    assert.deepEqual(brot.qualities, []);
+    assert.equal(scheduler.state, "done");
+});
+
+test("the jittered samples start at the pixel centre and cover its quadrants", () => {
+    assert.deepEqual(jitterOffset(0), { x: 0, y: 0 });
+    const quadrants = new Set();
+    for(let i = 0; i < JITTER_SAMPLES; i++) {
+        const offset = jitterOffset(i);
+        assert.ok(Math.abs(offset.x) <= 0.5 && Math.abs(offset.y) <= 0.5);
+        quadrants.add((offset.x < 0 ? "left" : "right") + (offset.y < 0 ? "top" : "bottom"));
+    }
+    assert.equal(quadrants.size, 4);
+});
+
+test("a frame failing to draw settles the state and is reported", async () => {
+    const brot = {
+        drawScene() {
+            throw new Error("The frame failed");
+        }
+    };
+    const scheduler = new RenderScheduler(brot);
+    const states = [];
+    const errors = [];
+    scheduler.onstatechange = state => states.push(state);
+    scheduler.onerror = error => errors.push(error.message);
+    scheduler.request();
+    await wait(100);
+    assert.deepEqual(errors, ["The frame failed"]);
+    assert.deepEqual(states, ["rendering", "done"]);
+    assert.equal(scheduler.state, "done");
+});
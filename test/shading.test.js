@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Brot } from "../brot.js";
+import { getFormula } from "../formulas.js";
+import { encodeState, decodeState } from "../permalink.js";
+
+test("the shadings needing a derivative fall back to the escape time", () => {
+    const brot = new Brot({});
+    brot.shading = "distance";
+    assert.equal(brot.effectiveShading(), "distance");
+    brot.formula = getFormula("burning-ship");
+    assert.equal(brot.effectiveShading(), "escape");
+    brot.shading = "trap";
+    assert.equal(brot.effectiveShading(), "trap");
+});
+
+test("the shading, light and trap round-trip through the links", () => {
+    const brot = new Brot({});
+    const defaults = brot.getState();
+    brot.shading = "trap";
+    brot.light = { angle: 120, height: 0.5 };
+    brot.trap = { shape: "cross", x: -0.75, y: 0.1, angle: 30 };
+
+    const state = decodeState(encodeState(brot.getState()), defaults);
+    assert.equal(state.shading, "trap");
+    assert.deepEqual(state.light, brot.light);
+    assert.deepEqual(state.trap, brot.trap);
+
+    assert.throws(() => decodeState("shading=emboss", defaults), SyntaxError);
+    assert.throws(() => decodeState("trap=circle,0,0,0", defaults), SyntaxError);
+    assert.deepEqual(decodeState("", defaults).trap, defaults.trap);
+});
@@ -0,0 +1,147 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BigFloat } from "../bigfloat.js";
+import { INIT_VIEW_RANGE, getFormula } from "../formulas.js";
+import {
+    ZOOM_FACTOR,
+    autoIterations, defaultView, describeView, visibleFraction, viewPoint, pixelSize, translateOrigin, zoomRange, zoomAround, truncateOrigin
+} from "../view.js";
+import { wheelZoomFactor } from "../navigation.js";
+
+function origin(x, y) {
+    return {
+        x: BigFloat.from(x),
+        y: BigFloat.from(y)
+    };
+}
+
+test("the reset view is the default view of the formula", () => {
+    const mandelbrot = defaultView(getFormula("mandelbrot"));
+    assert.equal(mandelbrot.origin.x.toNumber(), 0.0);
+    assert.equal(mandelbrot.origin.y.toNumber(), 0.0);
+    assert.equal(mandelbrot.range.toNumber(), INIT_VIEW_RANGE);
+
+    const burningShip = defaultView(getFormula("burning-ship"));
+    assert.equal(burningShip.origin.x.toNumber(), -0.4);
+    assert.equal(burningShip.origin.y.toNumber(), -0.5);
+    assert.equal(burningShip.range.toNumber(), 5.0);
+});
+
+test("zooming in and out changes the range by the zoom factor", () => {
+    const range = BigFloat.fromNumber(INIT_VIEW_RANGE);
+    assert.ok(Math.abs(zoomRange(range, -1).toNumber() - INIT_VIEW_RANGE / ZOOM_FACTOR) < 1e-12);
+    assert.ok(Math.abs(zoomRange(range, 1).toNumber() - INIT_VIEW_RANGE * ZOOM_FACTOR) < 1e-12);
+    // only the sign of the direction matters
+    assert.equal(zoomRange(range, -120).compare(zoomRange(range, -1)), 0);
+    assert.equal(zoomRange(range, 0), range);
+});
+
+test("zooming in then out goes back to the same range", () => {
+    let range = BigFloat.fromNumber(INIT_VIEW_RANGE);
+    for(let i = 0; i < 1000; i++) {
+        range = zoomRange(range, -1);
+    }
+    // a thousand zoom steps go far below the double precision
+    assert.ok(range.ilog2() < -35);
+    for(let i = 0; i < 1000; i++) {
+        range = zoomRange(range, 1);
+    }
+    assert.ok(Math.abs(range.toNumber() / INIT_VIEW_RANGE - 1) < 1e-12);
+});
+
+test("translations follow the size of the pixels", () => {
+    const start = origin(-0.5, 0.25);
+    const size = pixelSize(BigFloat.fromNumber(INIT_VIEW_RANGE), 1000);
+    assert.ok(Math.abs(size.toNumber() - INIT_VIEW_RANGE * visibleFraction() / 1000) < 1e-15);
+    const moved = translateOrigin(start, 10, 20, size);
+    assert.ok(Math.abs(moved.x.toNumber() - (-0.5 + 10 * size.toNumber())) < 1e-12);
+    assert.ok(Math.abs(moved.y.toNumber() - (0.25 + 20 * size.toNumber())) < 1e-12);
+
+    // the pixels are exact far below the double precision
+    const deepSize = pixelSize(BigFloat.fromNumber(INIT_VIEW_RANGE).shift(-200), 1000);
+    const deepMoved = translateOrigin(start, 10, 20, deepSize);
+    const offset = deepMoved.x.sub(start.x).shift(200).toNumber();
+    assert.ok(Math.abs(offset - 10 * size.toNumber()) < 1e-12);
+});
+
+test("zooming around a point keeps it in place", () => {
+    const start = origin(-0.5, 0.25);
+    const range = BigFloat.fromNumber(4.0);
+    const [u, v, aspectRatio] = [0.3, -0.2, 1.5];
+    const anchor = viewPoint(start, range, aspectRatio, u, v);
+    for(const factor of [0.5, 1 / ZOOM_FACTOR, 3.0]) {
+        const zoomed = zoomAround(start, range, factor, u, v, aspectRatio);
+        assert.ok(Math.abs(zoomed.range.toNumber() - 4.0 * factor) < 1e-12);
+        const moved = viewPoint(zoomed.origin, zoomed.range, aspectRatio, u, v);
+        assert.ok(Math.abs(moved.x.sub(anchor.x).toNumber()) < 1e-12);
+        assert.ok(Math.abs(moved.y.sub(anchor.y).toNumber()) < 1e-12);
+    }
+    // zooming around the centre does not move it
+    assert.equal(zoomAround(start, range, 0.5, 0, 0, aspectRatio).origin.x.compare(start.x), 0);
+});
+
+test("the wheel zooms proportionally to the distance scrolled", () => {
+    // a notch of a mouse wheel zooms by the zoom factor, down zooms out
+    assert.ok(Math.abs(wheelZoomFactor(100, 0) - ZOOM_FACTOR) < 1e-12);
+    assert.ok(Math.abs(wheelZoomFactor(-100, 0) - 1 / ZOOM_FACTOR) < 1e-12);
+    // small trackpad steps add up to the same zoom
+    assert.ok(Math.abs(Math.pow(wheelZoomFactor(4, 0), 25) - ZOOM_FACTOR) < 1e-12);
+    // lines and pages are converted to pixels
+    assert.ok(wheelZoomFactor(3, 1) > wheelZoomFactor(3, 0));
+    assert.ok(Math.abs(wheelZoomFactor(1, 2, 500) - wheelZoomFactor(500, 0)) < 1e-12);
+});
+
+test("the origin keeps the bits that matter at the zoom level", () => {
+    const range = BigFloat.fromNumber(1.0).shift(-100);
+    const kept = BigFloat.fromNumber(1.0).shift(-150);
+    const dropped = BigFloat.fromNumber(1.0).shift(-200);
+    const start = origin(BigFloat.fromNumber(0.5).add(kept).add(dropped), BigFloat.fromNumber(0.25).add(dropped));
+    const truncated = truncateOrigin(start, range);
+    assert.equal(truncated.x.compare(BigFloat.fromNumber(0.5).add(kept)), 0);
+    assert.equal(truncated.y.compare(BigFloat.fromNumber(0.25)), 0);
+});
+
+test("view points follow the shader mapping", () => {
+    const centre = origin(-0.5, 0.25);
+    const range = BigFloat.fromNumber(4.0);
+    const point = viewPoint(centre, range, 2.0, 0.5, -0.5);
+    assert.equal(point.x.toNumber(), -0.5 + 0.5 * 2.0 * 4.0);
+    assert.equal(point.y.toNumber(), 0.25 - 0.5 * 4.0);
+    assert.equal(viewPoint(centre, range, 2.0, 0, 0).x.compare(centre.x), 0);
+});
+
+test("the rendered square slightly overflows the canvas", () => {
+    const fraction = visibleFraction();
+    assert.ok(fraction > 0.9 && fraction < 1.0);
+    // the farther the camera, the more of the square is visible
+    assert.ok(visibleFraction(5.0) > fraction);
+});
+
+test("the view is described with the digits its zoom makes significant", () => {
+    const initialRange = BigFloat.fromNumber(INIT_VIEW_RANGE);
+    assert.equal(describeView(origin(-0.5, 0), initialRange, initialRange), "Centre -0.5 + 0i, zoom ×1");
+    assert.equal(
+        describeView(origin(-0.743643887, 0.131825904), initialRange.mul(0.001), initialRange),
+        "Centre -0.743644 + 0.131826i, zoom ×1000"
+    );
+    // deep zooms are written in scientific notation
+    assert.equal(
+        describeView(origin(0.25, -0.5), initialRange.shift(-100), initialRange),
+        "Centre 0.25 - 0.5i, zoom ×1.27e30"
+    );
+});
+
+test("the automatic iterations grow with the decades of zoom", () => {
+    const initialRange = BigFloat.fromNumber(INIT_VIEW_RANGE);
+    const curve = { base: 40, perDecade: 100, exponent: 1.0 };
+    assert.equal(autoIterations(initialRange, initialRange, curve), 40);
+    // zooming out does not go below the base
+    assert.equal(autoIterations(initialRange.mul(10), initialRange, curve), 40);
+    assert.equal(autoIterations(initialRange.mul(1e-3), initialRange, curve), 340);
+    // the deep views get thousands of iterations
+    const deep = initialRange.shift(-200);
+    assert.equal(autoIterations(deep, initialRange, curve), Math.round(40 + 100 * 200 * Math.log10(2)));
+    // the exponent bends the curve
+    assert.equal(autoIterations(initialRange.mul(1e-4), initialRange, { ...curve, exponent: 2.0 }), 1640);
+});
@@ -0,0 +1,130 @@
+import { BigFloat } from "./bigfloat.js";
+import { REFERENCE_GUARD_BITS } from "./deepzoom.js";
+
+// amount of zoom to apply when zooming in the view
+export const ZOOM_FACTOR = 1.1;
+// vertical field of view of the camera, in radians
+export const FIELD_OF_VIEW = 45 * Math.PI / 180;
+// distance between the camera and the rendered square
+export const CAMERA_DISTANCE = 4.5;
+
+// curve the automatic maximum iteration follows: the base iterations at the initial range
+// plus the iterations per decade of zoom, the decades being raised to the exponent
+export const DEFAULT_ITERATION_CURVE = {
+    base: 40,
+    perDecade: 100,
+    exponent: 1.0
+};
+
+// initial origin and range of the view of a formula, as arbitrary precision numbers
+export function defaultView(formula) {
+    return {
+        origin: {
+            x: BigFloat.fromNumber(formula.view.origin.x),
+            y: BigFloat.fromNumber(formula.view.origin.y)
+        },
+        range: BigFloat.fromNumber(formula.view.range)
+    };
+}
+
+// fraction of the view range visible in the canvas for a camera at the given distance,
+// the rendered square slightly overflows the canvas
+export function visibleFraction(distance = CAMERA_DISTANCE) {
+    return distance * Math.tan(FIELD_OF_VIEW / 2) / 2;
+}
+
+// complex point at the given offset from the view centre, in fractions of the view range
+// along each axis, following the same mapping as the shader
+export function viewPoint(origin, range, aspectRatio, u, v) {
+    return {
+        x: origin.x.add(range.mul(u * aspectRatio)),
+        y: origin.y.add(range.mul(v))
+    };
+}
+
+// offset u, v from the view centre of a complex point, in fractions of the view range
+// along each axis, the inverse of viewPoint. the point is a pair of BigFloats
+export function viewOffset(origin, range, aspectRatio, point) {
+    // scaled by a power of two so the deepest ranges do not underflow the numbers
+    const exponent = -range.ilog2();
+    const scaledRange = range.shift(exponent).toNumber();
+    return {
+        u: point.x.sub(origin.x).shift(exponent).toNumber() / (scaledRange * aspectRatio),
+        v: point.y.sub(origin.y).shift(exponent).toNumber() / scaledRange
+    };
+}
+
+// complex distance between two neighbouring pixels of a canvas of the given height on
+// screen, the same along both axes since the aspect ratio follows the canvas
+export function pixelSize(range, height, distance = CAMERA_DISTANCE) {
+    return range.mul(visibleFraction(distance) / height);
+}
+
+// origin of the view moved by x and y pixels of the given size
+export function translateOrigin(origin, x, y, pixelSize) {
+    return {
+        x: origin.x.add(pixelSize.mul(x)),
+        y: origin.y.add(pixelSize.mul(y))
+    };
+}
+
+// origin and range of the view zoomed by the given factor of the range around the point
+// at the offset u, v from the view centre, in fractions of the view range like viewPoint.
+// the point stays at the same place on screen
+export function zoomAround(origin, range, factor, u, v, aspectRatio) {
+    const zoomedRange = range.mul(factor);
+    const shift = range.sub(zoomedRange);
+    return {
+        origin: {
+            x: origin.x.add(shift.mul(u * aspectRatio)),
+            y: origin.y.add(shift.mul(v))
+        },
+        range: zoomedRange
+    };
+}
+
+// range of the view zoomed in for a negative direction, out for a positive one
+export function zoomRange(range, direction) {
+    if(direction < 0) {
+        return range.mul(1.0 / ZOOM_FACTOR);
+    } else if(direction > 0) {
+        return range.mul(ZOOM_FACTOR);
+    }
+    return range;
+}
+
+// drops the origin bits too small to matter at the zoom level of the given range
+export function truncateOrigin(origin, range) {
+    const lowestBit = range.ilog2() - REFERENCE_GUARD_BITS;
+    return {
+        x: origin.x.truncate(lowestBit),
+        y: origin.y.truncate(lowestBit)
+    };
+}
+
+// magnification written for people: three significant digits, in scientific notation
+// past a million since deep zooms go far beyond the range of the numbers
+export function formatMagnification(log10) {
+    if(log10 < 6) {
+        return Number(Math.pow(10, log10).toPrecision(3)).toString();
+    }
+    const exponent = Math.floor(log10);
+    return Math.pow(10, log10 - exponent).toFixed(2) + "e" + exponent;
+}
+
+// sentence describing the centre and the magnification of a view for screen readers,
+// the centre has as many digits as the magnification makes significant
+export function describeView(origin, range, initialRange) {
+    const log10 = (initialRange.log2() - range.log2()) * Math.log10(2);
+    const digits = Math.min(Math.max(Math.ceil(log10) + 3, 3), 17);
+    const x = Number(origin.x.toNumber().toPrecision(digits));
+    const y = Number(origin.y.toNumber().toPrecision(digits));
+    return "Centre " + x + (y < 0 ? " - " : " + ") + Math.abs(y) + "i, zoom ×" + formatMagnification(log10);
+}
+
+// maximum iteration of a view of the given range following the given curve, growing with
+// the logarithm of the zoom since the orbits take longer to escape near the deeper details
+export function autoIterations(range, initialRange, curve = DEFAULT_ITERATION_CURVE) {
+    const decades = Math.max(0.0, (initialRange.log2() - range.log2()) * Math.log10(2));
+    return Math.max(1, Math.round(curve.base + curve.perDecade * Math.pow(decades, curve.exponent)));
+}
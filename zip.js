@@ -0,0 +1,63 @@
+import { crc32 } from "./png.js";
+
+// date of the zip entries in MS-DOS format, 1980-01-01 so the archives are reproducible
+const ZIP_DOS_DATE = (1 << 5) | 1;
+
+// writes a zip archive of uncompressed files, the files content stays in blobs
+export class ZipWriter {
+
+    // parts of the archive written so far
+    parts = [];
+
+    // central directory records of the files added so far
+    records = [];
+
+    // size in bytes of the parts written so far
+    offset = 0;
+
+    // adds a file with the given name and blob content to the archive
+    async add(name, blob) {
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+
+        const header = new Uint8Array(30 + nameBytes.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034b50, true);   // local file header signature
+        view.setUint16(4, 20, true);           // version needed to extract
+        view.setUint16(6, 1 << 11, true);      // the name is UTF-8
+        view.setUint16(8, 0, true);            // stored without compression
+        view.setUint16(10, 0, true);           // time
+        view.setUint16(12, ZIP_DOS_DATE, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, blob.size, true);   // compressed size
+        view.setUint32(22, blob.size, true);   // uncompressed size
+        view.setUint16(26, nameBytes.length, true);
+        header.set(nameBytes, 30);
+
+        // the central directory record repeats the header fields
+        const record = new Uint8Array(46 + nameBytes.length);
+        const recordView = new DataView(record.buffer);
+        recordView.setUint32(0, 0x02014b50, true);
+        recordView.setUint16(4, 20, true);     // version made by
+        record.set(header.subarray(4, 30), 6);
+        recordView.setUint32(42, this.offset, true);
+        record.set(nameBytes, 46);
+
+        this.parts.push(header, blob);
+        this.records.push(record);
+        this.offset += header.length + blob.size;
+    }
+
+    // returns the archive with the files added so far
+    finish() {
+        const size = this.records.reduce((total, record) => total + record.length, 0);
+        const end = new Uint8Array(22);
+        const view = new DataView(end.buffer);
+        view.setUint32(0, 0x06054b50, true);   // end of central directory signature
+        view.setUint16(8, this.records.length, true);
+        view.setUint16(10, this.records.length, true);
+        view.setUint32(12, size, true);
+        view.setUint32(16, this.offset, true);
+        return new Blob([...this.parts, ...this.records, end], { type: "application/zip" });
+    }
+}